@@ -11,6 +11,8 @@ class EnhancedPortalAuth {
         this.baseUrl = window.location.origin;
         this.endpoints = {
             portalAuth: '/api/portal-auth',
+            me: '/api/me',
+            magicLink: '/api/portal-auth/magic-link',
             health: '/api/health',
             search: '/api/search',
             comments: '/api/comments',
@@ -19,11 +21,22 @@ class EnhancedPortalAuth {
         };
         
         this.isInitialized = false;
+        this.currentUser = null;
         this.retryCount = 0;
         this.maxRetries = 3;
         this.backendConnected = false;
         this.analyticsQueue = [];
         
+        // Command palette search (Ctrl/Cmd+K)
+        this.searchShortcutBound = false;
+        this.recentSearchesKey = 'dutchPortalRecentSearches';
+        this.maxRecentSearches = 5;
+        this.quickLinks = [
+            { title: 'ADE 2025 Underground Guide', description: 'Venues, warehouse parties and insider access', url: '/ade-2025-guide' },
+            { title: 'Request Access', description: 'Apply to join the underground collective', url: '/#access-form' },
+            { title: 'Contact', description: 'Get in touch with the portal team', url: '/contact' }
+        ];
+        
         this.init();
     }
     
@@ -95,6 +108,7 @@ class EnhancedPortalAuth {
         // Initialize in degraded mode
         this.setupAuthenticationListeners();
         this.initOfflineMode();
+        this.bindSearchShortcut();
         
         // Still mark as initialized to prevent loading screen hang
         this.isInitialized = true;
@@ -127,6 +141,7 @@ class EnhancedPortalAuth {
                 e.preventDefault();
                 this.handleEnhancedLogin(loginForm);
             });
+            this.setupMagicLinkLogin(loginForm);
         }
         
         const accessRequestForm = document.getElementById('accessRequestForm');
@@ -142,7 +157,8 @@ class EnhancedPortalAuth {
     
     async handleEnhancedLogin(form) {
         const username = form.querySelector('#username').value.trim();
-        const password = form.querySelector('#password').value.trim();
+        // Sent as typed: passwords are set untrimmed everywhere else
+        const password = form.querySelector('#password').value;
         
         if (!username || !password) {
             this.showMessage('Please enter both identity and frequency to access the underground.', 'warning');
@@ -206,6 +222,141 @@ class EnhancedPortalAuth {
         }
     }
     
+    setupMagicLinkLogin(loginForm) {
+        if (document.getElementById('magicLinkForm')) return;
+        
+        this.addMagicLinkStyles();
+        
+        const container = document.createElement('div');
+        container.className = 'magic-link-login';
+        container.innerHTML = `
+            <button type="button" class="magic-link-toggle" aria-expanded="false" aria-controls="magicLinkForm">
+                Email me a login link instead
+            </button>
+            <form id="magicLinkForm" class="magic-link-form" hidden>
+                <label for="magicLinkEmail">Email address</label>
+                <input type="email" id="magicLinkEmail" name="email" autocomplete="email" required>
+                <button type="submit" class="magic-link-submit">Send login link</button>
+            </form>
+        `;
+        loginForm.insertAdjacentElement('afterend', container);
+        
+        const toggle = container.querySelector('.magic-link-toggle');
+        const form = container.querySelector('#magicLinkForm');
+        
+        toggle.addEventListener('click', () => {
+            form.hidden = !form.hidden;
+            toggle.setAttribute('aria-expanded', String(!form.hidden));
+            if (!form.hidden) {
+                form.querySelector('input').focus();
+            }
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleMagicLinkRequest(form);
+        });
+    }
+    
+    async handleMagicLinkRequest(form) {
+        const email = form.querySelector('#magicLinkEmail').value.trim();
+        const submitButton = form.querySelector('.magic-link-submit');
+        
+        if (!email) {
+            this.showMessage('Please enter the email address you applied with.', 'warning');
+            return;
+        }
+        
+        submitButton.disabled = true;
+        
+        try {
+            const response = await fetch(this.endpoints.magicLink, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    email,
+                    returnTo: sessionStorage.getItem('returnUrl') || new URLSearchParams(window.location.search).get('returnTo')
+                })
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showMessage(result.error || 'Could not send a login link. Please try again.', 'error');
+                return;
+            }
+            
+            this.showMessage(result.message, 'success');
+            this.trackEventRobust('magic_link_requested', {});
+            form.reset();
+            
+        } catch (error) {
+            console.error('Magic link request error:', error);
+            this.showMessage('Connection error. Please check your network and try again.', 'error');
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+    
+    addMagicLinkStyles() {
+        if (document.getElementById('magicLinkStyles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'magicLinkStyles';
+        style.textContent = `
+            .magic-link-login {
+                margin-top: 1rem;
+                text-align: center;
+            }
+            .magic-link-toggle {
+                background: none;
+                border: none;
+                color: #00BFFF;
+                cursor: pointer;
+                font-size: 0.9rem;
+                text-decoration: underline;
+            }
+            .magic-link-form {
+                display: flex;
+                flex-direction: column;
+                gap: 0.6rem;
+                margin-top: 0.75rem;
+                text-align: left;
+            }
+            .magic-link-form[hidden] {
+                display: none;
+            }
+            .magic-link-form label {
+                color: rgba(255, 255, 255, 0.8);
+                font-weight: 600;
+            }
+            .magic-link-form input {
+                padding: 0.9rem;
+                background: rgba(0, 0, 0, 0.6);
+                border: 1px solid rgba(255, 149, 0, 0.3);
+                border-radius: 8px;
+                color: #fff;
+                font: inherit;
+            }
+            .magic-link-submit {
+                background: linear-gradient(135deg, #FF9500, #FFD700);
+                color: #000;
+                border: none;
+                padding: 0.8rem 1.4rem;
+                border-radius: 8px;
+                cursor: pointer;
+                font-weight: 600;
+            }
+            .magic-link-submit:disabled {
+                opacity: 0.6;
+                cursor: wait;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+    
     async fetchWithRetry(url, options, maxRetries = 3) {
         let lastError;
         
@@ -244,6 +395,7 @@ class EnhancedPortalAuth {
             email: formData.get('email'),
             phone: formData.get('phone'),
             country: formData.get('country'),
+            inviteCode: formData.get('inviteCode') || sessionStorage.getItem('inviteCode') || undefined,
             userAgent: navigator.userAgent,
             referrer: document.referrer
         };
@@ -267,11 +419,24 @@ class EnhancedPortalAuth {
             const result = await response.json();
             
             if (result.success) {
+                sessionStorage.removeItem('inviteCode');
                 this.showAccessSuccess();
-                this.trackEventRobust('access_request_submitted', { email: data.email, country: data.country });
+                if (result.approved) {
+                    this.showMessage('Invite accepted! Check your email to set your password.', 'success');
+                }
+                this.trackEventRobust('access_request_submitted', { email: data.email, country: data.country, invited: !!data.inviteCode });
                 
                 // Show newsletter signup option
                 this.showNewsletterOption(data.email);
+            } else if (result.field === 'inviteCode') {
+                sessionStorage.removeItem('inviteCode');
+                const errorEl = document.getElementById('inviteCode-error');
+                if (errorEl) {
+                    errorEl.textContent = result.message;
+                    errorEl.style.display = 'block';
+                } else {
+                    this.showMessage(result.message, 'error');
+                }
             } else {
                 this.showMessage('Error submitting request: ' + result.message, 'error');
             }
@@ -775,10 +940,21 @@ class EnhancedPortalAuth {
         }
         
         // Add global search shortcut
+        this.bindSearchShortcut();
+    }
+    
+    bindSearchShortcut() {
+        if (this.searchShortcutBound) return;
+        this.searchShortcutBound = true;
+        
         document.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+            if ((e.ctrlKey || e.metaKey) && (e.key || '').toLowerCase() === 'k') {
                 e.preventDefault();
-                this.showSearchModal();
+                if (this.isSearchModalOpen()) {
+                    this.closeSearchModal();
+                } else {
+                    this.showSearchModal();
+                }
             }
         });
     }
@@ -858,41 +1034,874 @@ class EnhancedPortalAuth {
         resultsContainer.innerHTML = resultsHtml;
     }
     
+    // Command palette: accessible overlay with live results, recent searches and quick links
+    showSearchModal() {
+        let modal = document.getElementById('searchPalette');
+        if (!modal) {
+            modal = this.createSearchModal();
+        }
+        
+        this.searchPaletteReturnFocus = document.activeElement;
+        modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        
+        const input = document.getElementById('searchPaletteInput');
+        input.value = '';
+        this.renderSearchPaletteDefaults();
+        input.focus();
+        
+        this.trackEventRobust('search_palette_opened', { page: window.location.pathname });
+    }
+    
+    closeSearchModal() {
+        const modal = document.getElementById('searchPalette');
+        if (!modal || modal.hidden) return;
+        
+        modal.hidden = true;
+        document.body.style.overflow = '';
+        clearTimeout(this.searchPaletteTimeout);
+        
+        if (this.searchPaletteReturnFocus && typeof this.searchPaletteReturnFocus.focus === 'function') {
+            this.searchPaletteReturnFocus.focus();
+        }
+        this.searchPaletteReturnFocus = null;
+    }
+    
+    isSearchModalOpen() {
+        const modal = document.getElementById('searchPalette');
+        return !!modal && !modal.hidden;
+    }
+    
+    createSearchModal() {
+        const modalHtml = `
+            <div id="searchPalette" class="search-palette" hidden>
+                <div class="search-palette-panel" role="dialog" aria-modal="true" aria-label="Search the portal">
+                    <div class="search-palette-header">
+                        <span class="search-palette-icon" aria-hidden="true">🔍</span>
+                        <input type="text" id="searchPaletteInput" class="search-palette-input"
+                            placeholder="Search underground content..." autocomplete="off" spellcheck="false"
+                            role="combobox" aria-expanded="true" aria-autocomplete="list"
+                            aria-controls="searchPaletteList" aria-activedescendant="">
+                        <kbd class="search-palette-kbd">Esc</kbd>
+                    </div>
+                    <div id="searchPaletteList" class="search-palette-list" role="listbox" aria-label="Search results"></div>
+                    <div id="searchPaletteStatus" class="search-palette-sr" role="status" aria-live="polite"></div>
+                    <div class="search-palette-footer" aria-hidden="true">
+                        <span><kbd>↑</kbd><kbd>↓</kbd> navigate</span>
+                        <span><kbd>Enter</kbd> open</span>
+                        <span><kbd>Esc</kbd> close</span>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+        this.addSearchModalStyles();
+        
+        const modal = document.getElementById('searchPalette');
+        const input = document.getElementById('searchPaletteInput');
+        const list = document.getElementById('searchPaletteList');
+        
+        // Close when clicking the backdrop
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeSearchModal();
+        });
+        
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchPaletteTimeout);
+            const query = input.value.trim();
+            
+            if (query.length < 2) {
+                this.renderSearchPaletteDefaults();
+                return;
+            }
+            
+            this.searchPaletteTimeout = setTimeout(() => this.runSearchPaletteQuery(query), 250);
+        });
+        
+        // Handled on the modal so page-level shortcuts (e.g. carousel arrows) don't fire underneath
+        modal.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.moveSearchPaletteSelection(1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.moveSearchPaletteSelection(-1);
+                    break;
+                case 'Home':
+                case 'End':
+                    if (!this.searchPaletteItems.length) return;
+                    e.preventDefault();
+                    this.setSearchPaletteSelection(e.key === 'Home' ? 0 : this.searchPaletteItems.length - 1);
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    if (this.searchPaletteIndex >= 0) {
+                        this.openSearchPaletteItem(this.searchPaletteIndex);
+                    } else if (input.value.trim().length >= 2) {
+                        clearTimeout(this.searchPaletteTimeout);
+                        this.runSearchPaletteQuery(input.value.trim());
+                    }
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    this.closeSearchModal();
+                    break;
+                case 'Tab':
+                    // Focus stays on the input while the dialog is open
+                    e.preventDefault();
+                    input.focus();
+                    break;
+                default:
+                    if ((e.ctrlKey || e.metaKey) && (e.key || '').toLowerCase() === 'k') return;
+            }
+            e.stopPropagation();
+        });
+        
+        list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setSearchPaletteSelection(parseInt(option.dataset.index));
+        });
+        
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.openSearchPaletteItem(parseInt(option.dataset.index));
+        });
+        
+        return modal;
+    }
+    
+    renderSearchPaletteDefaults() {
+        const recent = this.getRecentSearches().map(query => ({
+            type: 'recent',
+            title: query,
+            query
+        }));
+        const links = this.quickLinks.map(link => ({ type: 'link', ...link }));
+        
+        this.renderSearchPaletteItems([
+            ...(recent.length ? [{ heading: 'Recent searches' }, ...recent] : []),
+            { heading: 'Quick links' },
+            ...links
+        ]);
+    }
+    
+    async runSearchPaletteQuery(query) {
+        const requestId = (this.searchPaletteRequestId || 0) + 1;
+        this.searchPaletteRequestId = requestId;
+        this.setSearchPaletteStatus('Searching...');
+        
+        try {
+            const response = await fetch(`${this.endpoints.search}?q=${encodeURIComponent(query)}&limit=8`);
+            const data = await response.json();
+            
+            // Ignore responses that arrive after a newer query
+            if (requestId !== this.searchPaletteRequestId) return;
+            
+            const results = (data.results || []).map(result => ({
+                type: 'result',
+                title: result.title,
+                description: result.snippet || result.description || '',
+                meta: [result.category, result.published_at ? new Date(result.published_at).toLocaleDateString() : '']
+                    .filter(Boolean).join(' • '),
+                locked: result.requires_auth,
+                lockedLabel: result.access_tier === 'insider' ? 'Insiders only' : 'Members only',
+                url: `/blog/${encodeURIComponent(result.slug)}`,
+                query
+            }));
+            
+            this.renderSearchPaletteItems(results.length
+                ? [{ heading: 'Posts' }, ...results]
+                : [{ empty: `No results for "${query}"` }, { heading: 'Quick links' }, ...this.quickLinks.map(link => ({ type: 'link', ...link }))]);
+            this.setSearchPaletteStatus(`${results.length} result${results.length === 1 ? '' : 's'} found`);
+            this.trackEventRobust('search_performed', { query, results_count: results.length, source: 'palette' });
+            
+        } catch (error) {
+            if (requestId !== this.searchPaletteRequestId) return;
+            console.error('Search error:', error);
+            this.renderSearchPaletteItems([{ empty: 'Search is unavailable right now' }, { heading: 'Quick links' }, ...this.quickLinks.map(link => ({ type: 'link', ...link }))]);
+            this.setSearchPaletteStatus('Search is unavailable right now');
+        }
+    }
+    
+    renderSearchPaletteItems(entries) {
+        const list = document.getElementById('searchPaletteList');
+        const icons = { result: '📄', recent: '🕘', link: '➜' };
+        this.searchPaletteItems = [];
+        this.searchPaletteIndex = -1;
+        
+        list.innerHTML = entries.map(entry => {
+            if (entry.heading) {
+                return `<div class="search-palette-heading" role="presentation">${this.escapeHtml(entry.heading)}</div>`;
+            }
+            if (entry.empty) {
+                return `<div class="search-palette-empty" role="presentation">${this.escapeHtml(entry.empty)}</div>`;
+            }
+            
+            const index = this.searchPaletteItems.push(entry) - 1;
+            return `
+                <div class="search-palette-option" role="option" id="searchPaletteOption-${index}" data-index="${index}" aria-selected="false">
+                    <span class="search-palette-option-icon" aria-hidden="true">${icons[entry.type]}</span>
+                    <span class="search-palette-option-body">
+                        <span class="search-palette-option-title">${this.escapeHtml(entry.title)}${entry.locked ? ` <span class="search-palette-locked" aria-label="${entry.lockedLabel}">🔒</span>` : ''}</span>
+                        ${entry.description ? `<span class="search-palette-option-description">${entry.type === 'result' ? entry.description : this.escapeHtml(entry.description)}</span>` : ''}
+                        ${entry.meta ? `<span class="search-palette-option-meta">${this.escapeHtml(entry.meta)}</span>` : ''}
+                    </span>
+                </div>
+            `;
+        }).join('');
+        
+        document.getElementById('searchPaletteInput').setAttribute('aria-activedescendant', '');
+        if (this.searchPaletteItems.length && entries.some(entry => entry.type === 'result')) {
+            this.setSearchPaletteSelection(0);
+        }
+    }
+    
+    moveSearchPaletteSelection(step) {
+        const count = this.searchPaletteItems.length;
+        if (!count) return;
+        this.setSearchPaletteSelection((this.searchPaletteIndex + step + count) % count);
+    }
+    
+    setSearchPaletteSelection(index) {
+        const list = document.getElementById('searchPaletteList');
+        const input = document.getElementById('searchPaletteInput');
+        
+        list.querySelectorAll('[role="option"]').forEach(option => {
+            option.setAttribute('aria-selected', 'false');
+        });
+        
+        const option = document.getElementById(`searchPaletteOption-${index}`);
+        if (!option) return;
+        
+        this.searchPaletteIndex = index;
+        option.setAttribute('aria-selected', 'true');
+        option.scrollIntoView({ block: 'nearest' });
+        input.setAttribute('aria-activedescendant', option.id);
+    }
+    
+    openSearchPaletteItem(index) {
+        const item = this.searchPaletteItems && this.searchPaletteItems[index];
+        if (!item) return;
+        
+        if (item.type === 'recent') {
+            const input = document.getElementById('searchPaletteInput');
+            input.value = item.query;
+            this.runSearchPaletteQuery(item.query);
+            return;
+        }
+        
+        if (item.query) {
+            this.saveRecentSearch(item.query);
+        }
+        
+        this.trackEventRobust('search_result_opened', { url: item.url, type: item.type });
+        this.closeSearchModal();
+        window.location.href = item.url;
+    }
+    
+    setSearchPaletteStatus(message) {
+        const status = document.getElementById('searchPaletteStatus');
+        if (status) status.textContent = message;
+    }
+    
+    getRecentSearches() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(this.recentSearchesKey) || '[]');
+            return Array.isArray(recent) ? recent.filter(query => typeof query === 'string').slice(0, this.maxRecentSearches) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    saveRecentSearch(query) {
+        try {
+            const recent = this.getRecentSearches().filter(item => item.toLowerCase() !== query.toLowerCase());
+            recent.unshift(query);
+            localStorage.setItem(this.recentSearchesKey, JSON.stringify(recent.slice(0, this.maxRecentSearches)));
+        } catch (error) {
+            console.log('Could not save recent search (non-critical):', error);
+        }
+    }
+    
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+    
+    addSearchModalStyles() {
+        if (document.getElementById('searchPaletteStyles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'searchPaletteStyles';
+        style.textContent = `
+            .search-palette {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.8);
+                display: flex;
+                align-items: flex-start;
+                justify-content: center;
+                padding: 12vh 1rem 1rem;
+                box-sizing: border-box;
+                z-index: 10001;
+                backdrop-filter: blur(10px);
+            }
+            .search-palette[hidden] {
+                display: none;
+            }
+            .search-palette-panel {
+                width: 100%;
+                max-width: 620px;
+                max-height: 70vh;
+                display: flex;
+                flex-direction: column;
+                background: linear-gradient(145deg, #2a2a2a, #1a1a1a);
+                border: 1px solid rgba(255, 149, 0, 0.3);
+                border-radius: 15px;
+                box-shadow: 0 20px 60px rgba(0, 0, 0, 0.6);
+                color: #fff;
+                overflow: hidden;
+            }
+            .search-palette-header {
+                display: flex;
+                align-items: center;
+                gap: 0.75rem;
+                padding: 1rem 1.25rem;
+                border-bottom: 1px solid rgba(255, 149, 0, 0.2);
+            }
+            .search-palette-input {
+                flex: 1;
+                background: transparent;
+                border: none;
+                outline: none;
+                color: #fff;
+                font-size: 1.1rem;
+            }
+            .search-palette-list {
+                overflow-y: auto;
+                padding: 0.5rem;
+            }
+            .search-palette-heading {
+                padding: 0.75rem 0.75rem 0.35rem;
+                font-family: 'Orbitron', sans-serif;
+                font-size: 0.7rem;
+                letter-spacing: 0.1em;
+                text-transform: uppercase;
+                color: rgba(255, 149, 0, 0.8);
+            }
+            .search-palette-empty {
+                padding: 1rem 0.75rem;
+                color: rgba(255, 255, 255, 0.6);
+            }
+            .search-palette-option {
+                display: flex;
+                gap: 0.75rem;
+                padding: 0.7rem 0.75rem;
+                border-radius: 8px;
+                cursor: pointer;
+            }
+            .search-palette-option[aria-selected="true"] {
+                background: rgba(255, 149, 0, 0.15);
+                box-shadow: inset 3px 0 0 #FF9500;
+            }
+            .search-palette-option-body {
+                display: flex;
+                flex-direction: column;
+                gap: 0.2rem;
+                min-width: 0;
+            }
+            .search-palette-option-title {
+                font-weight: 600;
+            }
+            .search-palette-option-description {
+                font-size: 0.85rem;
+                color: rgba(255, 255, 255, 0.7);
+            }
+            .search-palette-option-description mark {
+                background: rgba(255, 215, 0, 0.25);
+                color: #FFD700;
+                border-radius: 2px;
+            }
+            .search-palette-option-meta {
+                font-size: 0.75rem;
+                color: rgba(255, 149, 0, 0.6);
+            }
+            .search-palette-footer {
+                display: flex;
+                gap: 1.25rem;
+                padding: 0.6rem 1.25rem;
+                border-top: 1px solid rgba(255, 149, 0, 0.2);
+                font-size: 0.75rem;
+                color: rgba(255, 255, 255, 0.5);
+            }
+            .search-palette kbd {
+                display: inline-block;
+                padding: 0.1rem 0.4rem;
+                margin-right: 0.2rem;
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 4px;
+                font-family: inherit;
+                font-size: 0.7rem;
+                color: rgba(255, 255, 255, 0.7);
+            }
+            .search-palette-sr {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                overflow: hidden;
+                clip: rect(0 0 0 0);
+                white-space: nowrap;
+            }
+            @media (prefers-reduced-motion: no-preference) {
+                .search-palette-panel {
+                    animation: searchPaletteIn 0.15s ease-out;
+                }
+            }
+            @keyframes searchPaletteIn {
+                from { opacity: 0; transform: translateY(-8px); }
+                to { opacity: 1; transform: translateY(0); }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+    
     addNewsletterWidgets() {
         // Newsletter functionality is handled by the modal system
     }
     
-    loadComments() {
-        // Placeholder for comment loading
+    // Member comments: threaded discussion below blog posts, moderated before it appears
+    async loadComments() {
+        const slug = this.getCommentsSlug();
+        if (!slug) return;
+        
+        const section = this.getCommentsSection();
+        const list = section.querySelector('.comments-list');
+        
+        if (!this.isUserAuthenticated()) {
+            this.renderCommentsLoginPrompt(section);
+            return;
+        }
+        
+        list.innerHTML = '<div class="comments-empty">Loading discussion...</div>';
+        
+        try {
+            const response = await fetch(`${this.endpoints.comments}?slug=${encodeURIComponent(slug)}`);
+            
+            if (response.status === 401) {
+                this.renderCommentsLoginPrompt(section);
+                return;
+            }
+            
+            // Logged in, but the post needs a higher access tier
+            if (response.status === 403) {
+                list.innerHTML = '<div class="comments-locked">🔒 This discussion is open to readers with access to the full story.</div>';
+                section.querySelector('.comments-form-container').innerHTML = '';
+                return;
+            }
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Comments returned ${response.status}`);
+            }
+            
+            section.querySelector('.comments-count').textContent = data.count ? `(${data.count})` : '';
+            list.innerHTML = data.comments.length
+                ? data.comments.map(comment => this.renderComment(comment)).join('')
+                : '<div class="comments-empty">No comments yet. Start the conversation.</div>';
+            
+        } catch (error) {
+            console.log('Comments loading failed:', error);
+            list.innerHTML = '<div class="comments-empty">Comments could not be loaded right now.</div>';
+        }
     }
     
     setupCommentForm() {
-        // Placeholder for comment form setup
+        const slug = this.getCommentsSlug();
+        if (!slug) return;
+        
+        const section = this.getCommentsSection();
+        if (section.dataset.formReady) return;
+        section.dataset.formReady = 'true';
+        
+        if (this.isUserAuthenticated()) {
+            section.querySelector('.comments-form-container').innerHTML = this.createCommentForm(null);
+        }
+        
+        section.addEventListener('click', (e) => {
+            const replyButton = e.target.closest('.comment-reply-btn');
+            if (replyButton) {
+                this.toggleReplyForm(replyButton);
+                return;
+            }
+            
+            const cancelButton = e.target.closest('.comment-cancel-btn');
+            if (cancelButton) {
+                const comment = cancelButton.closest('.comment');
+                comment.querySelector('.comment-reply-slot').innerHTML = '';
+                comment.querySelector('.comment-reply-btn').setAttribute('aria-expanded', 'false');
+                comment.querySelector('.comment-reply-btn').focus();
+            }
+        });
+        
+        section.addEventListener('submit', (e) => {
+            const form = e.target.closest('.comment-form');
+            if (!form) return;
+            e.preventDefault();
+            this.submitComment(form, slug);
+        });
+    }
+    
+    getCommentsSlug() {
+        const match = window.location.pathname.match(/^\/blog\/([^/]+)\/?$/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+    
+    getCommentsSection() {
+        let section = document.querySelector('.comments-section');
+        if (!section) {
+            section = document.createElement('section');
+            section.className = 'comments-section';
+            
+            const article = document.querySelector('.blog-content');
+            const container = document.querySelector('.blog-container, main, .container') || document.body;
+            if (article) {
+                article.insertAdjacentElement('afterend', section);
+            } else {
+                container.appendChild(section);
+            }
+        }
+        
+        if (!section.querySelector('.comments-list')) {
+            section.id = section.id || 'comments';
+            section.setAttribute('aria-labelledby', 'commentsHeading');
+            section.innerHTML = `
+                <h2 id="commentsHeading" class="comments-heading">Discussion <span class="comments-count"></span></h2>
+                <div class="comments-list"></div>
+                <div class="comments-form-container"></div>
+            `;
+            this.addCommentStyles();
+        }
+        
+        return section;
+    }
+    
+    renderCommentsLoginPrompt(section) {
+        const returnTo = encodeURIComponent(window.location.pathname + '#comments');
+        section.querySelector('.comments-list').innerHTML = `
+            <div class="comments-locked">
+                🔒 The discussion is open to members of the underground.
+                <a href="/?focus=login&returnTo=${returnTo}">Log in</a> or
+                <a href="/?focus=signup&returnTo=${returnTo}">request access</a> to read and join in.
+            </div>
+        `;
+        section.querySelector('.comments-form-container').innerHTML = '';
+    }
+    
+    renderComment(comment) {
+        const created = new Date(String(comment.created_at).replace(' ', 'T') + (String(comment.created_at).includes('Z') ? '' : 'Z'));
+        const replies = comment.replies || [];
+        
+        return `
+            <article class="comment" id="comment-${comment.id}" data-comment-id="${comment.id}">
+                <header class="comment-meta">
+                    <strong>${this.escapeHtml(comment.author_name)}</strong>
+                    <time datetime="${isNaN(created) ? '' : created.toISOString()}">${isNaN(created) ? '' : created.toLocaleString()}</time>
+                </header>
+                <div class="comment-text">${this.escapeHtml(comment.body)}</div>
+                <button type="button" class="comment-reply-btn" aria-expanded="false">Reply</button>
+                <div class="comment-reply-slot"></div>
+                ${replies.length ? `<div class="comment-replies">${replies.map(reply => this.renderComment(reply)).join('')}</div>` : ''}
+            </article>
+        `;
+    }
+    
+    createCommentForm(parentId) {
+        const fieldId = `commentBody-${parentId || 'new'}`;
+        return `
+            <form class="comment-form" data-parent-id="${parentId || ''}">
+                <label for="${fieldId}">${parentId ? 'Your reply' : 'Join the discussion'}</label>
+                <textarea id="${fieldId}" name="body" rows="${parentId ? 3 : 4}" maxlength="5000" required
+                    placeholder="${parentId ? 'Write a reply...' : 'Share your take on the lineup, venues or the night itself...'}"></textarea>
+                <div class="comment-form-actions">
+                    <button type="submit" class="comment-submit-btn">${parentId ? 'Post reply' : 'Post comment'}</button>
+                    ${parentId ? '<button type="button" class="comment-cancel-btn">Cancel</button>' : ''}
+                </div>
+                <div class="comment-form-status" role="status" aria-live="polite"></div>
+            </form>
+        `;
+    }
+    
+    toggleReplyForm(button) {
+        const comment = button.closest('.comment');
+        const slot = comment.querySelector('.comment-reply-slot');
+        
+        if (slot.innerHTML.trim()) {
+            slot.innerHTML = '';
+            button.setAttribute('aria-expanded', 'false');
+            return;
+        }
+        
+        slot.innerHTML = this.createCommentForm(comment.dataset.commentId);
+        button.setAttribute('aria-expanded', 'true');
+        slot.querySelector('textarea').focus();
+    }
+    
+    async submitComment(form, slug) {
+        const textarea = form.querySelector('textarea');
+        const status = form.querySelector('.comment-form-status');
+        const submitButton = form.querySelector('.comment-submit-btn');
+        const body = textarea.value.trim();
+        
+        if (body.length < 2) {
+            status.textContent = 'Please write a little more before posting.';
+            return;
+        }
+        
+        submitButton.disabled = true;
+        status.textContent = 'Posting...';
+        
+        try {
+            const response = await fetch(this.endpoints.comments, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    slug,
+                    parentId: form.dataset.parentId ? parseInt(form.dataset.parentId) : null,
+                    body
+                })
+            });
+            
+            const result = await response.json();
+            
+            if (response.status === 401) {
+                this.renderCommentsLoginPrompt(this.getCommentsSection());
+                return;
+            }
+            
+            if (!response.ok || !result.success) {
+                status.textContent = result.error || 'Your comment could not be posted. Please try again.';
+                return;
+            }
+            
+            textarea.value = '';
+            status.textContent = 'Thanks! Your comment is awaiting moderation and will appear once approved.';
+            this.trackEventRobust('comment_submitted', { slug, is_reply: !!form.dataset.parentId });
+            
+        } catch (error) {
+            console.error('Comment submit error:', error);
+            status.textContent = 'Connection error. Please try again.';
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+    
+    addCommentStyles() {
+        if (document.getElementById('commentStyles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'commentStyles';
+        style.textContent = `
+            .comments-section {
+                max-width: 800px;
+                margin: 3rem auto;
+                padding: 2rem;
+                background: rgba(255, 255, 255, 0.03);
+                border: 1px solid rgba(255, 149, 0, 0.2);
+                border-radius: 15px;
+                color: #fff;
+            }
+            .comments-heading {
+                color: #FF9500;
+                font-family: 'Orbitron', sans-serif;
+                margin-bottom: 1.5rem;
+            }
+            .comments-count {
+                color: rgba(255, 255, 255, 0.5);
+                font-size: 0.8em;
+            }
+            .comments-empty,
+            .comments-locked {
+                padding: 1rem 0;
+                color: rgba(255, 255, 255, 0.7);
+            }
+            .comments-locked a {
+                color: #00BFFF;
+            }
+            .comment {
+                padding: 1rem 0 0.5rem;
+                border-top: 1px solid rgba(255, 149, 0, 0.15);
+            }
+            .comment-replies {
+                margin-left: 1.5rem;
+                padding-left: 1rem;
+                border-left: 2px solid rgba(255, 149, 0, 0.25);
+            }
+            .comment-meta {
+                display: flex;
+                gap: 0.75rem;
+                align-items: baseline;
+                margin-bottom: 0.4rem;
+            }
+            .comment-meta strong {
+                color: #FFD700;
+            }
+            .comment-meta time {
+                font-size: 0.8rem;
+                color: rgba(255, 255, 255, 0.5);
+            }
+            .comment-text {
+                white-space: pre-wrap;
+                word-break: break-word;
+                line-height: 1.6;
+                color: rgba(255, 255, 255, 0.85);
+            }
+            .comment-reply-btn,
+            .comment-cancel-btn {
+                background: none;
+                border: none;
+                color: #00BFFF;
+                cursor: pointer;
+                padding: 0.4rem 0;
+                font-size: 0.85rem;
+            }
+            .comment-form {
+                display: flex;
+                flex-direction: column;
+                gap: 0.6rem;
+                margin-top: 1.5rem;
+            }
+            .comment-reply-slot .comment-form {
+                margin-top: 0.5rem;
+            }
+            .comment-form label {
+                color: rgba(255, 255, 255, 0.8);
+                font-weight: 600;
+            }
+            .comment-form textarea {
+                width: 100%;
+                padding: 0.9rem;
+                background: rgba(0, 0, 0, 0.6);
+                border: 1px solid rgba(255, 149, 0, 0.3);
+                border-radius: 8px;
+                color: #fff;
+                font: inherit;
+                resize: vertical;
+                box-sizing: border-box;
+            }
+            .comment-form-actions {
+                display: flex;
+                gap: 1rem;
+                align-items: center;
+            }
+            .comment-submit-btn {
+                background: linear-gradient(135deg, #FF9500, #FFD700);
+                color: #000;
+                border: none;
+                padding: 0.7rem 1.4rem;
+                border-radius: 8px;
+                cursor: pointer;
+                font-weight: 600;
+            }
+            .comment-submit-btn:disabled {
+                opacity: 0.6;
+                cursor: wait;
+            }
+            .comment-form-status {
+                font-size: 0.85rem;
+                color: rgba(255, 255, 255, 0.7);
+            }
+        `;
+        document.head.appendChild(style);
     }
     
+    // Only display flags are stored; the profile itself is always read from /api/me
     setAuthenticationState(authData) {
         sessionStorage.setItem('dutchPortalAuth', 'authenticated');
-        sessionStorage.setItem('dutchPortalUser', JSON.stringify(authData.user));
-        sessionStorage.setItem('dutchPortalSession', authData.sessionId);
+        if (authData.sessionId) {
+            sessionStorage.setItem('dutchPortalSession', authData.sessionId);
+        }
         sessionStorage.setItem('dutchPortalTime', new Date().toISOString());
         
         localStorage.setItem('dutchPortalAuth', 'authenticated');
-        localStorage.setItem('dutchPortalUser', JSON.stringify(authData.user));
+        
+        this.currentUser = authData.user || null;
         
         console.log('✅ Authentication state set successfully');
-        console.log('Session ID:', authData.sessionId);
     }
     
-    checkAuthenticationState() {
+    async checkAuthenticationState() {
+        // Magic-link logins arrive with only the HttpOnly cookie set
+        const urlParams = new URLSearchParams(window.location.search);
+        const viaMagicLink = urlParams.get('auth') === 'link';
+        if (viaMagicLink) {
+            urlParams.delete('auth');
+            const query = urlParams.toString();
+            history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+            
+            const user = await this.loadCurrentUser();
+            if (user) {
+                this.setAuthenticationState({ user });
+                this.showMessage('Access granted! Welcome to the underground collective...', 'success');
+                this.trackEventRobust('user_login', { method: 'magic_link' });
+            }
+        }
+        
         const isAuthenticated = this.isUserAuthenticated();
         console.log('Current authentication state:', isAuthenticated);
         
-        if (isAuthenticated) {
-            console.log('User is authenticated, updating UI...');
+        if (!isAuthenticated) return;
+        
+        console.log('User is authenticated, updating UI...');
+        this.updateUIForAuthenticatedUser();
+        
+        if (!viaMagicLink && await this.loadCurrentUser()) {
             this.updateUIForAuthenticatedUser();
         }
     }
     
+    // The HttpOnly session cookie is the real credential; local flags are
+    // dropped as soon as the server no longer recognises it
+    async loadCurrentUser() {
+        try {
+            const response = await fetch(this.endpoints.me, { cache: 'no-store' });
+            if (response.status === 401) {
+                console.log('Member session has ended, clearing local login state');
+                this.clearAuthenticationState();
+                return null;
+            }
+            
+            const result = await response.json();
+            this.currentUser = response.ok ? result.user : null;
+        } catch (error) {
+            console.log('Profile check failed (non-critical):', error);
+        }
+        return this.currentUser;
+    }
+    
+    clearAuthenticationState() {
+        sessionStorage.removeItem('dutchPortalAuth');
+        sessionStorage.removeItem('dutchPortalUser');
+        sessionStorage.removeItem('dutchPortalSession');
+        sessionStorage.removeItem('dutchPortalTime');
+        
+        localStorage.removeItem('dutchPortalAuth');
+        localStorage.removeItem('dutchPortalUser');
+        
+        document.body.classList.remove('authenticated');
+        this.currentUser = null;
+    }
+    
+    // Display-only: decides which UI to show. Access to gated content is
+    // enforced by the worker via the signed session cookie.
     isUserAuthenticated() {
         const sessionAuth = sessionStorage.getItem('dutchPortalAuth');
         if (sessionAuth === 'authenticated') {
@@ -927,6 +1936,17 @@ class EnhancedPortalAuth {
             sessionStorage.setItem('returnUrl', returnTo);
             this.focusSignupForm();
         }
+        
+        // Invite links (/?focus=signup&invite=CODE) prefill the code for the access request
+        const invite = urlParams.get('invite');
+        if (invite) {
+            sessionStorage.setItem('inviteCode', invite);
+            const inviteInput = document.getElementById('inviteCode');
+            if (inviteInput) {
+                inviteInput.value = invite;
+            }
+            this.focusSignupForm();
+        }
     }
     
     getReturnUrl() {
@@ -984,6 +2004,17 @@ class EnhancedPortalAuth {
         authElements.forEach(element => {
             element.style.display = 'block';
         });
+        
+        document.querySelectorAll('a.login-btn').forEach(link => {
+            link.href = '/account';
+            link.innerHTML = '<i class="fa-solid fa-user"></i> My Account';
+        });
+        
+        if (this.currentUser) {
+            document.querySelectorAll('[data-member-name]').forEach(element => {
+                element.textContent = this.currentUser.displayName || this.currentUser.username;
+            });
+        }
     }
     
     showMessage(text, type = 'info') {
@@ -1300,7 +2331,7 @@ window.subscribeToNewsletter = async function() {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ email })
+            body: JSON.stringify({ email, source: 'newsletter-modal' })
         });
         
         const result = await response.json();
@@ -1329,7 +2360,7 @@ window.subscribeToNewsletterFooter = async function() {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ email })
+            body: JSON.stringify({ email, source: 'footer' })
         });
         
         const result = await response.json();
@@ -1358,14 +2389,36 @@ window.performSearch = function(query) {
     }
 };
 
+window.showSearchModal = function() {
+    if (window.EnhancedPortalAuth) {
+        window.EnhancedPortalAuth.showSearchModal();
+    }
+};
+
 window.navigateToResult = function(slug) {
     window.location.href = `/blog/${slug}`;
 };
 
-window.logout = function() {
+window.logout = async function(everywhere) {
     console.log('🔓 Enhanced logout requested');
     
-    if (confirm('Are you sure you want to logout from the underground portal?')) {
+    // Also used as a plain click handler, so only a literal true means everywhere
+    everywhere = everywhere === true;
+    
+    if (confirm(everywhere
+        ? 'Log out from the underground portal on all of your devices?'
+        : 'Are you sure you want to logout from the underground portal?')) {
+        // Revoke the session server-side first; the HttpOnly cookie can only be cleared by the worker
+        try {
+            await fetch('/api/portal-auth/logout', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ everywhere })
+            });
+        } catch (error) {
+            console.error('Server logout failed:', error);
+        }
+        
         sessionStorage.removeItem('dutchPortalAuth');
         sessionStorage.removeItem('dutchPortalUser');
         sessionStorage.removeItem('dutchPortalSession');
@@ -0,0 +1,5 @@
+-- Soft delete for blog posts: trashed posts keep their row and status,
+-- and are hidden everywhere until restored or purged.
+ALTER TABLE blog_posts ADD COLUMN deleted_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_deleted_at ON blog_posts (deleted_at);
@@ -0,0 +1,21 @@
+-- Immutable snapshot of a blog post, written on every admin save.
+CREATE TABLE IF NOT EXISTS blog_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  blog_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  content_html TEXT,
+  preview_content TEXT,
+  author TEXT,
+  edited_by TEXT,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_revisions_blog_id ON blog_revisions (blog_id, id);
+
+CREATE TRIGGER IF NOT EXISTS blog_revisions_immutable
+BEFORE UPDATE ON blog_revisions
+BEGIN
+  SELECT RAISE(ABORT, 'blog revisions are immutable');
+END;
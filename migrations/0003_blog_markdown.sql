@@ -0,0 +1,7 @@
+-- Markdown sources for blog posts. When set, the worker renders them into
+-- content_html / preview_content on every save; reads keep using the HTML.
+ALTER TABLE blog_posts ADD COLUMN content_markdown TEXT;
+ALTER TABLE blog_posts ADD COLUMN preview_markdown TEXT;
+
+ALTER TABLE blog_revisions ADD COLUMN content_markdown TEXT;
+ALTER TABLE blog_revisions ADD COLUMN preview_markdown TEXT;
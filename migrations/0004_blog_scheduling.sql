@@ -0,0 +1,6 @@
+-- Scheduled publishing: the cron handler flips status when these pass.
+ALTER TABLE blog_posts ADD COLUMN publish_at DATETIME;
+ALTER TABLE blog_posts ADD COLUMN unpublish_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_publish_at ON blog_posts (publish_at);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_unpublish_at ON blog_posts (unpublish_at);
@@ -0,0 +1,13 @@
+-- Permanent redirects to blog posts. Rows are added automatically when a
+-- post's slug changes; legacy top-level paths live here too.
+CREATE TABLE IF NOT EXISTS blog_redirects (
+  from_path TEXT PRIMARY KEY,
+  blog_id INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_redirects_blog_id ON blog_redirects (blog_id);
+
+-- Replaces the hard-coded /ade-2025-guide route in the worker
+INSERT OR IGNORE INTO blog_redirects (from_path, blog_id)
+SELECT '/ade-2025-guide', id FROM blog_posts WHERE slug = 'ade-2025-guide';
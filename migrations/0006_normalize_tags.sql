@@ -0,0 +1,16 @@
+-- Collapse existing tag and category spellings ("ADE", "ade", "A.D.E.") into
+-- the normalized form the worker now writes on create and update.
+UPDATE blog_posts
+SET tags = (
+  SELECT COALESCE(json_group_array(tag), '[]')
+  FROM (
+    SELECT DISTINCT lower(replace(replace(replace(trim(value), '.', ''), '''', ''), ' ', '-')) AS tag
+    FROM json_each(blog_posts.tags)
+    WHERE trim(value) != ''
+  )
+)
+WHERE json_valid(tags);
+
+UPDATE blog_posts
+SET category = lower(replace(replace(trim(category), '.', ''), ' ', '-'))
+WHERE category IS NOT NULL AND category != '';
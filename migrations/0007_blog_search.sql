@@ -0,0 +1,13 @@
+-- Full-text index behind /api/search, keyed by blog_posts.id (rowid).
+-- The worker stores plain text (HTML stripped) and keeps rows in sync on
+-- create, update, revision restore and purge. Gated text lives in the
+-- member_text column so anonymous queries can exclude it. Existing posts
+-- are indexed by the scheduled worker on its next runs.
+CREATE VIRTUAL TABLE IF NOT EXISTS blog_search USING fts5(
+  title,
+  description,
+  preview,
+  body,
+  member_text,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
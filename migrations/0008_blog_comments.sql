@@ -0,0 +1,21 @@
+-- Member comments on blog posts. Replies point at their parent comment and
+-- carry their nesting depth; new comments wait in 'pending' until an admin
+-- approves or rejects them from the dashboard.
+CREATE TABLE IF NOT EXISTS blog_comments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  blog_id INTEGER NOT NULL,
+  parent_id INTEGER,
+  depth INTEGER NOT NULL DEFAULT 0,
+  author_name TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  moderated_at DATETIME,
+  moderated_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_comments_thread ON blog_comments (blog_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_blog_comments_status ON blog_comments (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_blog_comments_parent ON blog_comments (parent_id);
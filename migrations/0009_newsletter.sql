@@ -0,0 +1,29 @@
+-- Newsletter subscribers with double opt-in. confirm_token is the single-use
+-- nonce embedded in the signed confirmation link; it is cleared on confirm.
+CREATE TABLE IF NOT EXISTS newsletter_subscribers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT UNIQUE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  source TEXT,
+  confirm_token TEXT,
+  confirm_sent_at DATETIME,
+  confirmed_at DATETIME,
+  unsubscribed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_subscribers_status ON newsletter_subscribers (status);
+
+-- Local mail transport (MAIL_TRANSPORT = "outbox"): messages are stored here
+-- instead of being sent.
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  to_address TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  text_body TEXT,
+  html_body TEXT,
+  headers TEXT,
+  category TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
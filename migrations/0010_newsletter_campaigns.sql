@@ -0,0 +1,50 @@
+-- Newsletter issues composed in the admin dashboard. html_body / text_body are
+-- snapshotted when sending starts so later post edits don't change an issue
+-- that is half-way out the door.
+CREATE TABLE IF NOT EXISTS newsletter_issues (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subject TEXT NOT NULL,
+  intro_markdown TEXT,
+  post_ids TEXT NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'draft',
+  html_body TEXT,
+  text_body TEXT,
+  recipient_count INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  send_started_at DATETIME,
+  sent_at DATETIME
+);
+
+-- One row per recipient per issue. The cron job claims queued rows in
+-- batches (claimed_at) and moves them to sent / failed / bounced.
+CREATE TABLE IF NOT EXISTS newsletter_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  issue_id INTEGER NOT NULL,
+  subscriber_id INTEGER NOT NULL,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',
+  error TEXT,
+  claimed_at DATETIME,
+  sent_at DATETIME,
+  opened_at DATETIME,
+  open_count INTEGER NOT NULL DEFAULT 0,
+  clicked_at DATETIME,
+  click_count INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (issue_id, subscriber_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_deliveries_queue ON newsletter_deliveries (status, id);
+CREATE INDEX IF NOT EXISTS idx_newsletter_deliveries_issue ON newsletter_deliveries (issue_id, status);
+
+CREATE TABLE IF NOT EXISTS newsletter_clicks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  issue_id INTEGER NOT NULL,
+  delivery_id INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_clicks_issue ON newsletter_clicks (issue_id, url);
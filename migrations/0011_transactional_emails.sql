@@ -0,0 +1,25 @@
+-- Admin overrides for the access-request emails. Templates without a row
+-- here use the defaults defined in worker.js; deleting a row resets it.
+CREATE TABLE IF NOT EXISTS email_templates (
+  key TEXT PRIMARY KEY,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  updated_by TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every transactional send attempt, successful or not
+CREATE TABLE IF NOT EXISTS email_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  template_key TEXT NOT NULL,
+  access_request_id INTEGER,
+  to_address TEXT NOT NULL,
+  subject TEXT,
+  status TEXT NOT NULL,
+  transport TEXT,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_log_request ON email_log (access_request_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_email_log_status ON email_log (status, created_at);
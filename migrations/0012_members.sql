@@ -0,0 +1,25 @@
+-- Portal members. password_hash is self-describing
+-- ("pbkdf2-sha256$<iterations>$<salt>$<hash>"), see hashPassword in worker.js.
+CREATE TABLE IF NOT EXISTS members (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  display_name TEXT,
+  password_hash TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  last_login DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS member_sessions (
+  id TEXT PRIMARY KEY,
+  member_id INTEGER NOT NULL,
+  expires_at DATETIME NOT NULL,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_sessions_member ON member_sessions (member_id, expires_at);
@@ -0,0 +1,19 @@
+-- Members provisioned by approving an access request keep a link to it, so
+-- re-approving finds the same account and rejecting can suspend it.
+ALTER TABLE members ADD COLUMN access_request_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_members_access_request ON members (access_request_id);
+
+-- Single-use invitations for setting the first password. The emailed link is
+-- a signed token carrying id + nonce; used_at is set when it is redeemed.
+CREATE TABLE IF NOT EXISTS member_invitations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INTEGER NOT NULL,
+  access_request_id INTEGER,
+  nonce TEXT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_invitations_member ON member_invitations (member_id, used_at);
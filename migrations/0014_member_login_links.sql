@@ -0,0 +1,17 @@
+-- Passwordless login links. Every request is recorded, including ones for
+-- addresses that are not members, so the per-email and per-IP rate limits
+-- can't be used to tell the two apart.
+CREATE TABLE IF NOT EXISTS member_login_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INTEGER,
+  email TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  return_to TEXT,
+  ip_address TEXT,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_login_links_email ON member_login_links (email, created_at);
+CREATE INDEX IF NOT EXISTS idx_member_login_links_ip ON member_login_links (ip_address, created_at);
@@ -0,0 +1,4 @@
+-- Profile fields members can edit themselves via /api/me. Provisioning copies
+-- them from the access request the member applied with.
+ALTER TABLE members ADD COLUMN country TEXT;
+ALTER TABLE members ADD COLUMN phone TEXT;
@@ -0,0 +1,22 @@
+-- Access tiers replace the single requires_auth flag. Tiers are ordered
+-- public < member < insider: posts require one, members hold one.
+-- requires_auth stays in sync (access_tier != 'public') for feeds, the
+-- sitemap and anything else that only needs "gated or not".
+ALTER TABLE blog_posts ADD COLUMN access_tier TEXT NOT NULL DEFAULT 'public';
+UPDATE blog_posts SET access_tier = 'member' WHERE requires_auth = 1;
+
+ALTER TABLE members ADD COLUMN tier TEXT NOT NULL DEFAULT 'member';
+
+-- Insider-only text gets its own search column so member queries can't
+-- match it. FTS5 tables can't gain columns, so the index is recreated; the
+-- scheduled worker re-indexes every post on its next runs.
+DROP TABLE IF EXISTS blog_search;
+CREATE VIRTUAL TABLE blog_search USING fts5(
+  title,
+  description,
+  preview,
+  body,
+  member_text,
+  insider_text,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
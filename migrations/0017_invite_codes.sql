@@ -0,0 +1,22 @@
+-- Members hand out invite codes; an access request that redeems one is
+-- approved straight away and remembers who referred it. invite_quota caps how
+-- many codes a member may issue (used ones included), adjustable per member.
+ALTER TABLE members ADD COLUMN invite_quota INTEGER NOT NULL DEFAULT 3;
+ALTER TABLE members ADD COLUMN referred_by INTEGER;
+
+ALTER TABLE access_requests ADD COLUMN referred_by INTEGER;
+ALTER TABLE access_requests ADD COLUMN invite_code_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_members_referred_by ON members (referred_by);
+
+-- access_request_id / used_at are set when the code is redeemed
+CREATE TABLE IF NOT EXISTS invite_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  member_id INTEGER NOT NULL,
+  access_request_id INTEGER,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invite_codes_member ON invite_codes (member_id, used_at);
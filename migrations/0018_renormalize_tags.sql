@@ -0,0 +1,5 @@
+-- 0006 could only approximate normalizeTag in SQL (no diacritic stripping, no
+-- collapsing of "&", "/" and other punctuation), so archive URLs missed rows.
+-- The scheduled worker now rewrites every unflagged row with normalizeTag and
+-- sets the flag; new rows start unflagged too, which just re-checks them once.
+ALTER TABLE blog_posts ADD COLUMN tags_normalized INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- Remembers which rejected access request suspended a member, so re-approving
+-- it lifts only that suspension and never one an admin set by hand. Members
+-- suspended before this column existed keep their suspension until an admin
+-- lifts it from the Members tab.
+ALTER TABLE members ADD COLUMN suspended_by_request_id INTEGER;
@@ -0,0 +1,5 @@
+-- Insider posts without a public preview used to index that preview as
+-- insider text, although every logged-in member is shown it. Dropping their
+-- rows lets the scheduled worker re-index them with the preview in member_text.
+DELETE FROM blog_search
+WHERE rowid IN (SELECT id FROM blog_posts WHERE access_tier = 'insider' AND COALESCE(is_public_preview, 0) = 0);
@@ -13,6 +13,92 @@ const corsHeaders = {
 };
 
 const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+const MEMBER_SESSION_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days
+// HttpOnly cookie holding the signed member session; __Host- pins it to this origin over HTTPS
+const MEMBER_SESSION_COOKIE = '__Host-dmp_session';
+// last_seen_at is refreshed at most this often to keep D1 writes down
+const MEMBER_SESSION_TOUCH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const MEMBER_STATUSES = ['active', 'suspended'];
+const MEMBER_USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MEMBER_PASSWORD_MIN_LENGTH = 8;
+const MEMBER_INVITATION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MEMBER_LOGIN_LINK_DURATION = 15 * 60 * 1000; // 15 minutes
+const MEMBER_LOGIN_LINK_EMAIL_LIMIT = 3; // per email per 15 minutes
+const MEMBER_LOGIN_LINK_IP_LIMIT = 10; // per IP per 15 minutes
+// Highest invite_quota an admin can give a member
+const MEMBER_INVITE_QUOTA_MAX = 100;
+// Invite codes avoid look-alike characters (0/O, 1/I/L) since they get read out loud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SITE_URL = 'https://ifitaintdutchitaintmuch.com';
+const SITE_NAME = 'Dutch Mystery Portal';
+const FEED_ITEM_LIMIT = 50;
+const SEARCH_MAX_RESULTS = 20;
+// Posts indexed per cron run when backfilling blog_search
+const SEARCH_BACKFILL_BATCH = 25;
+// Posts re-normalized per cron run, see backfillNormalizedTags
+const TAG_BACKFILL_BATCH = 100;
+
+// Blog fields that may be changed through PUT /api/admin/blogs/:id
+const BLOG_UPDATABLE_FIELDS = [
+  'slug', 'title', 'description', 'author', 'category', 'tags', 'status',
+  'requires_auth', 'access_tier', 'is_public_preview', 'content_html', 'preview_content',
+  'content_markdown', 'preview_markdown', 'publish_at', 'unpublish_at'
+];
+const BLOG_STATUSES = ['draft', 'published'];
+// Ordered lowest to highest: a post is readable by visitors whose tier is at
+// or above its access_tier (anonymous visitors are 'public'). Anonymous
+// visitors see a gated post's preview only if is_public_preview is set; any
+// logged-in member sees it regardless of tier, and search indexes it to match.
+const ACCESS_TIERS = ['public', 'member', 'insider'];
+const ACCESS_TIER_LABELS = { public: 'Public', member: 'Members', insider: 'Insiders' };
+// Tiers that can be assigned to member accounts
+const MEMBER_TIERS = ['member', 'insider'];
+const BLOG_INDEX_PAGE_SIZE = 12;
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+const COMMENT_MAX_LENGTH = 5000;
+// Replies deeper than this are attached to their parent's thread level
+const COMMENT_MAX_DEPTH = 4;
+const COMMENT_RATE_LIMIT = 5; // per IP per 10 minutes
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NEWSLETTER_CONFIRM_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Minimum gap before a pending subscriber is sent another confirmation email
+const NEWSLETTER_RESEND_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const NEWSLETTER_DELIVERY_STATUSES = ['queued', 'sent', 'failed', 'bounced'];
+// Recipients mailed per cron run (each SMTP send is its own connection)
+const NEWSLETTER_BATCH_SIZE = 25;
+// Claimed deliveries that never finished (worker evicted mid-batch) are retried after this
+const NEWSLETTER_CLAIM_TIMEOUT_MINUTES = 15;
+const NEWSLETTER_MAX_POSTS = 6;
+// URLs per sitemap file before /sitemap.xml becomes a sitemap index
+const SITEMAP_URL_LIMIT = 500;
+// Static pages merged into the sitemap; override with the SITEMAP_STATIC_PAGES var (JSON array)
+const SITEMAP_STATIC_PAGES = [
+  {
+    path: '/',
+    changefreq: 'weekly',
+    priority: '1.0',
+    images: [
+      { loc: '/images/og-dutch-mystery.jpg', title: 'Dutch Underground Techno Portal - Amsterdam Electronic Music Scene' }
+    ],
+    videos: [
+      {
+        content_loc: '/video/ifitaintdutchitaintmuch-neon.mp4',
+        thumbnail_loc: '/images/twitter-dutch-neon.jpg',
+        title: 'Dutch Underground Portal - Neon Atmosphere',
+        description: "Immersive underground neon atmosphere showcasing Amsterdam's electronic music scene"
+      }
+    ]
+  },
+  { path: '/contact', changefreq: 'monthly', priority: '0.5' },
+  { path: '/privacy-policy', changefreq: 'yearly', priority: '0.3' },
+  { path: '/terms-of-service', changefreq: 'yearly', priority: '0.3' },
+  { path: '/accessibility', changefreq: 'yearly', priority: '0.3' }
+];
+// Fields captured in every blog_revisions snapshot
+const BLOG_REVISION_FIELDS = [
+  'title', 'description', 'content_html', 'preview_content', 'author',
+  'content_markdown', 'preview_markdown'
+];
 
 export default {
   async fetch(request, env, ctx) {
@@ -26,18 +112,154 @@ export default {
 
       // Public API routes
       if (path === '/api/access-request' && request.method === 'POST') {
-        return await handleAccessRequest(request, env);
+        return await handleAccessRequest(request, env, ctx);
       }
 
       if (path === '/api/health' && request.method === 'GET') {
         return await handleHealthCheck(env);
       }
 
+      // Newsletter (double opt-in)
+      if (path === '/api/newsletter/subscribe' && request.method === 'POST') {
+        return await handleNewsletterSubscribe(request, env);
+      }
+
+      if (path === '/api/newsletter/confirm' && request.method === 'GET') {
+        return await handleNewsletterConfirm(request, env);
+      }
+
+      if (path === '/api/newsletter/unsubscribe' && (request.method === 'GET' || request.method === 'POST')) {
+        return await handleNewsletterUnsubscribe(request, env);
+      }
+
+      // Newsletter open / click tracking
+      if (path === '/api/newsletter/open' && request.method === 'GET') {
+        return await handleNewsletterOpen(request, env);
+      }
+
+      if (path === '/api/newsletter/click' && request.method === 'GET') {
+        return await handleNewsletterClick(request, env);
+      }
+
+      // Public blog index
+      if ((path === '/blog' || path === '/blog/') && request.method === 'GET') {
+        return await handleBlogIndex(request, env);
+      }
+
+      // Topic archives
+      if (path.startsWith('/blog/category/') && request.method === 'GET') {
+        return await handleBlogArchive(request, env, 'category');
+      }
+
+      if (path.startsWith('/blog/tag/') && request.method === 'GET') {
+        return await handleBlogArchive(request, env, 'tag');
+      }
+
+      // Sitemap (or sitemap index plus numbered parts once it grows)
+      const sitemapMatch = path.match(/^\/sitemap(?:-(\d+))?\.xml$/);
+      if (sitemapMatch && request.method === 'GET') {
+        return await handleSitemap(request, env, sitemapMatch[1] ? parseInt(sitemapMatch[1]) : null);
+      }
+
+      // RSS 2.0 / Atom feeds
+      if ((path === '/rss.xml' || path === '/feed.xml') && request.method === 'GET') {
+        return await handleFeed(request, env, path === '/rss.xml' ? 'rss' : 'atom');
+      }
+
+      if (path === '/api/search' && request.method === 'GET') {
+        return await handleSearch(request, env);
+      }
+
+      // Member comments
+      if (path === '/api/comments' && request.method === 'GET') {
+        return await handleGetComments(request, env);
+      }
+
+      if (path === '/api/comments' && request.method === 'POST') {
+        return await handleCreateComment(request, env);
+      }
+
+      if (path === '/api/tags' && request.method === 'GET') {
+        return await handleTagCloud(request, env);
+      }
+
       // Blog content routes (with preview system)
-      if (path.startsWith('/blog/') || path === '/ade-2025-guide') {
+      if (path.startsWith('/blog/')) {
         return await handleBlogContent(request, env);
       }
 
+      // Member authentication
+      if (path === '/api/portal-auth' && request.method === 'POST') {
+        return await handlePortalLogin(request, env);
+      }
+
+      if (path === '/api/portal-auth/logout' && request.method === 'POST') {
+        return await handlePortalLogout(request, env);
+      }
+
+      if (path === '/api/portal-auth/invitation' && (request.method === 'GET' || request.method === 'POST')) {
+        return await handleMemberInvitation(request, env);
+      }
+
+      if (path === '/api/portal-auth/magic-link' && request.method === 'POST') {
+        return await handleMagicLinkRequest(request, env, ctx);
+      }
+
+      if (path === '/api/portal-auth/magic-link/login' && (request.method === 'GET' || request.method === 'POST')) {
+        return await handleMagicLinkLogin(request, env);
+      }
+
+      // Member self-service (session cookie required)
+      if (path === '/account' && request.method === 'GET') {
+        return await handleAccountPage(request, env);
+      }
+
+      if (path === '/api/me' || path.startsWith('/api/me/')) {
+        const member = await getMemberSession(request, env);
+        if (!member) {
+          return new Response(JSON.stringify({ error: 'Not logged in', requiresAuth: true }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders },
+          });
+        }
+
+        if (path === '/api/me' && request.method === 'GET') {
+          return await handleGetProfile(request, env, member);
+        }
+
+        if (path === '/api/me' && request.method === 'PUT') {
+          return await handleUpdateProfile(request, env, member);
+        }
+
+        if (path === '/api/me' && request.method === 'DELETE') {
+          return await handleDeleteAccount(request, env, member);
+        }
+
+        if (path === '/api/me/password' && request.method === 'POST') {
+          return await handleChangePassword(request, env, member);
+        }
+
+        if (path === '/api/me/sessions' && request.method === 'GET') {
+          return await handleGetMemberSessions(request, env, member);
+        }
+
+        if (path.startsWith('/api/me/sessions/') && request.method === 'DELETE') {
+          return await handleRevokeMemberSession(request, env, member);
+        }
+
+        if (path === '/api/me/invites' && request.method === 'GET') {
+          return await handleGetMemberInvites(request, env, member);
+        }
+
+        if (path === '/api/me/invites' && request.method === 'POST') {
+          return await handleCreateMemberInvite(request, env, member);
+        }
+
+        if (path.startsWith('/api/me/invites/') && request.method === 'DELETE') {
+          return await handleRevokeMemberInvite(request, env, member);
+        }
+      }
+
       // Admin authentication routes
       if (path === '/api/admin/login' && request.method === 'POST') {
         return await handleAdminLogin(request, env);
@@ -52,8 +274,10 @@ export default {
       }
 
       // Protected admin routes
+      let adminUser = null;
       if (path.startsWith('/api/admin/') || path === '/admin') {
         const authResult = await verifyAdminSession(request, env);
+        adminUser = authResult.user || null;
         if (!authResult.success) {
           if (path === '/admin') {
             // Show admin login page instead of API error
@@ -77,30 +301,142 @@ export default {
       }
 
       if (path === '/api/admin/blogs' && request.method === 'POST') {
-        return await handleCreateBlog(request, env);
+        return await handleCreateBlog(request, env, adminUser);
+      }
+
+      if (path.startsWith('/api/admin/blogs/') && path.includes('/revisions')) {
+        return await handleBlogRevisions(request, env, adminUser);
+      }
+
+      if (path.startsWith('/api/admin/blogs/') && request.method === 'GET') {
+        return await handleGetBlog(request, env);
       }
 
       if (path.startsWith('/api/admin/blogs/') && request.method === 'PUT') {
-        return await handleUpdateBlog(request, env);
+        return await handleUpdateBlog(request, env, adminUser);
+      }
+
+      if (path.startsWith('/api/admin/blogs/') && path.endsWith('/restore') && request.method === 'POST') {
+        return await handleRestoreBlog(request, env);
+      }
+
+      if (path.startsWith('/api/admin/blogs/') && path.endsWith('/purge') && request.method === 'DELETE') {
+        return await handlePurgeBlog(request, env);
       }
 
       if (path.startsWith('/api/admin/blogs/') && request.method === 'DELETE') {
         return await handleDeleteBlog(request, env);
       }
 
+      // Comment moderation
+      if (path === '/api/admin/comments' && request.method === 'GET') {
+        return await handleAdminGetComments(request, env);
+      }
+
+      if (path.startsWith('/api/admin/comments/') && request.method === 'PUT') {
+        return await handleModerateComment(request, env, adminUser);
+      }
+
+      if (path.startsWith('/api/admin/comments/') && request.method === 'DELETE') {
+        return await handleDeleteComment(request, env);
+      }
+
+      // Newsletter campaigns
+      if (path === '/api/admin/newsletter/issues' && request.method === 'GET') {
+        return await handleGetNewsletterIssues(request, env);
+      }
+
+      if (path === '/api/admin/newsletter/issues' && request.method === 'POST') {
+        return await handleCreateNewsletterIssue(request, env, adminUser);
+      }
+
+      if (path === '/api/admin/newsletter/preview' && request.method === 'POST') {
+        return await handlePreviewNewsletterIssue(request, env);
+      }
+
+      if (path === '/api/admin/newsletter/test' && request.method === 'POST') {
+        return await handleTestNewsletterIssue(request, env);
+      }
+
+      if (path.startsWith('/api/admin/newsletter/issues/') && path.endsWith('/send') && request.method === 'POST') {
+        return await handleSendNewsletterIssue(request, env, ctx);
+      }
+
+      if (path.startsWith('/api/admin/newsletter/issues/') && path.endsWith('/deliveries') && request.method === 'GET') {
+        return await handleGetNewsletterDeliveries(request, env);
+      }
+
+      if (path.startsWith('/api/admin/newsletter/issues/') && request.method === 'GET') {
+        return await handleGetNewsletterIssue(request, env);
+      }
+
+      if (path.startsWith('/api/admin/newsletter/issues/') && request.method === 'PUT') {
+        return await handleUpdateNewsletterIssue(request, env);
+      }
+
+      if (path.startsWith('/api/admin/newsletter/issues/') && request.method === 'DELETE') {
+        return await handleDeleteNewsletterIssue(request, env);
+      }
+
       // Access request management
       if (path === '/api/admin/requests' && request.method === 'GET') {
         return await handleGetRequests(request, env);
       }
 
       if (path === '/api/admin/requests/update-status' && request.method === 'POST') {
-        return await handleUpdateStatus(request, env);
+        return await handleUpdateStatus(request, env, ctx);
+      }
+
+      // Member accounts
+      if (path === '/api/admin/members' && request.method === 'GET') {
+        return await handleGetMembers(request, env);
+      }
+
+      if (path === '/api/admin/members' && request.method === 'POST') {
+        return await handleCreateMember(request, env);
+      }
+
+      if (path.startsWith('/api/admin/members/') && request.method === 'PUT') {
+        return await handleUpdateMember(request, env);
+      }
+
+      if (path === '/api/admin/referrals' && request.method === 'GET') {
+        return await handleGetReferrals(request, env);
+      }
+
+      // Access-request emails
+      if (path === '/api/admin/email-templates' && request.method === 'GET') {
+        return await handleGetEmailTemplates(request, env);
+      }
+
+      if (path.startsWith('/api/admin/email-templates/') && request.method === 'PUT') {
+        return await handleUpdateEmailTemplate(request, env, adminUser);
+      }
+
+      if (path.startsWith('/api/admin/email-templates/') && request.method === 'DELETE') {
+        return await handleResetEmailTemplate(request, env);
+      }
+
+      if (path === '/api/admin/email-log' && request.method === 'GET') {
+        return await handleGetEmailLog(request, env);
+      }
+
+      if (path.startsWith('/api/admin/email-log/') && path.endsWith('/resend') && request.method === 'POST') {
+        return await handleResendEmail(request, env);
       }
 
       if (path === '/api/admin/stats' && request.method === 'GET') {
         return await handleStats(request, env);
       }
 
+      // Legacy paths (e.g. /ade-2025-guide) are data in blog_redirects
+      if (request.method === 'GET') {
+        const redirect = await findBlogRedirect(env, path, url.search);
+        if (redirect) {
+          return redirect;
+        }
+      }
+
       return new Response(JSON.stringify({ error: 'Not Found' }), {
         status: 404,
         headers: { 'Content-Type': 'application/json', ...corsHeaders },
@@ -117,6 +453,17 @@ export default {
       });
     }
   },
+
+  // Cron Trigger: apply scheduled publish / unpublish times, then work through
+  // the search backfill and the newsletter send queue
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      runScheduledPublishing(env)
+        .then(() => backfillBlogSearchIndex(env))
+        .then(() => backfillNormalizedTags(env))
+        .then(() => processNewsletterQueue(env))
+    );
+  },
 };
 
 /**
@@ -125,36 +472,33 @@ export default {
 async function handleBlogContent(request, env) {
   try {
     const url = new URL(request.url);
-    let slug = url.pathname;
-    
-    // Handle legacy route
-    if (slug === '/ade-2025-guide') {
-      slug = 'ade-2025-guide';
-    } else if (slug.startsWith('/blog/')) {
-      slug = slug.replace('/blog/', '');
-    }
+    const slug = url.pathname.replace('/blog/', '').replace(/\/+$/, '');
 
     // Get blog post from database including content
     const blogPost = await env.DB.prepare(`
-      SELECT * FROM blog_posts 
-      WHERE slug = ? AND status = 'published'
-    `).bind(slug).first();
+      SELECT * FROM blog_posts
+      WHERE slug = ? AND status = 'published' AND deleted_at IS NULL
+        AND (unpublish_at IS NULL OR unpublish_at > ?)
+    `).bind(slug, new Date().toISOString()).first();
 
     if (!blogPost) {
-      return new Response('Blog post not found', { status: 404 });
+      // Old slugs keep working through a permanent redirect
+      const redirect = await findBlogRedirect(env, url.pathname, url.search);
+      return redirect || new Response('Blog post not found', { status: 404 });
     }
 
-    // Check authentication
-    const authCookie = request.headers.get('Cookie') || '';
-    const sessionAuth = request.headers.get('X-Session-Token');
-    const hasAuth = authCookie.includes('dutchPortalAuth=authenticated') || sessionAuth;
+    // Check the visitor's tier against the post's
+    const member = await getMemberSession(request, env);
+    const requiredTier = getPostAccessTier(blogPost);
+    // Gated posts vary per visitor, so they must never sit in a shared cache
+    const cacheControl = requiredTier !== 'public' ? 'private, no-store' : 'public, max-age=3600';
 
-    // If requires auth and user is not authenticated
-    if (blogPost.requires_auth && !hasAuth) {
+    if (!hasTierAccess(member?.tier, requiredTier)) {
       
-      // If has preview content, show preview version
-      if (blogPost.is_public_preview && blogPost.preview_content) {
-        const previewHtml = generatePreviewPage(blogPost);
+      // If has preview content (or the visitor is a member who needs a higher
+      // tier), show the preview with the matching upgrade message
+      if ((blogPost.is_public_preview && blogPost.preview_content) || member) {
+        const previewHtml = generatePreviewPage(blogPost, member);
         
         // Track preview view for SEO
         await trackContentView(request, env, 'blog_preview', slug);
@@ -163,7 +507,7 @@ async function handleBlogContent(request, env) {
           status: 200,
           headers: {
             'Content-Type': 'text/html; charset=utf-8',
-            'Cache-Control': 'public, max-age=3600',
+            'Cache-Control': cacheControl,
             ...corsHeaders,
           },
         });
@@ -195,7 +539,7 @@ async function handleBlogContent(request, env) {
       status: 200,
       headers: {
         'Content-Type': 'text/html; charset=utf-8',
-        'Cache-Control': 'public, max-age=3600',
+        'Cache-Control': cacheControl,
         ...corsHeaders,
       },
     });
@@ -206,7 +550,52 @@ async function handleBlogContent(request, env) {
   }
 }
 
-function generatePreviewPage(blogPost) {
+// Only the signed session cookie counts; the client-side dutchPortalAuth
+// flags are for display and are never trusted here
+async function hasMemberAccess(request, env) {
+  return Boolean(await getMemberSession(request, env));
+}
+
+async function getVisitorTier(request, env) {
+  const member = await getMemberSession(request, env);
+  return member ? member.tier : 'public';
+}
+
+function hasTierAccess(visitorTier, requiredTier) {
+  return ACCESS_TIERS.indexOf(visitorTier || 'public') >= ACCESS_TIERS.indexOf(requiredTier);
+}
+
+// Rows written before access tiers existed only carry requires_auth
+function getPostAccessTier(blogPost) {
+  if (ACCESS_TIERS.includes(blogPost.access_tier)) return blogPost.access_tier;
+  return blogPost.requires_auth ? 'member' : 'public';
+}
+
+// Anonymous visitors are asked to log in or request access; members whose
+// tier is too low get an upgrade message for the tier the post requires
+function generatePreviewPage(blogPost, member = null) {
+  const requiredTier = getPostAccessTier(blogPost);
+  const tierLabel = ACCESS_TIER_LABELS[requiredTier];
+  const returnTo = encodeURIComponent(`/blog/${blogPost.slug}`);
+
+  const paywall = member
+    ? {
+        heading: `Reserved for ${tierLabel}`,
+        message: `You're logged in as ${escapeHtml(member.display_name || member.username)} with ${ACCESS_TIER_LABELS[member.tier]} access. ${blogPost.title} is part of our ${tierLabel} collection: secret venues, hidden events and the details we only share with our inner circle.`,
+        buttons: `
+                    <a href="/contact.html?subject=${encodeURIComponent(`${tierLabel} access`)}" class="cta-button">Ask About ${tierLabel} Access</a>
+                    <a href="/blog" class="cta-button secondary">Browse Stories</a>`
+      }
+    : {
+        heading: requiredTier === 'insider' ? `For ${tierLabel} Only` : 'Continue Reading in the Void',
+        message: requiredTier === 'insider'
+          ? `Unlock the complete ${blogPost.title}. This one is reserved for ${tierLabel}, our inner circle of members with access to secret venues and hidden events.`
+          : `Unlock the complete ${blogPost.title} with exclusive insider information, hidden venues, and underground access that only initiated members can access.`,
+        buttons: `
+                    <a href="/?focus=login&returnTo=${returnTo}" class="cta-button">Login to Portal</a>
+                    <a href="/?focus=signup" class="cta-button secondary">Request Access</a>`
+      };
+
   return `
     <!DOCTYPE html>
     <html lang="en">
@@ -223,6 +612,8 @@ function generatePreviewPage(blogPost) {
         <meta property="og:type" content="article">
         <meta property="og:url" content="https://ifitaintdutchitaintmuch.com/blog/${blogPost.slug}">
         <meta property="og:site_name" content="Dutch Mystery Portal">
+        <link rel="alternate" type="application/rss+xml" title="Dutch Mystery Portal (RSS)" href="/rss.xml">
+        <link rel="alternate" type="application/atom+xml" title="Dutch Mystery Portal (Atom)" href="/feed.xml">
         
         <!-- Twitter Card -->
         <meta name="twitter:card" content="summary_large_image">
@@ -427,7 +818,7 @@ function generatePreviewPage(blogPost) {
         
         <div class="blog-container">
             <header class="blog-header">
-                <div class="preview-badge">Preview Access</div>
+                <div class="preview-badge">${requiredTier === 'insider' ? `${tierLabel} Preview` : 'Preview Access'}</div>
                 <h1 class="blog-title">${blogPost.title}</h1>
                 <p style="color: #00BFFF; font-size: 1.2rem;">${blogPost.description}</p>
                 <div style="font-size: 0.9rem; color: rgba(255, 255, 255, 0.6); margin-top: 1rem;">
@@ -436,13 +827,14 @@ function generatePreviewPage(blogPost) {
                 </div>
             </header>
             
+            ${blogPost.preview_content ? `
             <article class="preview-content">
                 ${blogPost.preview_content}
             </article>
-            
+            ` : ''}
             <div class="login-cta">
-                <h3>Continue Reading in the Void</h3>
-                <p>Unlock the complete ${blogPost.title} with exclusive insider information, hidden venues, and underground access that only initiated members can access.</p>
+                <h3>${paywall.heading}</h3>
+                <p>${paywall.message}</p>
                 
                 <div class="content-teaser">
                     <h4>What Awaits Beyond:</h4>
@@ -455,9 +847,7 @@ function generatePreviewPage(blogPost) {
                     </ul>
                 </div>
                 
-                <div class="cta-buttons">
-                    <a href="/?focus=login" class="cta-button">Login to Portal</a>
-                    <a href="/?focus=signup" class="cta-button secondary">Request Access</a>
+                <div class="cta-buttons">${paywall.buttons}
                 </div>
                 
                 <p style="font-size: 0.9rem; color: rgba(255, 255, 255, 0.7); margin-top: 2rem;">
@@ -566,12 +956,12 @@ function generateBlogTemplate(blogPost) {
             </header>
             <div class="content-placeholder">
                 <h3 style="color: #FF9500; margin-bottom: 1rem;">Content Template Ready</h3>
-                <p>This ${blogPost.category} content is ready for your custom HTML. Use the admin panel to add your full blog content.</p>
+                <p>This ${blogPost.category} content is ready for writing. Use the admin panel to add your full blog content.</p>
                 <p style="margin-top: 1rem; color: rgba(255, 255, 255, 0.7);">
                   <strong>Next Steps:</strong><br>
                   1. Go to <a href="/admin" style="color: #00BFFF;">Admin Panel</a><br>
                   2. Edit this blog post<br>
-                  3. Add your custom HTML content<br>
+                  3. Write your content in Markdown (or paste custom HTML)<br>
                   4. Save and publish
                 </p>
             </div>
@@ -583,878 +973,8273 @@ function generateBlogTemplate(blogPost) {
 }
 
 /**
- * Admin Authentication Functions
+ * Public Blog Listings
  */
-async function handleAdminLogin(request, env) {
+async function handleBlogIndex(request, env) {
   try {
-    const { username, password } = await request.json();
+    const url = new URL(request.url);
+    const listing = await queryPublishedPosts(env, url);
 
-    if (!username || !password) {
-      return new Response(JSON.stringify({
-        error: 'Username and password required'
-      }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-      });
+    const html = generateBlogListPage({
+      heading: 'Underground Dispatches',
+      subtitle: 'Guides, venues and stories from the Amsterdam underground',
+      basePath: '/blog',
+      ...listing
+    });
+
+    return new Response(html, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'public, max-age=300',
+        ...corsHeaders,
+      },
+    });
+
+  } catch (error) {
+    console.error('Blog index error:', error);
+    return new Response('Server error loading blog index', { status: 500 });
+  }
+}
+
+async function handleBlogArchive(request, env, type) {
+  try {
+    const url = new URL(request.url);
+    let rawValue;
+    try {
+      rawValue = decodeURIComponent(url.pathname.split('/')[3] || '');
+    } catch (error) {
+      // Malformed percent-escapes (e.g. /blog/tag/%E0%A4%A) can't name any archive
+      return new Response('Archive not found', { status: 404 });
     }
+    const value = normalizeTag(rawValue);
 
-    // Get user from database
-    const user = await env.DB.prepare(`
-      SELECT id, username, password_hash, role, is_active 
-      FROM admin_users 
-      WHERE username = ? AND is_active = TRUE
-    `).bind(username).first();
+    if (!value) {
+      return new Response(null, { status: 302, headers: { 'Location': '/blog', ...corsHeaders } });
+    }
 
-    if (!user) {
-      return new Response(JSON.stringify({
-        error: 'Invalid credentials'
-      }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    // Canonicalise /blog/tag/A.D.E. to /blog/tag/ade
+    if (value !== rawValue || url.pathname.split('/').length > 4) {
+      return new Response(null, {
+        status: 301,
+        headers: { 'Location': `/blog/${type}/${value}${url.search}`, ...corsHeaders },
       });
     }
 
-    // Simple password verification (in production, use bcrypt)
-    const isValidPassword = user.password_hash === password;
-    if (!isValidPassword) {
-      return new Response(JSON.stringify({
-        error: 'Invalid credentials'
+    const filter = type === 'category'
+      ? { where: 'AND category = ?', params: [value] }
+      : { where: 'AND EXISTS (SELECT 1 FROM json_each(blog_posts.tags) WHERE json_each.value = ?)', params: [value] };
+
+    const listing = await queryPublishedPosts(env, url, filter);
+    const label = tagLabel(value);
+
+    if (listing.total === 0) {
+      return new Response(generateBlogListPage({
+        heading: type === 'category' ? label : `#${label}`,
+        subtitle: `No published posts ${type === 'category' ? 'in this category' : 'with this tag'} yet`,
+        basePath: `/blog/${type}/${value}`,
+        ...listing
       }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        status: 404,
+        headers: { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders },
       });
     }
 
-    // Create session
-    const sessionId = crypto.randomUUID();
-    const expiresAt = new Date(Date.now() + SESSION_DURATION).toISOString();
-
-    await env.DB.prepare(`
-      INSERT INTO admin_sessions (id, user_id, expires_at)
-      VALUES (?, ?, ?)
-    `).bind(sessionId, user.id, expiresAt).run();
-
-    // Update last login
-    await env.DB.prepare(`
-      UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?
-    `).bind(user.id).run();
+    const html = generateBlogListPage({
+      heading: type === 'category' ? label : `#${label}`,
+      subtitle: type === 'category'
+        ? `Everything filed under ${label} from the Dutch underground`
+        : `Posts tagged ${label} from the Dutch underground`,
+      basePath: `/blog/${type}/${value}`,
+      ...listing
+    });
 
-    return new Response(JSON.stringify({
-      success: true,
-      sessionToken: sessionId,
-      user: {
-        username: user.username,
-        role: user.role
-      },
-      expiresAt: expiresAt
-    }), {
+    return new Response(html, {
       status: 200,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'public, max-age=300',
+        ...corsHeaders,
+      },
     });
 
   } catch (error) {
-    console.error('Login error:', error);
-    return new Response(JSON.stringify({
-      error: 'Login failed'
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
-    });
+    console.error('Blog archive error:', error);
+    return new Response('Server error loading blog archive', { status: 500 });
   }
 }
 
-async function handleAdminLogout(request, env) {
+async function handleTagCloud(request, env) {
   try {
-    const sessionToken = request.headers.get('X-Session-Token');
-    
-    if (sessionToken) {
-      await env.DB.prepare(`
-        DELETE FROM admin_sessions WHERE id = ?
-      `).bind(sessionToken).run();
-    }
+    const now = new Date().toISOString();
+    const published = `
+      p.status = 'published' AND p.deleted_at IS NULL
+      AND (p.unpublish_at IS NULL OR p.unpublish_at > ?)
+    `;
 
-    return new Response(JSON.stringify({ success: true }), {
+    const [tags, categories] = await Promise.all([
+      env.DB.prepare(`
+        SELECT t.value AS tag, COUNT(*) AS count
+        FROM blog_posts p, json_each(p.tags) t
+        WHERE ${published}
+        GROUP BY t.value
+        ORDER BY count DESC, tag ASC
+      `).bind(now).all(),
+      env.DB.prepare(`
+        SELECT p.category AS category, COUNT(*) AS count
+        FROM blog_posts p
+        WHERE ${published}
+        GROUP BY p.category
+        ORDER BY count DESC, category ASC
+      `).bind(now).all()
+    ]);
+
+    return new Response(JSON.stringify({
+      tags: tags.results.map(row => ({
+        tag: row.tag,
+        label: tagLabel(row.tag),
+        count: row.count,
+        url: `/blog/tag/${row.tag}`
+      })),
+      categories: categories.results.map(row => ({
+        category: row.category,
+        label: tagLabel(row.category),
+        count: row.count,
+        url: `/blog/category/${row.category}`
+      }))
+    }), {
       status: 200,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=300',
+        ...corsHeaders,
+      },
     });
+
   } catch (error) {
-    return new Response(JSON.stringify({ error: 'Logout failed' }), {
+    console.error('Tag cloud error:', error);
+    return new Response(JSON.stringify({ error: 'Failed to load tags' }), {
       status: 500,
       headers: { 'Content-Type': 'application/json', ...corsHeaders },
     });
   }
 }
 
-async function handleAdminVerify(request, env) {
-  const authResult = await verifyAdminSession(request, env);
-  
-  return new Response(JSON.stringify(authResult), {
-    status: authResult.success ? 200 : 401,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders },
-  });
-}
+// Paginated published posts for public listings; `filter` adds extra SQL conditions
+async function queryPublishedPosts(env, url, filter = { where: '', params: [] }) {
+  const requestedPage = parseInt(url.searchParams.get('page')) || 1;
+  const now = new Date().toISOString();
+  const where = `
+    WHERE status = 'published' AND deleted_at IS NULL
+      AND (unpublish_at IS NULL OR unpublish_at > ?)
+      ${filter.where}
+  `;
+  const params = [now, ...filter.params];
 
-async function verifyAdminSession(request, env) {
-  try {
-    const sessionToken = request.headers.get('X-Session-Token');
-    
-    if (!sessionToken) {
-      return { success: false, error: 'No session token' };
-    }
+  const countRow = await env.DB.prepare(`
+    SELECT COUNT(*) as count FROM blog_posts ${where}
+  `).bind(...params).first();
 
-    const session = await env.DB.prepare(`
-      SELECT s.id, s.user_id, s.expires_at, u.username, u.role
-      FROM admin_sessions s
-      JOIN admin_users u ON s.user_id = u.id
-      WHERE s.id = ? AND s.expires_at > CURRENT_TIMESTAMP AND u.is_active = TRUE
-    `).bind(sessionToken).first();
+  const total = countRow?.count || 0;
+  const totalPages = Math.max(1, Math.ceil(total / BLOG_INDEX_PAGE_SIZE));
+  const page = Math.min(Math.max(1, requestedPage), totalPages);
 
-    if (!session) {
-      return { success: false, error: 'Invalid or expired session' };
-    }
+  const { results } = await env.DB.prepare(`
+    SELECT id, slug, title, description, category, tags, requires_auth, access_tier, is_public_preview, published_at, updated_at
+    FROM blog_posts ${where}
+    ORDER BY published_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).bind(...params, BLOG_INDEX_PAGE_SIZE, (page - 1) * BLOG_INDEX_PAGE_SIZE).all();
 
-    return {
-      success: true,
-      user: {
-        id: session.user_id,
-        username: session.username,
-        role: session.role
-      }
-    };
-  } catch (error) {
-    return { success: false, error: 'Session verification failed' };
+  return { posts: results, page, totalPages, total };
+}
+
+function getAccessBadge(blogPost) {
+  const tier = getPostAccessTier(blogPost);
+  if (tier === 'public') {
+    return { label: 'Open Access', className: 'badge-open' };
   }
+  if (blogPost.is_public_preview) {
+    return { label: tier === 'insider' ? 'Insider Preview' : 'Preview', className: 'badge-preview' };
+  }
+  return { label: `${ACCESS_TIER_LABELS[tier]} Only`, className: 'badge-locked' };
 }
 
-/**
- * Enhanced Admin Dashboard
- */
-async function handleAdminDashboard(request, env) {
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Dutch Mystery Portal - Admin Dashboard</title>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600&family=Orbitron:wght@400;700&display=swap" rel="stylesheet">
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: 'Inter', sans-serif;
-            background: linear-gradient(135deg, #1a1a1a, #2d1810);
-            color: #fff;
-            min-height: 100vh;
-        }
-        .login-screen {
-            display: flex;
-            align-items: center;
-            justify-content: center;
+function generateBlogListPage({ heading, subtitle, basePath, posts, page, totalPages, total }) {
+  const pageUrl = (n) => n === 1 ? basePath : `${basePath}?page=${n}`;
+  const canonical = `https://ifitaintdutchitaintmuch.com${pageUrl(page)}`;
+  const pageTitle = page > 1 ? `${heading} – Page ${page}` : heading;
+
+  const cards = posts.map(post => {
+    const badge = getAccessBadge(post);
+    let tags = [];
+    try {
+      tags = JSON.parse(post.tags || '[]');
+    } catch (error) {
+      tags = [];
+    }
+    return `
+                <article class="post-card">
+                    <div class="post-card-meta">
+                        <a class="post-category" href="/blog/category/${encodeURIComponent(post.category || 'general')}">${escapeHtml(tagLabel(post.category || 'general'))}</a>
+                        <span class="access-badge ${badge.className}">${badge.label}</span>
+                    </div>
+                    <h2 class="post-card-title"><a href="/blog/${post.slug}">${escapeHtml(post.title)}</a></h2>
+                    <p class="post-card-description">${escapeHtml(post.description || '')}</p>
+                    ${tags.length ? `<div class="post-card-tags">${tags.map(tag => `<a href="/blog/tag/${encodeURIComponent(tag)}">#${escapeHtml(tagLabel(tag))}</a>`).join('')}</div>` : ''}
+                    <div class="post-card-footer">
+                        <time datetime="${post.published_at || ''}">${post.published_at ? new Date(post.published_at).toLocaleDateString() : ''}</time>
+                        <a href="/blog/${post.slug}" class="post-card-link">Read →</a>
+                    </div>
+                </article>`;
+  }).join('');
+
+  const pagination = totalPages > 1 ? `
+            <nav class="pagination" aria-label="Pagination">
+                ${page > 1 ? `<a href="${pageUrl(page - 1)}" rel="prev">← Newer</a>` : '<span></span>'}
+                <span class="pagination-status">Page ${page} of ${totalPages}</span>
+                ${page < totalPages ? `<a href="${pageUrl(page + 1)}" rel="next">Older →</a>` : '<span></span>'}
+            </nav>` : '';
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(pageTitle)} | Dutch Mystery Portal</title>
+        <meta name="description" content="${escapeHtml(subtitle)}">
+        <link rel="canonical" href="${canonical}">
+        ${page > 1 ? `<link rel="prev" href="https://ifitaintdutchitaintmuch.com${pageUrl(page - 1)}">` : ''}
+        ${page < totalPages ? `<link rel="next" href="https://ifitaintdutchitaintmuch.com${pageUrl(page + 1)}">` : ''}
+        <meta property="og:title" content="${escapeHtml(pageTitle)}">
+        <meta property="og:description" content="${escapeHtml(subtitle)}">
+        <meta property="og:type" content="website">
+        <meta property="og:url" content="${canonical}">
+        <meta property="og:site_name" content="Dutch Mystery Portal">
+        <link rel="alternate" type="application/rss+xml" title="Dutch Mystery Portal (RSS)" href="/rss.xml">
+        <link rel="alternate" type="application/atom+xml" title="Dutch Mystery Portal (Atom)" href="/feed.xml">
+        <link href="https://fonts.googleapis.com/css2?family=Rajdhani:wght@300;400;500;600;700&family=Inter:wght@300;400;500;600&family=Orbitron:wght@400;700;900&display=swap" rel="stylesheet">
+        <link rel="stylesheet" href="/css/enhanced-style.css">
+
+        <style>
+          .blog-container {
+            max-width: 1100px;
+            margin: 0 auto;
+            padding: 2rem;
             min-height: 100vh;
-        }
-        .login-form {
-            background: rgba(255, 149, 0, 0.1);
-            border: 1px solid rgba(255, 149, 0, 0.3);
-            border-radius: 15px;
-            padding: 3rem;
-            max-width: 400px;
-            width: 100%;
+            background: linear-gradient(135deg, #000, #111);
+            color: #fff;
+          }
+          .blog-header {
             text-align: center;
-            backdrop-filter: blur(10px);
-        }
-        .login-form h1 {
-            color: #FF9500;
-            margin-bottom: 2rem;
-            font-size: 1.8rem;
+            margin-bottom: 3rem;
+            padding: 2rem 0;
+            border-bottom: 2px solid #FF9500;
+          }
+          .blog-title {
             font-family: 'Orbitron', sans-serif;
-            text-shadow: 0 0 15px #FF9500;
-        }
-        .form-group {
-            margin-bottom: 1.5rem;
-            text-align: left;
-        }
-        .form-group label {
-            display: block;
-            color: #FFD700;
-            margin-bottom: 0.5rem;
-            font-weight: 600;
-        }
-        .form-group input {
-            width: 100%;
-            padding: 1rem;
-            background: rgba(0, 0, 0, 0.6);
+            font-size: clamp(2rem, 5vw, 3.5rem);
+            color: #FF9500;
+            text-shadow: 0 0 20px #FF9500;
+            margin-bottom: 1rem;
+            text-transform: uppercase;
+          }
+          .nav-back {
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            background: rgba(255, 149, 0, 0.1);
             border: 1px solid rgba(255, 149, 0, 0.3);
+            color: #FF9500;
+            padding: 0.8rem 1.5rem;
             border-radius: 8px;
-            color: #fff;
-            font-size: 1rem;
-            transition: all 0.3s ease;
-        }
-        .form-group input:focus {
-            outline: none;
-            border-color: #00BFFF;
-            box-shadow: 0 0 10px rgba(0, 191, 255, 0.3);
-        }
-        .btn {
-            background: linear-gradient(135deg, #FF9500, #FFD700);
-            color: #000;
-            border: none;
-            padding: 1rem 2rem;
-            border-radius: 8px;
-            cursor: pointer;
+            text-decoration: none;
+            font-family: 'Rajdhani', sans-serif;
             font-weight: 600;
-            font-size: 1rem;
-            transition: transform 0.2s;
-            width: 100%;
-        }
-        .btn:hover { transform: translateY(-2px); }
-        .btn:disabled { opacity: 0.6; cursor: not-allowed; transform: none; }
-        .header {
-            background: rgba(255, 149, 0, 0.1);
-            backdrop-filter: blur(10px);
-            border-bottom: 1px solid rgba(255, 149, 0, 0.3);
-            padding: 1rem 2rem;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        }
-        .header h1 { color: #FF9500; font-size: 1.5rem; font-family: 'Orbitron', sans-serif; }
-        .nav-tabs {
-            display: flex;
-            background: rgba(0, 0, 0, 0.3);
-            border-bottom: 1px solid rgba(255, 149, 0, 0.3);
-            padding: 0 2rem;
-        }
-        .nav-tab {
-            background: none;
-            border: none;
-            color: rgba(255, 255, 255, 0.7);
-            padding: 1rem 1.5rem;
-            cursor: pointer;
-            font-size: 1rem;
             transition: all 0.3s ease;
-            border-bottom: 3px solid transparent;
-        }
-        .nav-tab.active,
-        .nav-tab:hover {
-            color: #FF9500;
-            border-bottom-color: #FF9500;
-        }
-        .tab-content {
-            display: none;
-            padding: 2rem;
-        }
-        .tab-content.active { display: block; }
-        .stats-grid {
+            z-index: 1000;
+          }
+          .nav-back:hover {
+            background: rgba(255, 149, 0, 0.2);
+            transform: translateY(-2px);
+          }
+          .post-grid {
             display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 1rem;
-            margin-bottom: 2rem;
-        }
-        .stat-card {
-            background: rgba(255, 255, 255, 0.05);
+            grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+            gap: 1.5rem;
+          }
+          .post-card {
+            background: linear-gradient(145deg, rgba(255, 149, 0, 0.08), rgba(0, 191, 255, 0.05));
             border: 1px solid rgba(255, 149, 0, 0.3);
-            border-radius: 10px;
+            border-radius: 15px;
             padding: 1.5rem;
-            text-align: center;
-        }
-        .stat-number {
-            font-size: 2rem;
-            font-weight: bold;
-            color: #FF9500;
-            margin-bottom: 0.5rem;
-        }
-        .dashboard-content { display: none; }
-        .dashboard-content.show { display: block; }
-        .user-info {
             display: flex;
+            flex-direction: column;
+            transition: all 0.3s ease;
+          }
+          .post-card:hover {
+            transform: translateY(-4px);
+            box-shadow: 0 10px 25px rgba(255, 149, 0, 0.2);
+          }
+          .post-card-meta {
+            display: flex;
+            justify-content: space-between;
             align-items: center;
-            gap: 1rem;
-            color: #FFD700;
-        }
-        .error-message {
-            color: #ff6b6b;
-            background: rgba(255, 107, 107, 0.1);
-            border: 1px solid rgba(255, 107, 107, 0.3);
-            padding: 1rem;
-            border-radius: 8px;
-            margin-top: 1rem;
-        }
-        .blog-item {
-            background: rgba(255, 255, 255, 0.05);
-            border: 1px solid rgba(255, 149, 0, 0.3);
-            border-radius: 10px;
-            padding: 1.5rem;
+            gap: 0.5rem;
             margin-bottom: 1rem;
-        }
-        .blog-title {
-            color: #FF9500;
+            font-size: 0.8rem;
+            text-transform: uppercase;
+            font-family: 'Rajdhani', sans-serif;
+            font-weight: 600;
+          }
+          .post-category { color: #00BFFF; letter-spacing: 0.05em; text-decoration: none; }
+          .post-card-tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+          }
+          .post-card-tags a {
+            color: rgba(255, 215, 0, 0.8);
+            font-size: 0.85rem;
+            text-decoration: none;
+          }
+          .post-card-tags a:hover { color: #FFD700; }
+          .access-badge {
+            padding: 0.25rem 0.75rem;
+            border-radius: 20px;
+            border: 1px solid;
+          }
+          .badge-open { color: #28A745; border-color: rgba(40, 167, 69, 0.5); background: rgba(40, 167, 69, 0.1); }
+          .badge-preview { color: #FFD700; border-color: rgba(255, 215, 0, 0.3); background: rgba(255, 149, 0, 0.2); }
+          .badge-locked { color: #FF9500; border-color: rgba(255, 149, 0, 0.5); background: rgba(255, 149, 0, 0.1); }
+          .post-card-title {
+            font-family: 'Orbitron', sans-serif;
             font-size: 1.2rem;
-            margin-bottom: 0.5rem;
-        }
-        .blog-meta {
-            color: rgba(255, 255, 255, 0.6);
-            font-size: 0.9rem;
+            margin-bottom: 0.75rem;
+            line-height: 1.4;
+          }
+          .post-card-title a { color: #FF9500; text-decoration: none; }
+          .post-card-description {
+            color: rgba(255, 255, 255, 0.8);
+            line-height: 1.6;
+            flex: 1;
             margin-bottom: 1rem;
-        }
-        .blog-actions {
+          }
+          .post-card-footer {
             display: flex;
-            gap: 0.5rem;
-        }
-        .btn-small {
-            padding: 0.5rem 1rem;
+            justify-content: space-between;
+            align-items: center;
             font-size: 0.9rem;
-            width: auto;
-        }
-        .btn-secondary {
-            background: rgba(0, 191, 255, 0.2);
-            color: #00BFFF;
-            border: 1px solid #00BFFF;
-        }
-        .btn-secondary:hover {
-            background: rgba(0, 191, 255, 0.3);
-        }
-        @media (max-width: 768px) {
-            .header { flex-direction: column; gap: 1rem; }
-            .nav-tabs { flex-wrap: wrap; padding: 0 1rem; }
-            .tab-content { padding: 1rem; }
-            .stats-grid { grid-template-columns: 1fr 1fr; }
-            .blog-actions { flex-direction: column; }
-        }
-    </style>
-</head>
-<body>
-    <!-- Login Screen -->
-    <div id="loginScreen" class="login-screen">
-        <div class="login-form">
-            <h1>Admin Portal</h1>
-            <p style="color: rgba(255, 255, 255, 0.8); margin-bottom: 2rem;">Access the Dutch Mystery Control Center</p>
-            <form id="adminLoginForm">
-                <div class="form-group">
-                    <label for="username">Username:</label>
-                    <input type="text" id="username" required placeholder="Enter admin username">
-                </div>
-                <div class="form-group">
-                    <label for="password">Password:</label>
-                    <input type="password" id="password" required placeholder="Enter admin password">
+            color: rgba(255, 255, 255, 0.6);
+          }
+          .post-card-link { color: #00BFFF; text-decoration: none; font-weight: 600; }
+          .empty-state {
+            text-align: center;
+            padding: 4rem 1rem;
+            color: rgba(255, 255, 255, 0.6);
+          }
+          .pagination {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-top: 3rem;
+            padding-top: 2rem;
+            border-top: 1px solid rgba(255, 149, 0, 0.3);
+            font-family: 'Rajdhani', sans-serif;
+            font-weight: 600;
+          }
+          .pagination a {
+            color: #FF9500;
+            text-decoration: none;
+            padding: 0.6rem 1.2rem;
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+          }
+          .pagination-status { color: rgba(255, 255, 255, 0.6); }
+
+          @media (max-width: 768px) {
+            .blog-container { padding: 1rem; padding-top: 5rem; }
+            .post-grid { grid-template-columns: 1fr; }
+          }
+        </style>
+    </head>
+    <body>
+        <a href="/" class="nav-back">← Portal Home</a>
+
+        <div class="blog-container">
+            <header class="blog-header">
+                <h1 class="blog-title">${escapeHtml(heading)}</h1>
+                <p style="color: #00BFFF; font-size: 1.2rem;">${escapeHtml(subtitle)}</p>
+                <div style="font-size: 0.9rem; color: rgba(255, 255, 255, 0.6); margin-top: 1rem;">
+                  ${total} ${total === 1 ? 'post' : 'posts'}
                 </div>
-                <button type="submit" class="btn" id="loginBtn">
-                    <span id="loginBtnText">Enter Portal</span>
-                </button>
-            </form>
-            <div id="loginError" class="error-message" style="display: none;"></div>
-            <div style="margin-top: 2rem; padding-top: 1rem; border-top: 1px solid rgba(255, 149, 0, 0.3); font-size: 0.9rem; color: rgba(255, 255, 255, 0.6);">
-                <p>Default: admin / DutchMystery2025!</p>
-            </div>
-        </div>
-    </div>
+            </header>
 
-    <!-- Dashboard Content -->
-    <div id="dashboardContent" class="dashboard-content">
-        <div class="header">
-            <h1>Dutch Mystery Admin</h1>
-            <div class="user-info">
-                <span id="welcomeUser">Welcome Admin</span>
-                <button class="btn" onclick="logout()" style="width: auto; padding: 0.5rem 1rem;">Logout</button>
-            </div>
+            ${posts.length ? `<div class="post-grid">${cards}
+            </div>` : `
+            <div class="empty-state">
+                <h3 style="color: #FF9500; margin-bottom: 1rem;">Nothing here yet</h3>
+                <p>New transmissions from the underground are on their way.</p>
+            </div>`}
+            ${pagination}
         </div>
 
-        <div class="nav-tabs">
-            <button class="nav-tab active" onclick="showTab('overview')">Overview</button>
-            <button class="nav-tab" onclick="showTab('blogs')">Blog Management</button>
-            <button class="nav-tab" onclick="showTab('requests')">Access Requests</button>
-        </div>
+        <script src="/js/enhanced-script.js"></script>
+    </body>
+    </html>
+  `;
+}
 
-        <!-- Overview Tab -->
-        <div id="overview" class="tab-content active">
-            <div class="stats-grid">
-                <div class="stat-card">
-                    <div class="stat-number" id="totalRequests">-</div>
-                    <div>Total Requests</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number" id="totalBlogs">-</div>
-                    <div>Blog Posts</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number" id="pendingRequests">-</div>
-                    <div>Pending Requests</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number" id="publishedBlogs">-</div>
-                    <div>Published Blogs</div>
-                </div>
-            </div>
-            <div style="background: rgba(255, 149, 0, 0.1); border: 1px solid rgba(255, 149, 0, 0.3); border-radius: 10px; padding: 2rem; text-align: center;">
-                <h3 style="color: #FF9500; margin-bottom: 1rem;">Database Setup Complete!</h3>
-                <p>Your Dutch Mystery Portal is ready for content management with Medium-style preview system.</p>
-                <div style="margin-top: 1rem;">
-                    <a href="/ade-2025-guide" target="_blank" style="color: #00BFFF; text-decoration: none; margin: 0 1rem;">View ADE Guide</a>
-                    <a href="/" target="_blank" style="color: #00BFFF; text-decoration: none; margin: 0 1rem;">Portal Home</a>
-                </div>
-            </div>
-        </div>
+/**
+ * RSS 2.0 and Atom Feeds
+ * Gated posts only ever expose description, plus preview_content when it is
+ * public (is_public_preview), matching what anonymous visitors see.
+ */
+async function handleFeed(request, env, format) {
+  try {
+    const { results: posts } = await env.DB.prepare(`
+      SELECT id, slug, title, description, author, category, tags, requires_auth, is_public_preview,
+             content_html, content_markdown, preview_content, published_at, updated_at
+      FROM blog_posts
+      WHERE status = 'published' AND deleted_at IS NULL
+        AND (unpublish_at IS NULL OR unpublish_at > ?)
+      ORDER BY published_at DESC, id DESC
+      LIMIT ?
+    `).bind(new Date().toISOString(), FEED_ITEM_LIMIT).all();
 
-        <!-- Blog Management Tab -->
-        <div id="blogs" class="tab-content">
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; flex-wrap: wrap; gap: 1rem;">
-                <h2 style="color: #FF9500;">Blog Management</h2>
-                <button class="btn" onclick="showCreateBlogForm()" style="width: auto; padding: 0.8rem 1.5rem;">+ New Blog Post</button>
-            </div>
-            <div id="blogsList">Loading blogs...</div>
-        </div>
+    const items = posts.map(post => {
+      let tags = [];
+      try {
+        tags = JSON.parse(post.tags || '[]');
+      } catch (error) {
+        tags = [];
+      }
 
-        <!-- Access Requests Tab -->
-        <div id="requests" class="tab-content">
-            <h2 style="color: #FF9500; margin-bottom: 2rem;">Access Requests</h2>
-            <div id="requestsList">Loading requests...</div>
-        </div>
-    </div>
+      const link = `${SITE_URL}/blog/${post.slug}`;
+      const content = post.requires_auth
+        ? `${(post.is_public_preview && post.preview_content) || `<p>${escapeHtml(post.description || '')}</p>`}<p><a href="${link}">Continue reading on ${SITE_NAME} →</a></p>`
+        : getArticleBodyHtml(post);
 
-    <script>
-        let sessionToken = localStorage.getItem('adminSessionToken');
-        let currentUser = null;
+      return {
+        ...post,
+        link,
+        content,
+        categories: [...new Set([post.category, ...tags].filter(Boolean))],
+        published: parseDbDate(post.published_at) || parseDbDate(post.updated_at) || new Date(),
+        updated: parseDbDate(post.updated_at) || parseDbDate(post.published_at) || new Date()
+      };
+    });
 
-        // Initialize
-        document.addEventListener('DOMContentLoaded', function() {
-            if (sessionToken) {
-                verifySession();
-            } else {
-                showLoginScreen();
-            }
-        });
+    const body = format === 'rss' ? generateRssFeed(items) : generateAtomFeed(items);
 
-        // Login functionality
-        document.getElementById('adminLoginForm').addEventListener('submit', async function(e) {
-            e.preventDefault();
-            
-            const username = document.getElementById('username').value;
-            const password = document.getElementById('password').value;
-            const loginBtn = document.getElementById('loginBtn');
-            const loginBtnText = document.getElementById('loginBtnText');
-            
-            loginBtn.disabled = true;
-            loginBtnText.textContent = 'Connecting...';
-            
-            try {
-                const response = await fetch('/api/admin/login', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ username, password })
-                });
-                
-                const result = await response.json();
-                
-                if (response.ok) {
-                    sessionToken = result.sessionToken;
-                    currentUser = result.user;
-                    localStorage.setItem('adminSessionToken', sessionToken);
-                    showDashboard();
-                    loadDashboardData();
-                } else {
-                    showError(result.error || 'Login failed');
-                }
-            } catch (error) {
-                showError('Connection error. Please try again.');
-            } finally {
-                loginBtn.disabled = false;
-                loginBtnText.textContent = 'Enter Portal';
-            }
-        });
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': format === 'rss' ? 'application/rss+xml; charset=utf-8' : 'application/atom+xml; charset=utf-8',
+        'Cache-Control': 'public, max-age=900',
+        ...corsHeaders,
+      },
+    });
 
-        async function verifySession() {
-            try {
-                const response = await fetch('/api/admin/verify', {
-                    headers: { 'X-Session-Token': sessionToken }
-                });
-                
-                if (response.ok) {
-                    const result = await response.json();
-                    currentUser = result.user;
-                    showDashboard();
-                    loadDashboardData();
-                } else {
-                    localStorage.removeItem('adminSessionToken');
-                    sessionToken = null;
-                    showLoginScreen();
-                }
-            } catch (error) {
-                showLoginScreen();
-            }
-        }
+  } catch (error) {
+    console.error('Feed error:', error);
+    return new Response('Server error generating feed', { status: 500 });
+  }
+}
 
-        function showLoginScreen() {
-            document.getElementById('loginScreen').style.display = 'flex';
-            document.getElementById('dashboardContent').classList.remove('show');
-        }
+function generateRssFeed(items) {
+  const lastBuild = items.reduce((latest, item) => item.updated > latest ? item.updated : latest, new Date(0));
 
-        function showDashboard() {
-            document.getElementById('loginScreen').style.display = 'none';
-            document.getElementById('dashboardContent').classList.add('show');
-            document.getElementById('welcomeUser').textContent = \`Welcome, \${currentUser?.username || 'Admin'}\`;
-        }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${SITE_NAME}</title>
+    <link>${SITE_URL}/blog</link>
+    <description>Guides, venues and stories from the Amsterdam underground</description>
+    <language>en</language>
+    <lastBuildDate>${(items.length ? lastBuild : new Date()).toUTCString()}</lastBuildDate>
+    <atom:link href="${SITE_URL}/rss.xml" rel="self" type="application/rss+xml"/>
+    <image>
+      <url>${SITE_URL}/images/logo-dutch-mystery.png</url>
+      <title>${SITE_NAME}</title>
+      <link>${SITE_URL}/blog</link>
+    </image>
+${items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${item.link}</link>
+      <guid isPermaLink="false">${SITE_URL}/blog/post-${item.id}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author || SITE_NAME)}</dc:creator>
+${item.categories.map(category => `      <category>${escapeXml(category)}</category>`).join('\n')}
+      <description>${escapeXml(item.description || '')}</description>
+      <content:encoded>${escapeXml(item.content)}</content:encoded>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+}
 
-        function showError(message) {
-            const errorEl = document.getElementById('loginError');
-            errorEl.textContent = message;
-            errorEl.style.display = 'block';
-            setTimeout(() => {
-                errorEl.style.display = 'none';
-            }, 5000);
-        }
+function generateAtomFeed(items) {
+  const updated = items.reduce((latest, item) => item.updated > latest ? item.updated : latest, new Date(0));
 
-        async function logout() {
-            try {
-                await fetch('/api/admin/logout', {
-                    method: 'POST',
-                    headers: { 'X-Session-Token': sessionToken }
-                });
-            } catch (error) {
-                console.error('Logout error:', error);
-            }
-            
-            localStorage.removeItem('adminSessionToken');
-            sessionToken = null;
-            currentUser = null;
-            showLoginScreen();
-        }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${SITE_NAME}</title>
+  <subtitle>Guides, venues and stories from the Amsterdam underground</subtitle>
+  <id>${SITE_URL}/</id>
+  <link href="${SITE_URL}/feed.xml" rel="self" type="application/atom+xml"/>
+  <link href="${SITE_URL}/blog" rel="alternate" type="text/html"/>
+  <updated>${(items.length ? updated : new Date()).toISOString()}</updated>
+  <icon>${SITE_URL}/images/favicon-32x32.png</icon>
+  <logo>${SITE_URL}/images/logo-dutch-mystery.png</logo>
+${items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${item.link}" rel="alternate" type="text/html"/>
+    <id>${SITE_URL}/blog/post-${item.id}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author><name>${escapeXml(item.author || SITE_NAME)}</name></author>
+${item.categories.map(category => `    <category term="${escapeXml(category)}"/>`).join('\n')}
+    <summary>${escapeXml(item.description || '')}</summary>
+    <content type="html">${escapeXml(item.content)}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
 
-        function showTab(tabName) {
-            // Update tab buttons
-            document.querySelectorAll('.nav-tab').forEach(tab => {
-                tab.classList.remove('active');
-            });
-            event.target.classList.add('active');
-            
-            // Update tab content
-            document.querySelectorAll('.tab-content').forEach(content => {
-                content.classList.remove('active');
-            });
+// Article HTML without the page chrome, for feeds and other embeds
+function getArticleBodyHtml(blogPost) {
+  if (blogPost.content_markdown != null) {
+    return renderMarkdown(blogPost.content_markdown);
+  }
+
+  const html = blogPost.content_html || '';
+  const article = html.match(/<article[^>]*>([\s\S]*?)<\/article>/i) || html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+
+  return (article ? article[1] : html)
+    .replace(/<script[\s\S]*?<\/script>/gi, '')
+    .replace(/<style[\s\S]*?<\/style>/gi, '')
+    .trim();
+}
+
+/**
+ * Full-Text Search
+ * Anonymous visitors only match title, description and publicly visible text;
+ * previews that aren't public are indexed in member_text (every member sees
+ * them), gated bodies in member_text or insider_text by tier.
+ */
+async function handleSearch(request, env) {
+  try {
+    const url = new URL(request.url);
+    const query = (url.searchParams.get('q') || '').trim();
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 8, 1), SEARCH_MAX_RESULTS);
+    const visitorTier = await getVisitorTier(request, env);
+    const matchExpression = buildSearchMatchExpression(query, visitorTier);
+
+    if (!matchExpression) {
+      return new Response(JSON.stringify({ success: true, query, results: [] }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+      });
+    }
+
+    // \u0002 / \u0003 mark matches so the snippet can be escaped before highlighting
+    const { results } = await env.DB.prepare(`
+      SELECT p.slug, p.title, p.description, p.category, p.requires_auth, p.access_tier, p.published_at,
+             snippet(blog_search, -1, char(2), char(3), '…', 24) AS snippet
+      FROM blog_search
+      JOIN blog_posts p ON p.id = blog_search.rowid
+      WHERE blog_search MATCH ?
+        AND p.status = 'published' AND p.deleted_at IS NULL
+        AND (p.unpublish_at IS NULL OR p.unpublish_at > ?)
+      ORDER BY bm25(blog_search, 10.0, 5.0, 2.0, 1.0, 1.0, 1.0)
+      LIMIT ?
+    `).bind(matchExpression, new Date().toISOString(), limit).all();
+
+    return new Response(JSON.stringify({
+      success: true,
+      query,
+      results: results.map(result => ({
+        slug: result.slug,
+        title: result.title,
+        // A title-only match would just repeat the title, so fall back to the description
+        snippet: result.snippet && result.snippet.replace(/[\u0002\u0003]/g, '') !== result.title
+          ? highlightSearchSnippet(result.snippet)
+          : escapeHtml(result.description || ''),
+        category: result.category,
+        published_at: result.published_at,
+        requires_auth: !!result.requires_auth,
+        access_tier: getPostAccessTier(result)
+      }))
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    return new Response(JSON.stringify({ error: 'Search failed' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Quote every term so user input can never inject FTS5 syntax; the last
+// term is a prefix match for search-as-you-type
+function buildSearchMatchExpression(query, visitorTier) {
+  const terms = query
+    .replace(/["*^:(){}\[\]]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 10);
+
+  if (!terms.length || terms.join('').length < 2) return null;
+
+  const expression = terms
+    .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+    .join(' ');
+
+  if (visitorTier === 'insider') return expression;
+  const columns = visitorTier === 'member'
+    ? 'title description preview body member_text'
+    : 'title description preview body';
+  return `{${columns}} : (${expression})`;
+}
+
+function highlightSearchSnippet(snippet) {
+  return escapeHtml(snippet)
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+}
+
+async function indexBlogPost(env, blogId) {
+  const post = await env.DB.prepare(`
+    SELECT id, title, description, requires_auth, access_tier, is_public_preview, content_html, content_markdown, preview_content
+    FROM blog_posts WHERE id = ?
+  `).bind(blogId).first();
+
+  if (!post) {
+    await env.DB.prepare('DELETE FROM blog_search WHERE rowid = ?').bind(blogId).run();
+    return;
+  }
+
+  const preview = htmlToSearchText(post.preview_content);
+  const body = htmlToSearchText(getArticleBodyHtml(post));
+  const tier = getPostAccessTier(post);
+  const previewIsPublic = tier === 'public' || post.is_public_preview;
+  const memberText = [previewIsPublic ? '' : preview, tier === 'member' ? body : ''].filter(Boolean).join('\n');
+
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM blog_search WHERE rowid = ?').bind(post.id),
+    env.DB.prepare(`
+      INSERT INTO blog_search (rowid, title, description, preview, body, member_text, insider_text)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      post.id,
+      post.title || '',
+      post.description || '',
+      previewIsPublic ? preview : '',
+      tier === 'public' ? body : '',
+      memberText,
+      tier === 'insider' ? body : ''
+    )
+  ]);
+}
+
+async function backfillBlogSearchIndex(env) {
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT id FROM blog_posts
+      WHERE id NOT IN (SELECT rowid FROM blog_search)
+      ORDER BY id
+      LIMIT ?
+    `).bind(SEARCH_BACKFILL_BATCH).all();
+
+    for (const { id } of results) {
+      await indexBlogPost(env, id);
+    }
+
+    if (results.length) {
+      console.log('Search index backfill:', { indexed: results.length });
+    }
+  } catch (error) {
+    console.error('Search index backfill error:', error);
+  }
+}
+
+function htmlToSearchText(html) {
+  if (!html) return '';
+  return decodeHtmlEntities(
+    html
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Sitemap
+ */
+async function handleSitemap(request, env, part) {
+  try {
+    const entries = await collectSitemapEntries(env);
+    const partCount = Math.ceil(entries.length / SITEMAP_URL_LIMIT);
+    let body;
+
+    if (part === null && partCount <= 1) {
+      body = generateSitemapUrlset(entries);
+    } else if (part === null) {
+      body = generateSitemapIndex(entries, partCount);
+    } else if (part >= 1 && part <= partCount) {
+      body = generateSitemapUrlset(entries.slice((part - 1) * SITEMAP_URL_LIMIT, part * SITEMAP_URL_LIMIT));
+    } else {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Cache-Control': 'public, max-age=3600',
+      },
+    });
+
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    return new Response('Server error generating sitemap', { status: 500 });
+  }
+}
+
+async function collectSitemapEntries(env) {
+  const { results: posts } = await env.DB.prepare(`
+    SELECT slug, title, category, requires_auth, is_public_preview, content_html, preview_content, published_at, updated_at
+    FROM blog_posts
+    WHERE status = 'published' AND deleted_at IS NULL
+      AND (unpublish_at IS NULL OR unpublish_at > ?)
+    ORDER BY published_at DESC, id DESC
+  `).bind(new Date().toISOString()).all();
+
+  const lastModified = post => parseDbDate(post.updated_at) || parseDbDate(post.published_at);
+  const newest = dates => dates.filter(Boolean).reduce((latest, date) => !latest || date > latest ? date : latest, null);
+
+  const entries = getSitemapStaticPages(env).map(page => ({
+    loc: absoluteSiteUrl(page.path),
+    lastmod: page.lastmod ? parseDbDate(page.lastmod) : null,
+    changefreq: page.changefreq,
+    priority: page.priority,
+    images: (page.images || []).map(image => ({ ...image, loc: absoluteSiteUrl(image.loc) })),
+    videos: (page.videos || []).map(video => ({
+      ...video,
+      content_loc: absoluteSiteUrl(video.content_loc),
+      thumbnail_loc: absoluteSiteUrl(video.thumbnail_loc)
+    }))
+  }));
+
+  entries.push({
+    loc: `${SITE_URL}/blog`,
+    lastmod: newest(posts.map(lastModified)),
+    changefreq: 'daily',
+    priority: '0.8'
+  });
+
+  const categories = new Map();
+  posts.forEach(post => {
+    if (!post.category) return;
+    categories.set(post.category, newest([categories.get(post.category), lastModified(post)]));
+  });
+  categories.forEach((lastmod, category) => {
+    entries.push({
+      loc: `${SITE_URL}/blog/category/${encodeURIComponent(category)}`,
+      lastmod,
+      changefreq: 'weekly',
+      priority: '0.5'
+    });
+  });
+
+  posts.forEach(post => {
+    // Gated posts only advertise media that is visible on their public
+    // preview, and none when anonymous visitors get no preview at all
+    const publicHtml = post.requires_auth ? (post.is_public_preview ? post.preview_content : null) : post.content_html;
+    const media = extractSitemapMedia(publicHtml);
+    entries.push({
+      loc: `${SITE_URL}/blog/${post.slug}`,
+      lastmod: lastModified(post),
+      changefreq: 'monthly',
+      priority: '0.7',
+      images: media.images,
+      videos: media.videos.map(video => ({
+        ...video,
+        title: video.title || post.title,
+        requires_subscription: !!post.requires_auth
+      }))
+    });
+  });
+
+  return entries;
+}
+
+function getSitemapStaticPages(env) {
+  if (env.SITEMAP_STATIC_PAGES) {
+    try {
+      const pages = JSON.parse(env.SITEMAP_STATIC_PAGES);
+      if (Array.isArray(pages)) return pages.filter(page => page && page.path);
+    } catch (error) {
+      console.error('Invalid SITEMAP_STATIC_PAGES:', error);
+    }
+  }
+  return SITEMAP_STATIC_PAGES;
+}
+
+// Pull <img> and <video> references out of stored post HTML
+function extractSitemapMedia(html) {
+  const images = [];
+  const videos = [];
+  if (!html) return { images, videos };
+
+  const attr = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeHtmlEntities(match[1] ?? match[2]) : null;
+  };
+
+  const ogImage = html.match(/<meta[^>]+property=["']og:image["'][^>]*>/i);
+  if (ogImage && attr(ogImage[0], 'content')) {
+    images.push({ loc: absoluteSiteUrl(attr(ogImage[0], 'content')) });
+  }
+
+  for (const [tag] of html.matchAll(/<img\b[^>]*>/gi)) {
+    const src = attr(tag, 'src');
+    if (!src || src.startsWith('data:')) continue;
+    images.push({ loc: absoluteSiteUrl(src), title: attr(tag, 'title') || attr(tag, 'alt') });
+  }
+
+  for (const [tag, inner] of html.matchAll(/<video\b[^>]*>([\s\S]*?)<\/video>/gi)) {
+    const source = inner.match(/<source\b[^>]*>/i);
+    const src = attr(tag, 'src') || (source && attr(source[0], 'src'));
+    const poster = attr(tag, 'poster');
+    // Google requires a thumbnail for every video entry
+    if (!src || !poster) continue;
+    videos.push({
+      content_loc: absoluteSiteUrl(src),
+      thumbnail_loc: absoluteSiteUrl(poster),
+      title: attr(tag, 'title') || attr(tag, 'aria-label')
+    });
+  }
+
+  const seen = new Set();
+  return {
+    images: images.filter(image => image.loc && !seen.has(image.loc) && seen.add(image.loc)),
+    videos: videos.filter(video => video.content_loc && video.thumbnail_loc)
+  };
+}
+
+function generateSitemapUrlset(entries) {
+  const renderImage = image => `    <image:image>
+      <image:loc>${escapeXml(image.loc)}</image:loc>${image.title ? `
+      <image:title>${escapeXml(image.title)}</image:title>` : ''}${image.caption ? `
+      <image:caption>${escapeXml(image.caption)}</image:caption>` : ''}
+    </image:image>`;
+
+  const renderVideo = video => `    <video:video>
+      <video:thumbnail_loc>${escapeXml(video.thumbnail_loc)}</video:thumbnail_loc>
+      <video:title>${escapeXml(video.title || SITE_NAME)}</video:title>
+      <video:description>${escapeXml(video.description || video.title || SITE_NAME)}</video:description>
+      <video:content_loc>${escapeXml(video.content_loc)}</video:content_loc>${video.requires_subscription ? `
+      <video:requires_subscription>yes</video:requires_subscription>` : ''}
+    </video:video>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+        xmlns:video="http://www.google.com/schemas/sitemap-video/1.1">
+${entries.map(entry => `  <url>
+    <loc>${escapeXml(entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${entry.lastmod.toISOString()}</lastmod>` : ''}${entry.changefreq ? `
+    <changefreq>${entry.changefreq}</changefreq>` : ''}${entry.priority ? `
+    <priority>${entry.priority}</priority>` : ''}
+${[...(entry.images || []).map(renderImage), ...(entry.videos || []).map(renderVideo)].map(block => block + '\n').join('')}  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function generateSitemapIndex(entries, partCount) {
+  const parts = Array.from({ length: partCount }, (_, index) => {
+    const chunk = entries.slice(index * SITEMAP_URL_LIMIT, (index + 1) * SITEMAP_URL_LIMIT);
+    const lastmod = chunk.reduce((latest, entry) => entry.lastmod && (!latest || entry.lastmod > latest) ? entry.lastmod : latest, null);
+    return { loc: `${SITE_URL}/sitemap-${index + 1}.xml`, lastmod };
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${parts.map(part => `  <sitemap>
+    <loc>${part.loc}</loc>${part.lastmod ? `
+    <lastmod>${part.lastmod.toISOString()}</lastmod>` : ''}
+  </sitemap>`).join('\n')}
+</sitemapindex>
+`;
+}
+
+/**
+ * Markdown Authoring Pipeline
+ * Markdown sources are rendered once on save; handleBlogContent serves the stored HTML.
+ */
+async function renderBlogMarkdown(env, blogId) {
+  const blogPost = await env.DB.prepare(`
+    SELECT * FROM blog_posts WHERE id = ?
+  `).bind(blogId).first();
+
+  const rendered = blogPost && renderBlogPostMarkdown(blogPost);
+  if (!rendered) {
+    return;
+  }
+
+  await env.DB.prepare(`
+    UPDATE blog_posts SET content_html = ?, preview_content = ? WHERE id = ?
+  `).bind(rendered.content_html, rendered.preview_content, blogId).run();
+}
+
+// The HTML columns for a post's Markdown sources, or null if it has none
+function renderBlogPostMarkdown(blogPost) {
+  if (blogPost.content_markdown == null && blogPost.preview_markdown == null) {
+    return null;
+  }
+
+  return {
+    content_html: blogPost.content_markdown != null
+      ? generateMarkdownPage(blogPost, renderMarkdown(blogPost.content_markdown))
+      : blogPost.content_html,
+    preview_content: blogPost.preview_markdown != null
+      ? renderMarkdown(blogPost.preview_markdown)
+      : blogPost.preview_content
+  };
+}
+
+function generateMarkdownPage(blogPost, bodyHtml) {
+  const title = escapeHtml(blogPost.title);
+  const description = escapeHtml(blogPost.description || '');
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title} | Dutch Mystery Portal</title>
+        <meta name="description" content="${description || 'Exclusive content from the Dutch Mystery Portal'}">
+        <meta name="blog-id" content="${blogPost.id}">
+        <meta property="og:title" content="${title}">
+        <meta property="og:description" content="${description}">
+        <meta property="og:type" content="article">
+        <meta property="og:url" content="https://ifitaintdutchitaintmuch.com/blog/${blogPost.slug}">
+        <meta property="og:site_name" content="Dutch Mystery Portal">
+        <link rel="alternate" type="application/rss+xml" title="Dutch Mystery Portal (RSS)" href="/rss.xml">
+        <link rel="alternate" type="application/atom+xml" title="Dutch Mystery Portal (Atom)" href="/feed.xml">
+        <link rel="canonical" href="https://ifitaintdutchitaintmuch.com/blog/${blogPost.slug}">
+        <link href="https://fonts.googleapis.com/css2?family=Rajdhani:wght@300;400;500;600;700&family=Inter:wght@300;400;500;600&family=Orbitron:wght@400;700;900&display=swap" rel="stylesheet">
+        <link rel="stylesheet" href="/css/enhanced-style.css">
+        <style>
+          .blog-container {
+            max-width: 900px;
+            margin: 0 auto;
+            padding: 2rem;
+            min-height: 100vh;
+            background: linear-gradient(135deg, #000, #111);
+            color: #fff;
+          }
+          .blog-header {
+            text-align: center;
+            margin-bottom: 3rem;
+            padding: 2rem 0;
+            border-bottom: 2px solid #FF9500;
+          }
+          .blog-title {
+            font-family: 'Orbitron', sans-serif;
+            font-size: clamp(2rem, 5vw, 3.5rem);
+            color: #FF9500;
+            text-shadow: 0 0 20px #FF9500;
+            margin-bottom: 1rem;
+            text-transform: uppercase;
+          }
+          .nav-back {
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            background: rgba(255, 149, 0, 0.1);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            color: #FF9500;
+            padding: 0.8rem 1.5rem;
+            border-radius: 8px;
+            text-decoration: none;
+            font-family: 'Rajdhani', sans-serif;
+            font-weight: 600;
+            transition: all 0.3s ease;
+            z-index: 1000;
+          }
+          .nav-back:hover {
+            background: rgba(255, 149, 0, 0.2);
+            transform: translateY(-2px);
+          }
+          .blog-content {
+            font-size: 1.1rem;
+            line-height: 1.8;
+            color: rgba(255, 255, 255, 0.9);
+          }
+          .blog-content h2, .blog-content h3, .blog-content h4 {
+            color: #FF9500;
+            font-family: 'Orbitron', sans-serif;
+            margin: 2.5rem 0 1rem;
+            scroll-margin-top: 80px;
+          }
+          .blog-content h3, .blog-content h4 { color: #00BFFF; }
+          .blog-content p, .blog-content ul, .blog-content ol, .blog-content table, .blog-content pre, .blog-content blockquote {
+            margin-bottom: 1.5rem;
+          }
+          .blog-content ul, .blog-content ol { padding-left: 1.5rem; }
+          .blog-content a { color: #00BFFF; }
+          .blog-content img { max-width: 100%; border-radius: 10px; }
+          .blog-content .heading-anchor {
+            color: rgba(255, 149, 0, 0.4);
+            text-decoration: none;
+            margin-left: 0.5rem;
+            font-size: 0.8em;
+          }
+          .blog-content blockquote {
+            padding: 1rem 1.5rem;
+            background: rgba(0, 191, 255, 0.1);
+            border-left: 4px solid #00BFFF;
+            border-radius: 0 10px 10px 0;
+          }
+          .blog-content code {
+            background: rgba(255, 149, 0, 0.1);
+            padding: 0.1rem 0.4rem;
+            border-radius: 4px;
+            font-size: 0.95em;
+          }
+          .blog-content pre {
+            background: rgba(0, 0, 0, 0.6);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 10px;
+            padding: 1rem;
+            overflow-x: auto;
+          }
+          .blog-content pre code { background: none; padding: 0; }
+          .blog-content table {
+            width: 100%;
+            border-collapse: collapse;
+            display: block;
+            overflow-x: auto;
+          }
+          .blog-content th, .blog-content td {
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            padding: 0.6rem 1rem;
+          }
+          .blog-content th { background: rgba(255, 149, 0, 0.15); color: #FFD700; }
+          .blog-content hr { border: none; border-top: 1px solid rgba(255, 149, 0, 0.3); margin: 2rem 0; }
+          @media (max-width: 768px) {
+            .blog-container { padding: 1rem; padding-top: 5rem; }
+          }
+        </style>
+    </head>
+    <body>
+        <a href="/" class="nav-back">← Portal Home</a>
+        <div class="blog-container">
+            <header class="blog-header">
+                <h1 class="blog-title">${title}</h1>
+                <p style="color: #00BFFF; font-size: 1.2rem;">${description}</p>
+                <div style="font-size: 0.9rem; color: rgba(255, 255, 255, 0.6); margin-top: 1rem;">
+                  ${blogPost.published_at ? `Published: ${new Date(blogPost.published_at).toLocaleDateString()} | ` : ''}
+                  Category: ${escapeHtml(blogPost.category || 'general')}
+                </div>
+            </header>
+            <article class="blog-content">
+${bodyHtml}
+            </article>
+        </div>
+        <script src="/js/enhanced-script.js"></script>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Markdown to HTML with the GitHub-flavoured pieces our writers use:
+ * fenced code, pipe tables, strikethrough, autolinks and heading anchors.
+ * Block-level raw HTML is passed through untouched.
+ */
+function renderMarkdown(markdown) {
+  const usedSlugs = new Map();
+  return renderMarkdownBlocks(String(markdown || '').replace(/\r\n?/g, '\n').split('\n'), usedSlugs);
+}
+
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)?.*$/;
+const MD_HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MD_HR = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const MD_HTML_BLOCK = /^ {0,3}<\/?([a-zA-Z][\w-]*)[\s/>]|^ {0,3}<!--/;
+
+function renderMarkdownBlocks(lines, usedSlugs) {
+  const html = [];
+  let i = 0;
+
+  const startsBlock = (line, next) => MD_FENCE.test(line) || MD_HEADING.test(line) || MD_HR.test(line) ||
+    /^ {0,3}>/.test(line) || MD_LIST_ITEM.test(line) || MD_HTML_BLOCK.test(line) ||
+    (line.includes('|') && next !== undefined && MD_TABLE_DELIMITER.test(next) && next.includes('-'));
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(MD_FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      html.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(MD_HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      const slug = uniqueHeadingSlug(heading[2], usedSlugs);
+      html.push(`<h${level} id="${slug}">${renderMarkdownInline(heading[2])}<a class="heading-anchor" href="#${slug}" aria-label="Link to this section">#</a></h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (MD_HR.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^ {0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && /^ {0,3}>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>\n${renderMarkdownBlocks(quoted, usedSlugs)}\n</blockquote>`);
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && MD_TABLE_DELIMITER.test(lines[i + 1])) {
+      const headers = splitTableRow(line);
+      const aligns = splitTableRow(lines[i + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+      });
+      const cell = (tag, content, index) => {
+        const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+        return `<${tag}${align}>${renderMarkdownInline(content || '')}</${tag}>`;
+      };
+      i += 2;
+
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(`<tr>${headers.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+        i++;
+      }
+
+      html.push(`<table>\n<thead>\n<tr>${headers.map((header, index) => cell('th', header, index)).join('')}</tr>\n</thead>` +
+        (rows.length ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : '') + '\n</table>');
+      continue;
+    }
+
+    const listItem = line.match(MD_LIST_ITEM);
+    if (listItem) {
+      const baseIndent = listItem[1].length;
+      const ordered = /\d/.test(listItem[2]);
+      const start = ordered ? parseInt(listItem[2]) : 1;
+      const items = [];
+
+      while (i < lines.length) {
+        const match = lines[i].match(MD_LIST_ITEM);
+        if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+        const itemLines = [match[3]];
+        i++;
+        while (i < lines.length) {
+          const next = lines[i];
+          const indent = next.match(/^\s*/)[0].length;
+          if (next.trim() && indent > baseIndent) {
+            itemLines.push(next.slice(Math.min(indent, baseIndent + match[2].length + 1)));
+            i++;
+          } else if (!next.trim() && i + 1 < lines.length && lines[i + 1].trim() &&
+                     lines[i + 1].match(/^\s*/)[0].length > baseIndent) {
+            itemLines.push('');
+            i++;
+          } else if (next.trim() && !startsBlock(next, lines[i + 1]) && itemLines[itemLines.length - 1] !== '') {
+            itemLines.push(next.trim());
+            i++;
+          } else {
+            break;
+          }
+        }
+
+        const task = itemLines[0].match(/^\[([ xX])\]\s+(.*)$/);
+        if (task) {
+          itemLines[0] = task[2];
+        }
+        let body = renderMarkdownBlocks(itemLines, usedSlugs);
+        if (!itemLines.includes('')) {
+          body = body.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+        }
+        if (task) {
+          body = `<input type="checkbox" disabled${task[1] !== ' ' ? ' checked' : ''}> ${body}`;
+        }
+        items.push(`<li>${body}</li>`);
+
+        if (i < lines.length && !lines[i].trim() && i + 1 < lines.length) {
+          const following = lines[i + 1].match(MD_LIST_ITEM);
+          if (following && following[1].length === baseIndent && /\d/.test(following[2]) === ordered) {
+            i++;
+          }
+        }
+      }
+
+      const tag = ordered ? 'ol' : 'ul';
+      const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+      html.push(`<${tag}${startAttr}>\n${items.join('\n')}\n</${tag}>`);
+      continue;
+    }
+
+    if (MD_HTML_BLOCK.test(line)) {
+      const block = [];
+      while (i < lines.length && lines[i].trim()) {
+        block.push(lines[i]);
+        i++;
+      }
+      html.push(block.join('\n'));
+      continue;
+    }
+
+    const paragraph = [line.trimStart()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i].trimStart());
+      i++;
+    }
+    html.push(`<p>${renderMarkdownInline(paragraph.join('\n').trimEnd())}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+function splitTableRow(row) {
+  return row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function uniqueHeadingSlug(text, usedSlugs) {
+  const base = text
+    .replace(/<[^>]+>/g, '')
+    .replace(/[`*_~\[\]()]/g, '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-') || 'section';
+  const count = usedSlugs.get(base) || 0;
+  usedSlugs.set(base, count + 1);
+  return count ? `${base}-${count}` : base;
+}
+
+function renderMarkdownInline(text) {
+  const stash = [];
+  const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let out = text
+    // Backslash escapes and code spans are protected from further processing
+    .replace(/\\([\\`*_{}\[\]()#+\-.!|~<>])/g, (_, ch) => keep(escapeHtml(ch)))
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+    // Inline HTML tags pass through, everything else is escaped
+    .replace(/<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*?)?\/?>|<!--[\s\S]*?-->/g, tag => keep(tag))
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (_, href) => keep(`<a href="${escapeHtml(href)}">${escapeHtml(href)}</a>`));
+
+  out = escapeHtml(out);
+
+  out = out
+    .replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;([^"]*?)&quot;)?\s*\)/g, (_, alt, src, title) =>
+      keep(`<img src="${safeMarkdownUrl(src)}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`))
+    .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;([^"]*?)&quot;)?\s*\)/g, (_, label, href, title) =>
+      `<a href="${safeMarkdownUrl(href)}"${title ? ` title="${title}"` : ''}${/^https?:/i.test(href) ? ' rel="noopener"' : ''}>${label}</a>`)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([\s\S]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  return out.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+}
+
+function safeMarkdownUrl(url) {
+  const decoded = url.replace(/&amp;/g, '&');
+  return /^\s*(javascript|vbscript|data):/i.test(decoded) ? '#' : url;
+}
+
+/**
+ * Admin Authentication Functions
+ */
+async function handleAdminLogin(request, env) {
+  try {
+    const { username, password } = await request.json();
+
+    if (!username || !password) {
+      return new Response(JSON.stringify({
+        error: 'Username and password required'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Get user from database
+    const user = await env.DB.prepare(`
+      SELECT id, username, password_hash, role, is_active 
+      FROM admin_users 
+      WHERE username = ? AND is_active = TRUE
+    `).bind(username).first();
+
+    // Unknown usernames and plaintext rows still pay for a full PBKDF2 run so
+    // timing reveals neither. Rows from before hashing are rehashed below.
+    const storedHash = user?.password_hash || PASSWORD_TIMING_DUMMY;
+    const isValidPassword = isPasswordHash(storedHash)
+      ? await verifyPassword(String(password), storedHash)
+      : await verifyLegacyPassword(String(password), storedHash);
+    if (!user || !isValidPassword) {
+      return new Response(JSON.stringify({
+        error: 'Invalid credentials'
+      }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Create session
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + SESSION_DURATION).toISOString();
+
+    await env.DB.prepare(`
+      INSERT INTO admin_sessions (id, user_id, expires_at)
+      VALUES (?, ?, ?)
+    `).bind(sessionId, user.id, expiresAt).run();
+
+    // Update last login, upgrading plaintext or weaker hashes while the password is at hand
+    const passwordHash = needsPasswordRehash(user.password_hash)
+      ? await hashPassword(String(password))
+      : user.password_hash;
+    await env.DB.prepare(`
+      UPDATE admin_users SET last_login = CURRENT_TIMESTAMP, password_hash = ? WHERE id = ?
+    `).bind(passwordHash, user.id).run();
+
+    return new Response(JSON.stringify({
+      success: true,
+      sessionToken: sessionId,
+      user: {
+        username: user.username,
+        role: user.role
+      },
+      expiresAt: expiresAt
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    return new Response(JSON.stringify({
+      error: 'Login failed'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleAdminLogout(request, env) {
+  try {
+    const sessionToken = request.headers.get('X-Session-Token');
+    
+    if (sessionToken) {
+      await env.DB.prepare(`
+        DELETE FROM admin_sessions WHERE id = ?
+      `).bind(sessionToken).run();
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Logout failed' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleAdminVerify(request, env) {
+  const authResult = await verifyAdminSession(request, env);
+  
+  return new Response(JSON.stringify(authResult), {
+    status: authResult.success ? 200 : 401,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+async function verifyAdminSession(request, env) {
+  try {
+    const sessionToken = request.headers.get('X-Session-Token');
+    
+    if (!sessionToken) {
+      return { success: false, error: 'No session token' };
+    }
+
+    const session = await env.DB.prepare(`
+      SELECT s.id, s.user_id, s.expires_at, u.username, u.role
+      FROM admin_sessions s
+      JOIN admin_users u ON s.user_id = u.id
+      WHERE s.id = ? AND s.expires_at > CURRENT_TIMESTAMP AND u.is_active = TRUE
+    `).bind(sessionToken).first();
+
+    if (!session) {
+      return { success: false, error: 'Invalid or expired session' };
+    }
+
+    return {
+      success: true,
+      user: {
+        id: session.user_id,
+        username: session.username,
+        role: session.role
+      }
+    };
+  } catch (error) {
+    return { success: false, error: 'Session verification failed' };
+  }
+}
+
+/**
+ * Member Authentication
+ */
+async function handlePortalLogin(request, env) {
+  try {
+    const body = await request.json();
+    const identity = String(body.username || '').trim();
+    const password = String(body.password || '');
+
+    if (!identity || !password) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Username and password required',
+        message: 'Please enter both identity and frequency to access the underground.'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Members can log in with either their username or their email address
+    const member = await env.DB.prepare(`
+      SELECT id, username, email, display_name, tier, password_hash, status
+      FROM members
+      WHERE username = ? OR email = ?
+    `).bind(identity, identity.toLowerCase()).first();
+
+    // Hash even when the member doesn't exist so response times don't reveal valid usernames
+    const isValidPassword = await verifyPassword(password, member?.password_hash || PASSWORD_TIMING_DUMMY);
+
+    if (!member || !member.password_hash || !isValidPassword) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Invalid credentials. The underground remains sealed.'
+      }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (member.status !== 'active') {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Account suspended',
+        message: 'This account has been suspended. Contact us if you think this is a mistake.'
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const session = await createMemberSession(request, env, member.id);
+
+    return new Response(JSON.stringify({
+      success: true,
+      user: formatMemberUser(member),
+      sessionId: session.id,
+      expiresAt: session.expiresAt
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Set-Cookie': await createMemberSessionCookie(env, session),
+        ...corsHeaders
+      },
+    });
+
+  } catch (error) {
+    console.error('Member login error:', error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Login failed',
+      message: 'Login failed. Please try again later.'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function createMemberSession(request, env, memberId) {
+  const sessionId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + MEMBER_SESSION_DURATION).toISOString();
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO member_sessions (id, member_id, expires_at, user_agent, ip_address)
+      VALUES (?, ?, datetime(?), ?, ?)
+    `).bind(
+      sessionId,
+      memberId,
+      expiresAt,
+      (request.headers.get('User-Agent') || '').slice(0, 300) || null,
+      request.headers.get('CF-Connecting-IP') || null
+    ),
+    env.DB.prepare(`
+      UPDATE members SET last_login = CURRENT_TIMESTAMP WHERE id = ?
+    `).bind(memberId)
+  ]);
+
+  return { id: sessionId, expiresAt };
+}
+
+// Revokes the current session (or, with everywhere: true, every session of
+// the member) and always clears the cookie, even if it was already invalid
+async function handlePortalLogout(request, env) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const member = await getMemberSession(request, env);
+    let revoked = 0;
+
+    if (member) {
+      const result = body.everywhere === true
+        ? await env.DB.prepare('DELETE FROM member_sessions WHERE member_id = ?').bind(member.id).run()
+        : await env.DB.prepare('DELETE FROM member_sessions WHERE id = ?').bind(member.session_id).run();
+      revoked = result.meta.changes;
+    }
+
+    return new Response(JSON.stringify({ success: true, revoked }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Set-Cookie': clearMemberSessionCookie(), ...corsHeaders },
+    });
+  } catch (error) {
+    console.error('Member logout error:', error);
+    return new Response(JSON.stringify({ error: 'Logout failed' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// The cookie carries the session id signed with LINK_SIGNING_SECRET; the
+// session row decides expiry and revocation
+async function createMemberSessionCookie(env, session) {
+  const token = await createSignedToken(env, { purpose: 'member-session', sid: session.id });
+  return `${MEMBER_SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${MEMBER_SESSION_DURATION / 1000}`;
+}
+
+function clearMemberSessionCookie() {
+  return `${MEMBER_SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`;
+}
+
+async function getMemberSession(request, env) {
+  try {
+    const payload = await verifySignedToken(env, getCookieValue(request, MEMBER_SESSION_COOKIE), 'member-session');
+    if (!payload) return null;
+
+    const member = await env.DB.prepare(`
+      SELECT s.id AS session_id, s.last_seen_at, m.id, m.username, m.email, m.display_name, m.tier
+      FROM member_sessions s
+      JOIN members m ON m.id = s.member_id
+      WHERE s.id = ? AND s.expires_at > CURRENT_TIMESTAMP AND m.status = 'active'
+    `).bind(payload.sid).first();
+
+    const lastSeen = member && parseDbDate(member.last_seen_at);
+    if (member && (!lastSeen || Date.now() - lastSeen.getTime() > MEMBER_SESSION_TOUCH_INTERVAL)) {
+      await env.DB.prepare('UPDATE member_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?').bind(member.session_id).run();
+    }
+
+    return member;
+  } catch (error) {
+    console.error('Member session check failed:', error);
+    return null;
+  }
+}
+
+function formatMemberUser(member) {
+  return {
+    id: member.id,
+    username: member.username,
+    email: member.email,
+    displayName: member.display_name || member.username,
+    tier: member.tier
+  };
+}
+
+/**
+ * Member Management API
+ */
+async function handleGetMembers(request, env) {
+  try {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+
+    let query = `
+      SELECT m.id, m.username, m.email, m.display_name, m.status, m.tier, m.last_login, m.created_at, m.access_request_id,
+             m.password_hash IS NOT NULL AS has_password, m.invite_quota, m.referred_by, referrer.username AS referrer_username,
+             (SELECT COUNT(*) FROM member_sessions s WHERE s.member_id = m.id AND s.expires_at > CURRENT_TIMESTAMP) AS active_sessions,
+             (SELECT COUNT(*) FROM invite_codes c WHERE c.member_id = m.id) AS invites_issued,
+             (SELECT COUNT(*) FROM invite_codes c WHERE c.member_id = m.id AND c.used_at IS NOT NULL) AS invites_used
+      FROM members m
+      LEFT JOIN members referrer ON referrer.id = m.referred_by
+    `;
+    const params = [];
+
+    if (MEMBER_STATUSES.includes(status)) {
+      query += ' WHERE m.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY m.created_at DESC, m.id DESC LIMIT 500';
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return new Response(JSON.stringify({ success: true, data: results }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch members' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleCreateMember(request, env) {
+  try {
+    const body = await request.json();
+    const username = String(body.username || '').trim();
+    const email = String(body.email || '').trim().toLowerCase();
+    const displayName = String(body.displayName || '').trim().slice(0, 80) || null;
+    const tier = body.tier ?? 'member';
+
+    const validationError = validateMemberUsername(username)
+      || (!EMAIL_PATTERN.test(email) ? { error: 'Please enter a valid email address', field: 'email' } : null)
+      || validateMemberPassword(body.password)
+      || validateMemberTier(tier);
+
+    if (validationError) {
+      return new Response(JSON.stringify(validationError), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT username, email FROM members WHERE username = ? OR email = ?
+    `).bind(username, email).first();
+
+    if (existing) {
+      const field = existing.email.toLowerCase() === email ? 'email' : 'username';
+      return new Response(JSON.stringify({ error: `A member with this ${field} already exists`, field }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const result = await env.DB.prepare(`
+      INSERT INTO members (username, email, display_name, tier, password_hash)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(username, email, displayName, tier, await hashPassword(body.password)).run();
+
+    return new Response(JSON.stringify({ success: true, id: result.meta.last_row_id }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error creating member:', error);
+    return new Response(JSON.stringify({ error: 'Failed to create member' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Changes a member's status, tier, invite quota and/or password. A status or
+// password change signs the member out everywhere; a new password also retires
+// any pending invitation. Tier changes apply on the member's next request.
+async function handleUpdateMember(request, env) {
+  try {
+    const memberId = getMemberIdFromPath(request);
+    const body = await request.json();
+    const updates = [];
+    const params = [];
+
+    if (body.status !== undefined) {
+      if (!MEMBER_STATUSES.includes(body.status)) {
+        return new Response(JSON.stringify({ error: `status must be one of: ${MEMBER_STATUSES.join(', ')}`, field: 'status' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+      // An admin's decision replaces any suspension a rejection applied
+      updates.push('status = ?', 'suspended_by_request_id = NULL');
+      params.push(body.status);
+    }
+
+    if (body.tier !== undefined) {
+      const tierError = validateMemberTier(body.tier);
+      if (tierError) {
+        return new Response(JSON.stringify(tierError), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+      updates.push('tier = ?');
+      params.push(body.tier);
+    }
+
+    if (body.inviteQuota !== undefined) {
+      if (!Number.isInteger(body.inviteQuota) || body.inviteQuota < 0 || body.inviteQuota > MEMBER_INVITE_QUOTA_MAX) {
+        return new Response(JSON.stringify({ error: `inviteQuota must be a whole number from 0 to ${MEMBER_INVITE_QUOTA_MAX}`, field: 'inviteQuota' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+      updates.push('invite_quota = ?');
+      params.push(body.inviteQuota);
+    }
+
+    if (body.password !== undefined) {
+      const passwordError = validateMemberPassword(body.password);
+      if (passwordError) {
+        return new Response(JSON.stringify(passwordError), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+      updates.push('password_hash = ?');
+      params.push(await hashPassword(body.password));
+    }
+
+    if (!updates.length) {
+      return new Response(JSON.stringify({ error: 'Nothing to update' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const statements = [
+      env.DB.prepare(`
+        UPDATE members SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(...params, memberId)
+    ];
+    if (body.status !== undefined || body.password !== undefined) {
+      statements.push(env.DB.prepare('DELETE FROM member_sessions WHERE member_id = ?').bind(memberId));
+    }
+    if (body.password !== undefined) {
+      statements.push(env.DB.prepare('DELETE FROM member_invitations WHERE member_id = ? AND used_at IS NULL').bind(memberId));
+    }
+
+    const [result] = await env.DB.batch(statements);
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Member not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, id: memberId }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error updating member:', error);
+    return new Response(JSON.stringify({ error: 'Failed to update member' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+/**
+ * Referral Tree
+ * Every member with who invited them and how their invites were used; the
+ * dashboard assembles the tree from referred_by.
+ */
+async function handleGetReferrals(request, env) {
+  try {
+    const [{ results }, requests] = await Promise.all([
+      env.DB.prepare(`
+        SELECT m.id, m.username, m.display_name, m.status, m.tier, m.referred_by, m.invite_quota, m.created_at,
+               (SELECT COUNT(*) FROM invite_codes c WHERE c.member_id = m.id) AS invites_issued,
+               (SELECT COUNT(*) FROM invite_codes c WHERE c.member_id = m.id AND c.used_at IS NOT NULL) AS invites_used
+        FROM members m
+        ORDER BY m.created_at ASC, m.id ASC
+        LIMIT 1000
+      `).all(),
+      env.DB.prepare(`
+        SELECT COUNT(*) AS total, SUM(CASE WHEN referred_by IS NOT NULL THEN 1 ELSE 0 END) AS referred
+        FROM access_requests
+      `).first()
+    ]);
+
+    const summary = {
+      members: results.length,
+      referredMembers: results.filter(member => member.referred_by).length,
+      invitesIssued: results.reduce((sum, member) => sum + member.invites_issued, 0),
+      invitesUsed: results.reduce((sum, member) => sum + member.invites_used, 0),
+      requests: requests.total || 0,
+      referredRequests: requests.referred || 0
+    };
+
+    return new Response(JSON.stringify({ success: true, data: results, summary }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching referrals:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch referrals' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+function validateMemberUsername(username) {
+  return MEMBER_USERNAME_PATTERN.test(username)
+    ? null
+    : { error: 'Username must be 3-32 characters: letters, numbers, dots, dashes or underscores', field: 'username' };
+}
+
+function validateMemberPassword(password) {
+  return typeof password === 'string' && password.length >= MEMBER_PASSWORD_MIN_LENGTH && password.length <= 200
+    ? null
+    : { error: `Password must be at least ${MEMBER_PASSWORD_MIN_LENGTH} characters`, field: 'password' };
+}
+
+function validateMemberTier(tier) {
+  return MEMBER_TIERS.includes(tier)
+    ? null
+    : { error: `tier must be one of: ${MEMBER_TIERS.join(', ')}`, field: 'tier' };
+}
+
+/**
+ * Member Invitations
+ * Approving an access request provisions a member without a password and
+ * emails a single-use invitation for choosing one.
+ */
+async function handleMemberInvitation(request, env) {
+  try {
+    const token = new URL(request.url).searchParams.get('token');
+    const payload = await verifySignedToken(env, token, 'member-invite');
+    const invitation = payload && await env.DB.prepare(`
+      SELECT i.id, i.member_id, i.nonce, m.username, m.status
+      FROM member_invitations i
+      JOIN members m ON m.id = i.member_id
+      WHERE i.id = ? AND i.used_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+    `).bind(payload.iid).first();
+
+    if (!invitation || invitation.nonce !== payload.nonce || invitation.status !== 'active') {
+      return generateNewsletterPage(400, 'Invitation expired', 'This invitation link is invalid, has already been used or has expired. Reply to your approval email and we will send a fresh one.');
+    }
+
+    const passwordForm = (status, error) => generateNewsletterPage(status, 'Set your password',
+      `Choose a password for your member account <strong>${escapeHtml(invitation.username)}</strong>.${error ? `<br><strong>${escapeHtml(error)}</strong>` : ''}`, `
+        <form method="POST" action="/api/portal-auth/invitation?token=${encodeURIComponent(token)}">
+          <input type="hidden" name="username" value="${escapeHtml(invitation.username)}" autocomplete="username">
+          <input type="password" name="password" placeholder="New password" minlength="${MEMBER_PASSWORD_MIN_LENGTH}" autocomplete="new-password" required>
+          <input type="password" name="confirmPassword" placeholder="Repeat password" autocomplete="new-password" required>
+          <button type="submit" class="newsletter-page-btn">Activate account</button>
+        </form>
+      `);
+
+    if (request.method === 'GET') {
+      return passwordForm(200);
+    }
+
+    const form = await request.formData();
+    const password = String(form.get('password') || '');
+    const error = validateMemberPassword(password)?.error
+      || (password !== form.get('confirmPassword') ? 'The passwords do not match' : null);
+
+    if (error) {
+      return passwordForm(400, error);
+    }
+
+    const claimed = await env.DB.prepare(`
+      UPDATE member_invitations SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL
+    `).bind(invitation.id).run();
+
+    if (!claimed.meta.changes) {
+      return generateNewsletterPage(400, 'Invitation expired', 'This invitation link has already been used. Log in with your password instead.');
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE members SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(await hashPassword(password), invitation.member_id),
+      env.DB.prepare('DELETE FROM member_invitations WHERE member_id = ? AND used_at IS NULL').bind(invitation.member_id)
+    ]);
+
+    return generateNewsletterPage(200, 'Account activated',
+      `Your password is set. Log in as <strong>${escapeHtml(invitation.username)}</strong> to enter the underground.`,
+      `<a href="/?focus=login&returnTo=/blog" class="newsletter-page-btn" style="display: inline-block; text-decoration: none;">Log in</a>`);
+
+  } catch (error) {
+    console.error('Member invitation error:', error);
+    return generateNewsletterPage(500, 'Something went wrong', 'We could not activate your account. Please try again later.');
+  }
+}
+
+// Finds the member for an approved request (by link, then by email) or creates
+// one, so approving twice never duplicates the account. A re-approval also
+// lifts a suspension that a rejection applied, but not one an admin set.
+// Only the admin approval path may call this for an existing member.
+async function provisionAccessRequestMember(env, accessRequest) {
+  let member = await env.DB.prepare(`
+    SELECT id, username, password_hash FROM members
+    WHERE access_request_id = ? OR email = ?
+    ORDER BY CASE WHEN access_request_id = ? THEN 0 ELSE 1 END
+    LIMIT 1
+  `).bind(accessRequest.id, accessRequest.email, accessRequest.id).first();
+  const created = !member;
+
+  if (member) {
+    await env.DB.prepare(`
+      UPDATE members
+      SET access_request_id = COALESCE(access_request_id, ?), referred_by = COALESCE(referred_by, NULLIF(?, id)),
+          status = CASE WHEN suspended_by_request_id IS NULL THEN status ELSE 'active' END,
+          suspended_by_request_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(accessRequest.id, accessRequest.referred_by || null, member.id).run();
+  } else {
+    const username = await generateMemberUsername(env, accessRequest.email);
+    const result = await env.DB.prepare(`
+      INSERT INTO members (username, email, display_name, country, phone, access_request_id, referred_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      username,
+      accessRequest.email,
+      String(accessRequest.full_name || '').trim().slice(0, 80) || null,
+      accessRequest.country || null,
+      accessRequest.phone || null,
+      accessRequest.id,
+      accessRequest.referred_by || null
+    ).run();
+    member = { id: result.meta.last_row_id, username, password_hash: null };
+  }
+
+  return {
+    id: member.id,
+    username: member.username,
+    created,
+    inviteUrl: member.password_hash ? null : await issueMemberInvitation(env, member.id, accessRequest.id)
+  };
+}
+
+// Replaces any unused invitation, so only the most recently emailed link works
+async function issueMemberInvitation(env, memberId, accessRequestId) {
+  const nonce = crypto.randomUUID();
+  const expiresAt = Date.now() + MEMBER_INVITATION_DURATION;
+
+  const [, inserted] = await env.DB.batch([
+    env.DB.prepare('DELETE FROM member_invitations WHERE member_id = ? AND used_at IS NULL').bind(memberId),
+    env.DB.prepare(`
+      INSERT INTO member_invitations (member_id, access_request_id, nonce, expires_at)
+      VALUES (?, ?, ?, datetime(?))
+    `).bind(memberId, accessRequestId || null, nonce, new Date(expiresAt).toISOString())
+  ]);
+
+  const token = await createSignedToken(env, { purpose: 'member-invite', iid: inserted.meta.last_row_id, nonce, exp: expiresAt });
+  return `${SITE_URL}/api/portal-auth/invitation?token=${encodeURIComponent(token)}`;
+}
+
+async function suspendAccessRequestMember(env, accessRequestId) {
+  const [result] = await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE members SET status = 'suspended', suspended_by_request_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE access_request_id = ? AND status = 'active'
+    `).bind(accessRequestId, accessRequestId),
+    env.DB.prepare(`
+      DELETE FROM member_sessions WHERE member_id IN (SELECT id FROM members WHERE access_request_id = ?)
+    `).bind(accessRequestId),
+    env.DB.prepare(`
+      DELETE FROM member_invitations WHERE used_at IS NULL AND member_id IN (SELECT id FROM members WHERE access_request_id = ?)
+    `).bind(accessRequestId)
+  ]);
+  return result.meta.changes > 0;
+}
+
+async function generateMemberUsername(env, email) {
+  const base = (email.split('@')[0].replace(/[^a-zA-Z0-9_.-]/g, '').slice(0, 28) || 'member').padEnd(3, '_');
+
+  for (let suffix = 1; suffix <= 20; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}${suffix}`;
+    const taken = await env.DB.prepare('SELECT 1 FROM members WHERE username = ?').bind(candidate).first();
+    if (!taken) return candidate;
+  }
+
+  return `${base.slice(0, 23)}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Magic-link Login
+ * Members can ask for a short-lived, single-use login link instead of typing
+ * a password. Redeeming it creates the same session as handlePortalLogin.
+ */
+async function handleMagicLinkRequest(request, env, ctx) {
+  try {
+    const body = await request.json();
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+
+    if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+      return new Response(JSON.stringify({ error: 'Please enter a valid email address', field: 'email' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const ip = request.headers.get('CF-Connecting-IP') || null;
+    const recent = await env.DB.prepare(`
+      SELECT
+        COALESCE(SUM(email = ?), 0) AS by_email,
+        COALESCE(SUM(ip_address = ?), 0) AS by_ip
+      FROM member_login_links
+      WHERE created_at > datetime('now', '-15 minutes') AND (email = ? OR ip_address = ?)
+    `).bind(email, ip, email, ip).first();
+
+    if (recent.by_email >= MEMBER_LOGIN_LINK_EMAIL_LIMIT || recent.by_ip >= MEMBER_LOGIN_LINK_IP_LIMIT) {
+      return new Response(JSON.stringify({ error: 'Too many login links requested. Please wait a few minutes and try again.' }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': '900', ...corsHeaders },
+      });
+    }
+
+    const member = await env.DB.prepare(`
+      SELECT id, email FROM members WHERE email = ? AND status = 'active'
+    `).bind(email).first();
+
+    const nonce = crypto.randomUUID();
+    const expiresAt = Date.now() + MEMBER_LOGIN_LINK_DURATION;
+    const result = await env.DB.prepare(`
+      INSERT INTO member_login_links (member_id, email, nonce, return_to, ip_address, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime(?))
+    `).bind(member?.id || null, email, nonce, getSafeReturnPath(body.returnTo), ip, new Date(expiresAt).toISOString()).run();
+
+    if (member) {
+      const sending = sendMemberLoginLink(request, env, {
+        id: result.meta.last_row_id,
+        memberId: member.id,
+        email: member.email,
+        nonce,
+        expiresAt
+      }).catch(error => console.error('Login link email failed:', error));
+
+      if (ctx) {
+        ctx.waitUntil(sending);
+      } else {
+        await sending;
+      }
+    }
+
+    // Same answer (and no waiting on the mail server) whether or not the
+    // address belongs to a member
+    return new Response(JSON.stringify({
+      success: true,
+      message: 'If that address belongs to a member, a login link is on its way. It works once and expires in 15 minutes.'
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    return new Response(JSON.stringify({ error: 'Could not send a login link. Please try again later.' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function sendMemberLoginLink(request, env, link) {
+  const origin = new URL(request.url).origin;
+  const token = await createSignedToken(env, {
+    purpose: 'member-login',
+    lid: link.id,
+    mid: link.memberId,
+    nonce: link.nonce,
+    exp: link.expiresAt
+  });
+  const loginUrl = `${origin}/api/portal-auth/magic-link/login?token=${token}`;
+
+  await sendMail(env, {
+    to: link.email,
+    subject: `Your ${SITE_NAME} login link`,
+    category: 'member-login-link',
+    text: `Someone (hopefully you) asked to log in to the ${SITE_NAME}.
+
+Log in:
+${loginUrl}
+
+The link works once and expires in 15 minutes. If you didn't ask for it, just ignore this email.`,
+    html: `<p>Someone (hopefully you) asked to log in to the <strong>${SITE_NAME}</strong>.</p>
+<p><a href="${loginUrl}" style="display:inline-block;padding:12px 24px;background:#FF9500;color:#000;text-decoration:none;border-radius:8px;font-weight:600;">Log in</a></p>
+<p style="color:#666;font-size:13px;">The link works once and expires in 15 minutes. If you didn't ask for it, just ignore this email.</p>`
+  });
+}
+
+// GET shows a confirmation button (mail scanners that prefetch links must not
+// burn the token); POST redeems it and redirects to the saved returnTo
+async function handleMagicLinkLogin(request, env) {
+  try {
+    const token = new URL(request.url).searchParams.get('token');
+    const payload = await verifySignedToken(env, token, 'member-login');
+    const link = payload && await env.DB.prepare(`
+      SELECT l.id, l.member_id, l.nonce, l.return_to, m.username
+      FROM member_login_links l
+      JOIN members m ON m.id = l.member_id
+      WHERE l.id = ? AND l.used_at IS NULL AND l.expires_at > CURRENT_TIMESTAMP AND m.status = 'active'
+    `).bind(payload.lid).first();
+
+    if (!link || link.nonce !== payload.nonce || link.member_id !== payload.mid) {
+      return generateNewsletterPage(400, 'Link expired', 'This login link is invalid, has already been used or has expired. Request a new one from the login form.',
+        `<a href="/?focus=login" class="newsletter-page-btn" style="display: inline-block; text-decoration: none;">Back to login</a>`);
+    }
+
+    if (request.method === 'GET') {
+      return generateNewsletterPage(200, 'Log in', `Continue as <strong>${escapeHtml(link.username)}</strong>.`, `
+        <form method="POST" action="/api/portal-auth/magic-link/login?token=${encodeURIComponent(token)}">
+          <button type="submit" class="newsletter-page-btn">Log in</button>
+        </form>
+      `);
+    }
+
+    const claimed = await env.DB.prepare(`
+      UPDATE member_login_links SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL
+    `).bind(link.id).run();
+
+    if (!claimed.meta.changes) {
+      return generateNewsletterPage(400, 'Link expired', 'This login link has already been used. Request a new one from the login form.');
+    }
+
+    const session = await createMemberSession(request, env, link.member_id);
+
+    // auth=link tells the client to pick up its display state from /api/me.
+    // return_to was checked on the way in; check again so a bad stored row
+    // still cannot send the member off-site.
+    const destination = new URL(getSafeReturnPath(link.return_to), SITE_URL);
+    destination.searchParams.set('auth', 'link');
+
+    return new Response(null, {
+      status: 303,
+      headers: {
+        'Location': `${destination.pathname}${destination.search}${destination.hash}`,
+        'Set-Cookie': await createMemberSessionCookie(env, session),
+        'Cache-Control': 'no-store'
+      }
+    });
+
+  } catch (error) {
+    console.error('Magic link login error:', error);
+    return generateNewsletterPage(500, 'Something went wrong', 'We could not log you in. Please try again later.');
+  }
+}
+
+// Only same-site paths. Resolve against SITE_URL rather than pattern-match the
+// raw string: dot segments ("/.//host", "/%2e//host") collapse to "//host",
+// which a browser reads as another origin.
+function getSafeReturnPath(value) {
+  if (typeof value !== 'string' || value.length > 500) {
+    return '/blog';
+  }
+
+  let url;
+  try {
+    url = new URL(value, SITE_URL);
+  } catch (error) {
+    return '/blog';
+  }
+
+  if (url.origin !== SITE_URL || url.pathname.startsWith('//')) {
+    return '/blog';
+  }
+
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+/**
+ * Member Self-service API
+ * /api/me is the source of truth for the logged-in member's profile; the
+ * frontend no longer trusts the user object it cached at login.
+ */
+async function handleGetProfile(request, env, member) {
+  try {
+    return new Response(JSON.stringify({ success: true, user: await loadMemberProfile(env, member.id) }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch profile' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleUpdateProfile(request, env, member) {
+  try {
+    const body = await request.json();
+    const updates = [];
+    const params = [];
+
+    const textFields = [
+      ['displayName', 'display_name', 80],
+      ['country', 'country', 80],
+      ['phone', 'phone', 40]
+    ];
+    for (const [field, column, maxLength] of textFields) {
+      if (body[field] === undefined) continue;
+
+      const value = String(body[field] ?? '').trim();
+      if (value.length > maxLength) {
+        return new Response(JSON.stringify({ error: `${field} must be at most ${maxLength} characters`, field }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+      updates.push(`${column} = ?`);
+      params.push(value || null);
+    }
+
+    if (body.newsletter !== undefined && typeof body.newsletter !== 'boolean') {
+      return new Response(JSON.stringify({ error: 'newsletter must be true or false', field: 'newsletter' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (!updates.length && body.newsletter === undefined) {
+      return new Response(JSON.stringify({ error: 'Nothing to update' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const statements = [];
+    if (updates.length) {
+      statements.push(env.DB.prepare(`
+        UPDATE members SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(...params, member.id));
+    }
+
+    // The member's address was verified by their invitation or login link,
+    // so opting in from the profile skips the double opt-in email
+    if (body.newsletter === true) {
+      statements.push(env.DB.prepare(`
+        INSERT INTO newsletter_subscribers (email, status, source, confirmed_at)
+        VALUES (?, 'confirmed', 'member-profile', CURRENT_TIMESTAMP)
+        ON CONFLICT (email) DO UPDATE SET
+          status = 'confirmed', confirm_token = NULL, unsubscribed_at = NULL,
+          confirmed_at = COALESCE(confirmed_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE status != 'confirmed'
+      `).bind(member.email.toLowerCase()));
+    } else if (body.newsletter === false) {
+      statements.push(env.DB.prepare(`
+        UPDATE newsletter_subscribers
+        SET status = 'unsubscribed', unsubscribed_at = CURRENT_TIMESTAMP, confirm_token = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE email = ? AND status != 'unsubscribed'
+      `).bind(member.email.toLowerCase()));
+    }
+
+    await env.DB.batch(statements);
+
+    return new Response(JSON.stringify({ success: true, user: await loadMemberProfile(env, member.id) }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    return new Response(JSON.stringify({ error: 'Failed to update profile' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Signs out every other device; the session making the change stays valid
+async function handleChangePassword(request, env, member) {
+  try {
+    const body = await request.json();
+    const account = await env.DB.prepare('SELECT password_hash FROM members WHERE id = ?').bind(member.id).first();
+
+    if (account.password_hash && !(await verifyPassword(String(body.currentPassword || ''), account.password_hash))) {
+      return new Response(JSON.stringify({ error: 'Your current password is incorrect', field: 'currentPassword' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const passwordError = validateMemberPassword(body.newPassword);
+    if (passwordError) {
+      return new Response(JSON.stringify({ ...passwordError, field: 'newPassword' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE members SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(await hashPassword(body.newPassword), member.id),
+      env.DB.prepare('DELETE FROM member_sessions WHERE member_id = ? AND id != ?').bind(member.id, member.session_id),
+      env.DB.prepare('DELETE FROM member_invitations WHERE member_id = ? AND used_at IS NULL').bind(member.id)
+    ]);
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error changing password:', error);
+    return new Response(JSON.stringify({ error: 'Failed to change password' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Removes the account and everything that can sign in as it. The access
+// request stays for the admins' records and comments keep their author name.
+async function handleDeleteAccount(request, env, member) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const account = await env.DB.prepare('SELECT username, password_hash FROM members WHERE id = ?').bind(member.id).first();
+
+    const confirmed = account.password_hash
+      ? await verifyPassword(String(body.password || ''), account.password_hash)
+      : String(body.confirm || '').toLowerCase() === account.username.toLowerCase();
+
+    if (!confirmed) {
+      return new Response(JSON.stringify({
+        error: account.password_hash ? 'Your password is incorrect' : 'Type your username to confirm',
+        field: account.password_hash ? 'password' : 'confirm'
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM member_sessions WHERE member_id = ?').bind(member.id),
+      env.DB.prepare('DELETE FROM member_invitations WHERE member_id = ?').bind(member.id),
+      env.DB.prepare('DELETE FROM member_login_links WHERE member_id = ?').bind(member.id),
+      env.DB.prepare('DELETE FROM invite_codes WHERE member_id = ? AND used_at IS NULL').bind(member.id),
+      env.DB.prepare('DELETE FROM members WHERE id = ?').bind(member.id)
+    ]);
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Set-Cookie': clearMemberSessionCookie(), ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    return new Response(JSON.stringify({ error: 'Failed to delete account' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleGetMemberSessions(request, env, member) {
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT id, user_agent, ip_address, created_at, last_seen_at
+      FROM member_sessions
+      WHERE member_id = ? AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_seen_at DESC
+    `).bind(member.id).all();
+
+    const data = results.map(session => ({
+      id: session.id,
+      device: describeUserAgent(session.user_agent),
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastSeenAt: session.last_seen_at,
+      current: session.id === member.session_id
+    }));
+
+    return new Response(JSON.stringify({ success: true, data }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+    });
+  } catch (error) {
+    console.error('Error fetching member sessions:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch devices' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleRevokeMemberSession(request, env, member) {
+  try {
+    const sessionId = decodeURIComponent(new URL(request.url).pathname.split('/')[4] || '');
+    const result = await env.DB.prepare(`
+      DELETE FROM member_sessions WHERE id = ? AND member_id = ?
+    `).bind(sessionId, member.id).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Device not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const headers = { 'Content-Type': 'application/json', ...corsHeaders };
+    if (sessionId === member.session_id) {
+      headers['Set-Cookie'] = clearMemberSessionCookie();
+    }
+
+    return new Response(JSON.stringify({ success: true, current: sessionId === member.session_id }), {
+      status: 200,
+      headers,
+    });
+  } catch (error) {
+    console.error('Error revoking member session:', error);
+    return new Response(JSON.stringify({ error: 'Failed to sign out device' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+/**
+ * Member Invite Codes
+ * Members issue up to invite_quota codes (used ones count towards it). An
+ * access request that redeems a code is approved at once, unless its email
+ * already belongs to a member; see redeemInviteCode.
+ */
+async function handleGetMemberInvites(request, env, member) {
+  try {
+    return new Response(JSON.stringify({ success: true, ...(await loadMemberInvites(env, member.id)) }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+    });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch invites' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleCreateMemberInvite(request, env, member) {
+  try {
+    // The quota check and the insert are one statement so parallel requests can't overshoot
+    const result = await env.DB.prepare(`
+      INSERT INTO invite_codes (code, member_id)
+      SELECT ?, id FROM members
+      WHERE id = ? AND (SELECT COUNT(*) FROM invite_codes WHERE member_id = ?) < invite_quota
+    `).bind(generateInviteCode(), member.id, member.id).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'You have no invites left' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, ...(await loadMemberInvites(env, member.id)) }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    return new Response(JSON.stringify({ error: 'Failed to create invite' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Withdrawing an unused code gives the slot back
+async function handleRevokeMemberInvite(request, env, member) {
+  try {
+    const inviteId = parseInt(new URL(request.url).pathname.split('/')[4]);
+    const result = await env.DB.prepare(`
+      DELETE FROM invite_codes WHERE id = ? AND member_id = ? AND used_at IS NULL
+    `).bind(Number.isInteger(inviteId) ? inviteId : 0, member.id).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Invite not found or already used' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, ...(await loadMemberInvites(env, member.id)) }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    return new Response(JSON.stringify({ error: 'Failed to revoke invite' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function loadMemberInvites(env, memberId) {
+  const [account, { results }] = await Promise.all([
+    env.DB.prepare('SELECT invite_quota FROM members WHERE id = ?').bind(memberId).first(),
+    env.DB.prepare(`
+      SELECT c.id, c.code, c.used_at, c.created_at, r.full_name AS invitee_name, r.status AS invitee_status
+      FROM invite_codes c
+      LEFT JOIN access_requests r ON r.id = c.access_request_id
+      WHERE c.member_id = ?
+      ORDER BY c.created_at DESC, c.id DESC
+    `).bind(memberId).all()
+  ]);
+
+  return {
+    quota: account.invite_quota,
+    remaining: Math.max(0, account.invite_quota - results.length),
+    invites: results.map(invite => ({
+      id: invite.id,
+      code: invite.code,
+      url: `${SITE_URL}/?focus=signup&invite=${encodeURIComponent(invite.code)}`,
+      createdAt: invite.created_at,
+      usedAt: invite.used_at,
+      invitee: invite.invitee_name || null,
+      inviteeStatus: invite.invitee_status || null
+    }))
+  };
+}
+
+function generateInviteCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  const chars = Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+  return `DMP-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// Accepts codes typed in lower case or with stray spaces
+function normalizeInviteCode(value) {
+  return typeof value === 'string' ? value.toUpperCase().replace(/\s+/g, '').slice(0, 32) : '';
+}
+
+// Claims the code for the request, provisions the member and approves the
+// request. Returns null if another request claimed the code first, or if the
+// email already belongs to a member: a code must never re-link or reactivate
+// an existing (possibly suspended) account. Either way the request simply
+// waits for an admin like any other.
+async function redeemInviteCode(env, invite, accessRequest) {
+  const existing = await env.DB.prepare('SELECT 1 FROM members WHERE email = ?').bind(accessRequest.email).first();
+  if (existing) {
+    return null;
+  }
+
+  const claimed = await env.DB.prepare(`
+    UPDATE invite_codes SET used_at = CURRENT_TIMESTAMP, access_request_id = ?
+    WHERE id = ? AND used_at IS NULL
+  `).bind(accessRequest.id, invite.id).run();
+
+  if (!claimed.meta.changes) {
+    return null;
+  }
+
+  const member = await provisionAccessRequestMember(env, accessRequest);
+  await env.DB.prepare(`
+    UPDATE access_requests SET status = 'approved', updated_at = datetime('now') WHERE id = ?
+  `).bind(accessRequest.id).run();
+
+  return member;
+}
+
+// A readable "Browser on OS" label for the devices list; the raw user agent
+// is returned alongside it
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/SamsungBrowser/, 'Samsung Internet'],
+    [/Firefox\/|FxiOS/, 'Firefox'],
+    [/Chrome\/|CriOS/, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  const os = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[1] || 'Browser', os?.[1]].filter(Boolean).join(' on ');
+}
+
+async function loadMemberProfile(env, memberId) {
+  const profile = await env.DB.prepare(`
+    SELECT id, username, email, display_name, tier, country, phone, access_request_id,
+           password_hash IS NOT NULL AS has_password, last_login, created_at
+    FROM members WHERE id = ?
+  `).bind(memberId).first();
+
+  // Members created by hand in the dashboard fall back to their latest request
+  const [accessRequest, subscriber] = await Promise.all([
+    env.DB.prepare(`
+      SELECT id, full_name, email, phone, country, status, created_at, updated_at
+      FROM access_requests
+      WHERE id = ? OR (? IS NULL AND email = ?)
+      ORDER BY created_at DESC LIMIT 1
+    `).bind(profile.access_request_id, profile.access_request_id, profile.email.toLowerCase()).first(),
+    env.DB.prepare('SELECT status FROM newsletter_subscribers WHERE email = ?').bind(profile.email.toLowerCase()).first()
+  ]);
+
+  return {
+    ...formatMemberUser(profile),
+    country: profile.country,
+    phone: profile.phone,
+    hasPassword: Boolean(profile.has_password),
+    newsletter: subscriber?.status === 'confirmed',
+    newsletterStatus: subscriber?.status || null,
+    lastLogin: profile.last_login,
+    createdAt: profile.created_at,
+    accessRequest: accessRequest && {
+      id: accessRequest.id,
+      fullName: accessRequest.full_name,
+      email: accessRequest.email,
+      phone: accessRequest.phone,
+      country: accessRequest.country,
+      status: accessRequest.status,
+      submittedAt: accessRequest.created_at,
+      updatedAt: accessRequest.updated_at
+    }
+  };
+}
+
+/**
+ * Member Account Page
+ * A static shell; everything on it is loaded from and saved to /api/me.
+ */
+async function handleAccountPage(request, env) {
+  if (!(await hasMemberAccess(request, env))) {
+    return new Response(null, {
+      status: 302,
+      headers: { 'Location': '/?focus=login&returnTo=/account' }
+    });
+  }
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Your account | ${SITE_NAME}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600&family=Orbitron:wght@400;700;900&display=swap" rel="stylesheet">
+    <style>
+        body {
+            margin: 0;
+            min-height: 100vh;
+            background: linear-gradient(135deg, #000000 0%, #1a1a1a 50%, #2d1b00 100%);
+            font-family: 'Inter', sans-serif;
+            color: #fff;
+        }
+        main {
+            max-width: 640px;
+            margin: 0 auto;
+            padding: 2rem 1rem 4rem;
+        }
+        h1, h2 {
+            font-family: 'Orbitron', sans-serif;
+            color: #FF9500;
+        }
+        h2 { font-size: 1.1rem; margin-top: 0; }
+        a { color: #00BFFF; }
+        .account-card {
+            margin-bottom: 1.5rem;
+            padding: 1.5rem;
+            background: linear-gradient(145deg, #2a2a2a, #1a1a1a);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 15px;
+        }
+        .account-card.danger { border-color: rgba(220, 53, 69, 0.5); }
+        label {
+            display: block;
+            margin: 0.75rem 0 0.3rem;
+            color: rgba(255, 255, 255, 0.8);
+            font-weight: 600;
+        }
+        label.checkbox { display: flex; gap: 0.5rem; align-items: center; font-weight: 400; }
+        input[type="text"], input[type="tel"], input[type="password"] {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 0.8rem;
+            background: rgba(0, 0, 0, 0.6);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+            color: #fff;
+            font: inherit;
+        }
+        button {
+            margin-top: 1rem;
+            background: linear-gradient(135deg, #FF9500, #FFD700);
+            color: #000;
+            border: none;
+            padding: 0.8rem 1.6rem;
+            border-radius: 8px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        button.danger { background: #DC3545; color: #fff; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.4rem 1rem; margin: 0; }
+        dt { color: rgba(255, 255, 255, 0.6); }
+        dd { margin: 0; }
+        .form-status { min-height: 1.2em; margin: 0.6rem 0 0; color: rgba(255, 255, 255, 0.7); font-size: 0.9rem; }
+        .device-list { list-style: none; margin: 0; padding: 0; }
+        .device-list li {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            padding: 0.75rem 0;
+            border-bottom: 1px solid rgba(255, 149, 0, 0.15);
+        }
+        .device-list small { display: block; color: rgba(255, 255, 255, 0.6); }
+        .device-list button { margin-top: 0; padding: 0.4rem 0.9rem; font-size: 0.85rem; }
+        button.secondary { background: none; border: 1px solid rgba(255, 149, 0, 0.5); color: #FF9500; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>Your account</h1>
+        <p><a href="/blog">Back to the stories</a> | <a href="#" id="logoutLink">Log out</a></p>
+
+        <section class="account-card">
+            <h2>Profile</h2>
+            <form id="profileForm">
+                <p>Logged in as <strong id="accountUsername"></strong> (<span id="accountEmail"></span>)</p>
+                <label for="displayName">Display name</label>
+                <input type="text" id="displayName" name="displayName" maxlength="80">
+                <label for="country">Country</label>
+                <input type="text" id="country" name="country" maxlength="80" autocomplete="country-name">
+                <label for="phone">Phone</label>
+                <input type="tel" id="phone" name="phone" maxlength="40" autocomplete="tel">
+                <label class="checkbox"><input type="checkbox" id="newsletter" name="newsletter"> Send me the newsletter</label>
+                <button type="submit">Save profile</button>
+                <p class="form-status" role="status"></p>
+            </form>
+        </section>
+
+        <section class="account-card">
+            <h2>Access request</h2>
+            <dl id="accessRequestDetails"></dl>
+        </section>
+
+        <section class="account-card">
+            <h2>Invite friends</h2>
+            <p>Friends who apply with one of your codes get in straight away. <span id="inviteQuota"></span></p>
+            <ul class="device-list" id="inviteList"></ul>
+            <button type="button" id="createInvite">Create invite code</button>
+            <p class="form-status" id="inviteStatus" role="status"></p>
+        </section>
+
+        <section class="account-card">
+            <h2>Password</h2>
+            <form id="passwordForm">
+                <input type="text" name="username" autocomplete="username" hidden>
+                <div id="currentPasswordField">
+                    <label for="currentPassword">Current password</label>
+                    <input type="password" id="currentPassword" name="currentPassword" autocomplete="current-password">
+                </div>
+                <label for="newPassword">New password</label>
+                <input type="password" id="newPassword" name="newPassword" minlength="${MEMBER_PASSWORD_MIN_LENGTH}" autocomplete="new-password" required>
+                <button type="submit">Change password</button>
+                <p class="form-status" role="status"></p>
+            </form>
+        </section>
+
+        <section class="account-card">
+            <h2>Active devices</h2>
+            <ul class="device-list" id="deviceList"></ul>
+            <button type="button" class="secondary" id="logoutEverywhere">Log out everywhere</button>
+            <p class="form-status" id="deviceStatus" role="status"></p>
+        </section>
+
+        <section class="account-card danger">
+            <h2>Delete account</h2>
+            <p>This removes your member account and signs you out everywhere. It can't be undone.</p>
+            <form id="deleteForm">
+                <label for="deleteConfirm" id="deleteConfirmLabel">Password</label>
+                <input type="password" id="deleteConfirm" required>
+                <button type="submit" class="danger">Delete my account</button>
+                <p class="form-status" role="status"></p>
+            </form>
+        </section>
+    </main>
+
+    <script>
+        let currentUser = null;
+
+        async function accountRequest(method, path, body) {
+            const response = await fetch(path, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            if (response.status === 401) {
+                window.location.href = '/?focus=login&returnTo=/account';
+                throw new Error('Not logged in');
+            }
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Request failed');
+            return result;
+        }
+
+        function clearLocalLoginState() {
+            ['sessionStorage', 'localStorage'].forEach(store => {
+                window[store].removeItem('dutchPortalAuth');
+                window[store].removeItem('dutchPortalUser');
+                window[store].removeItem('dutchPortalSession');
+            });
+        }
+
+        async function logout(everywhere) {
+            await accountRequest('POST', '/api/portal-auth/logout', { everywhere });
+            clearLocalLoginState();
+            window.location.href = '/?logout=success';
+        }
+
+        async function loadDevices() {
+            const result = await accountRequest('GET', '/api/me/sessions');
+            const list = document.getElementById('deviceList');
+            list.innerHTML = '';
+            for (const session of result.data) {
+                const item = document.createElement('li');
+                const details = document.createElement('div');
+                const name = document.createElement('strong');
+                const meta = document.createElement('small');
+                name.textContent = session.device + (session.current ? ' (this device)' : '');
+                meta.textContent = 'Last active ' + new Date(session.lastSeenAt).toLocaleString()
+                    + (session.ipAddress ? ' from ' + session.ipAddress : '');
+                meta.title = session.userAgent || '';
+                details.append(name, meta);
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'secondary';
+                button.textContent = 'Log out';
+                button.addEventListener('click', () => revokeDevice(session));
+
+                item.append(details, button);
+                list.append(item);
+            }
+        }
+
+        async function revokeDevice(session) {
+            if (session.current) {
+                return logout(false);
+            }
+            try {
+                await accountRequest('DELETE', '/api/me/sessions/' + encodeURIComponent(session.id));
+                document.getElementById('deviceStatus').textContent = session.device + ' has been logged out.';
+                await loadDevices();
+            } catch (error) {
+                document.getElementById('deviceStatus').textContent = error.message;
+            }
+        }
+
+        function renderInvites(result) {
+            document.getElementById('inviteQuota').textContent = result.remaining + ' of ' + result.quota + ' invites left.';
+            document.getElementById('createInvite').hidden = result.remaining === 0;
+            const list = document.getElementById('inviteList');
+            list.innerHTML = '';
+            for (const invite of result.invites) {
+                const item = document.createElement('li');
+                const details = document.createElement('div');
+                const code = document.createElement('strong');
+                const meta = document.createElement('small');
+                code.textContent = invite.code;
+                meta.textContent = invite.usedAt
+                    ? 'Used by ' + (invite.invitee || 'a friend') + ' on ' + new Date(invite.usedAt).toLocaleDateString()
+                    : 'Share this link: ' + invite.url;
+                details.append(code, meta);
+                item.append(details);
+
+                if (!invite.usedAt) {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'secondary';
+                    button.textContent = 'Withdraw';
+                    button.addEventListener('click', () => revokeInvite(invite));
+                    item.append(button);
+                }
+                list.append(item);
+            }
+        }
+
+        async function loadInvites() {
+            renderInvites(await accountRequest('GET', '/api/me/invites'));
+        }
+
+        async function revokeInvite(invite) {
+            try {
+                renderInvites(await accountRequest('DELETE', '/api/me/invites/' + invite.id));
+                document.getElementById('inviteStatus').textContent = invite.code + ' has been withdrawn.';
+            } catch (error) {
+                document.getElementById('inviteStatus').textContent = error.message;
+            }
+        }
+
+        document.getElementById('createInvite').addEventListener('click', async () => {
+            try {
+                const result = await accountRequest('POST', '/api/me/invites');
+                renderInvites(result);
+                document.getElementById('inviteStatus').textContent = 'New code ' + result.invites[0].code + ' is ready to share.';
+            } catch (error) {
+                document.getElementById('inviteStatus').textContent = error.message;
+            }
+        });
+
+        document.getElementById('logoutLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            logout(false).catch(error => console.error('Logout failed:', error));
+        });
+
+        document.getElementById('logoutEverywhere').addEventListener('click', () => {
+            if (!confirm('Log out on all of your devices, including this one?')) return;
+            logout(true).catch(error => {
+                document.getElementById('deviceStatus').textContent = error.message;
+            });
+        });
+
+        function setStatus(form, text) {
+            form.querySelector('.form-status').textContent = text;
+        }
+
+        function renderAccount(user) {
+            currentUser = user;
+            document.getElementById('accountUsername').textContent = user.username;
+            document.getElementById('accountEmail').textContent = user.email;
+            document.getElementById('displayName').value = user.displayName || '';
+            document.getElementById('country').value = user.country || '';
+            document.getElementById('phone').value = user.phone || '';
+            document.getElementById('newsletter').checked = user.newsletter;
+            document.querySelector('#passwordForm [name="username"]').value = user.username;
+            document.getElementById('currentPasswordField').hidden = !user.hasPassword;
+
+            const deleteConfirm = document.getElementById('deleteConfirm');
+            document.getElementById('deleteConfirmLabel').textContent = user.hasPassword ? 'Password' : 'Type your username to confirm';
+            deleteConfirm.type = user.hasPassword ? 'password' : 'text';
+
+            const details = document.getElementById('accessRequestDetails');
+            details.innerHTML = '';
+            const rows = [['Access level', user.tier === 'insider' ? 'Insider' : 'Member']].concat(user.accessRequest
+                ? [
+                    ['Status', user.accessRequest.status],
+                    ['Submitted', new Date(user.accessRequest.submittedAt).toLocaleString()],
+                    ['Name', user.accessRequest.fullName],
+                    ['Email', user.accessRequest.email],
+                    ['Country', user.accessRequest.country]
+                ]
+                : [['Status', 'Your account was created by an admin']]);
+            for (const [term, value] of rows) {
+                const dt = document.createElement('dt');
+                const dd = document.createElement('dd');
+                dt.textContent = term;
+                dd.textContent = value || '-';
+                details.append(dt, dd);
+            }
+        }
+
+        document.getElementById('profileForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            setStatus(form, 'Saving...');
+            try {
+                const result = await accountRequest('PUT', '/api/me', {
+                    displayName: form.elements.displayName.value,
+                    country: form.elements.country.value,
+                    phone: form.elements.phone.value,
+                    newsletter: form.elements.newsletter.checked
+                });
+                renderAccount(result.user);
+                setStatus(form, 'Profile saved.');
+            } catch (error) {
+                setStatus(form, error.message);
+            }
+        });
+
+        document.getElementById('passwordForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            setStatus(form, 'Saving...');
+            try {
+                await accountRequest('POST', '/api/me/password', {
+                    currentPassword: form.elements.currentPassword.value,
+                    newPassword: form.elements.newPassword.value
+                });
+                form.reset();
+                currentUser.hasPassword = true;
+                renderAccount(currentUser);
+                setStatus(form, 'Password changed. Your other devices have been signed out.');
+                await loadDevices();
+            } catch (error) {
+                setStatus(form, error.message);
+            }
+        });
+
+        document.getElementById('deleteForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            if (!confirm('Delete your account for good?')) return;
+            const value = document.getElementById('deleteConfirm').value;
+            try {
+                await accountRequest('DELETE', '/api/me', currentUser.hasPassword ? { password: value } : { confirm: value });
+                clearLocalLoginState();
+                window.location.href = '/';
+            } catch (error) {
+                setStatus(form, error.message);
+            }
+        });
+
+        accountRequest('GET', '/api/me')
+            .then(result => renderAccount(result.user))
+            .then(() => Promise.all([loadDevices(), loadInvites()]))
+            .catch(error => console.error('Failed to load account:', error));
+    </script>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'private, no-store' },
+  });
+}
+
+/**
+ * Enhanced Admin Dashboard
+ */
+async function handleAdminDashboard(request, env) {
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Dutch Mystery Portal - Admin Dashboard</title>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600&family=Orbitron:wght@400;700&display=swap" rel="stylesheet">
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: 'Inter', sans-serif;
+            background: linear-gradient(135deg, #1a1a1a, #2d1810);
+            color: #fff;
+            min-height: 100vh;
+        }
+        .login-screen {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+        }
+        .login-form {
+            background: rgba(255, 149, 0, 0.1);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 15px;
+            padding: 3rem;
+            max-width: 400px;
+            width: 100%;
+            text-align: center;
+            backdrop-filter: blur(10px);
+        }
+        .login-form h1 {
+            color: #FF9500;
+            margin-bottom: 2rem;
+            font-size: 1.8rem;
+            font-family: 'Orbitron', sans-serif;
+            text-shadow: 0 0 15px #FF9500;
+        }
+        .form-group {
+            margin-bottom: 1.5rem;
+            text-align: left;
+        }
+        .form-group label {
+            display: block;
+            color: #FFD700;
+            margin-bottom: 0.5rem;
+            font-weight: 600;
+        }
+        .form-group input {
+            width: 100%;
+            padding: 1rem;
+            background: rgba(0, 0, 0, 0.6);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+            color: #fff;
+            font-size: 1rem;
+            transition: all 0.3s ease;
+        }
+        .form-group input:focus {
+            outline: none;
+            border-color: #00BFFF;
+            box-shadow: 0 0 10px rgba(0, 191, 255, 0.3);
+        }
+        .btn {
+            background: linear-gradient(135deg, #FF9500, #FFD700);
+            color: #000;
+            border: none;
+            padding: 1rem 2rem;
+            border-radius: 8px;
+            cursor: pointer;
+            font-weight: 600;
+            font-size: 1rem;
+            transition: transform 0.2s;
+            width: 100%;
+        }
+        .btn:hover { transform: translateY(-2px); }
+        .btn:disabled { opacity: 0.6; cursor: not-allowed; transform: none; }
+        .header {
+            background: rgba(255, 149, 0, 0.1);
+            backdrop-filter: blur(10px);
+            border-bottom: 1px solid rgba(255, 149, 0, 0.3);
+            padding: 1rem 2rem;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        .header h1 { color: #FF9500; font-size: 1.5rem; font-family: 'Orbitron', sans-serif; }
+        .nav-tabs {
+            display: flex;
+            background: rgba(0, 0, 0, 0.3);
+            border-bottom: 1px solid rgba(255, 149, 0, 0.3);
+            padding: 0 2rem;
+        }
+        .nav-tab {
+            background: none;
+            border: none;
+            color: rgba(255, 255, 255, 0.7);
+            padding: 1rem 1.5rem;
+            cursor: pointer;
+            font-size: 1rem;
+            transition: all 0.3s ease;
+            border-bottom: 3px solid transparent;
+        }
+        .nav-tab.active,
+        .nav-tab:hover {
+            color: #FF9500;
+            border-bottom-color: #FF9500;
+        }
+        .tab-content {
+            display: none;
+            padding: 2rem;
+        }
+        .tab-content.active { display: block; }
+        .stats-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 1rem;
+            margin-bottom: 2rem;
+        }
+        .stat-card {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 10px;
+            padding: 1.5rem;
+            text-align: center;
+        }
+        .stat-number {
+            font-size: 2rem;
+            font-weight: bold;
+            color: #FF9500;
+            margin-bottom: 0.5rem;
+        }
+        .dashboard-content { display: none; }
+        .dashboard-content.show { display: block; }
+        .user-info {
+            display: flex;
+            align-items: center;
+            gap: 1rem;
+            color: #FFD700;
+        }
+        .error-message {
+            color: #ff6b6b;
+            background: rgba(255, 107, 107, 0.1);
+            border: 1px solid rgba(255, 107, 107, 0.3);
+            padding: 1rem;
+            border-radius: 8px;
+            margin-top: 1rem;
+        }
+        .blog-item {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 10px;
+            padding: 1.5rem;
+            margin-bottom: 1rem;
+        }
+        .blog-title {
+            color: #FF9500;
+            font-size: 1.2rem;
+            margin-bottom: 0.5rem;
+        }
+        .blog-meta {
+            color: rgba(255, 255, 255, 0.6);
+            font-size: 0.9rem;
+            margin-bottom: 1rem;
+        }
+        .referral-tree ul {
+            list-style: none;
+            margin: 0;
+            padding-left: 1.5rem;
+            border-left: 1px dashed rgba(255, 149, 0, 0.3);
+        }
+        .referral-tree > ul {
+            padding-left: 0;
+            border-left: none;
+        }
+        .referral-tree li {
+            margin: 0.4rem 0;
+        }
+        .referral-tree .blog-meta {
+            display: inline;
+            margin-left: 0.5rem;
+        }
+        .blog-actions {
+            display: flex;
+            gap: 0.5rem;
+        }
+        .btn-small {
+            padding: 0.5rem 1rem;
+            font-size: 0.9rem;
+            width: auto;
+        }
+        .btn-secondary {
+            background: rgba(0, 191, 255, 0.2);
+            color: #00BFFF;
+            border: 1px solid #00BFFF;
+        }
+        .btn-secondary:hover {
+            background: rgba(0, 191, 255, 0.3);
+        }
+        .modal-overlay {
+            display: none;
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.8);
+            backdrop-filter: blur(5px);
+            z-index: 2000;
+            overflow-y: auto;
+            padding: 2rem 1rem;
+        }
+        .modal-overlay.show { display: block; }
+        .modal-panel {
+            background: linear-gradient(145deg, #2a2a2a, #1a1a1a);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 15px;
+            padding: 2rem;
+            max-width: 900px;
+            margin: 0 auto;
+        }
+        .modal-panel h2 {
+            color: #FF9500;
+            font-family: 'Orbitron', sans-serif;
+            margin-bottom: 1.5rem;
+        }
+        .form-group textarea,
+        .form-group select {
+            width: 100%;
+            padding: 1rem;
+            background: rgba(0, 0, 0, 0.6);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+            color: #fff;
+            font-size: 0.95rem;
+        }
+        .form-group textarea {
+            font-family: monospace;
+            min-height: 120px;
+            resize: vertical;
+        }
+        .form-row {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 1rem;
+        }
+        .form-check {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            color: rgba(255, 255, 255, 0.8);
+            margin-bottom: 1rem;
+        }
+        .revision-item {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            flex-wrap: wrap;
+            padding: 1rem 0;
+            border-bottom: 1px solid rgba(255, 149, 0, 0.2);
+        }
+        .diff-view {
+            background: rgba(0, 0, 0, 0.6);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+            padding: 1rem;
+            margin-top: 1rem;
+            font-family: monospace;
+            font-size: 0.85rem;
+            white-space: pre-wrap;
+            word-break: break-all;
+            max-height: 400px;
+            overflow-y: auto;
+        }
+        .diff-add { background: rgba(40, 167, 69, 0.25); color: #8fe3a1; }
+        .diff-remove { background: rgba(220, 53, 69, 0.25); color: #ff9b9b; }
+        .diff-skip { color: rgba(255, 255, 255, 0.4); font-style: italic; }
+        .tab-badge {
+            display: inline-block;
+            min-width: 1.4rem;
+            padding: 0.1rem 0.4rem;
+            margin-left: 0.3rem;
+            border-radius: 10px;
+            background: #FF9500;
+            color: #000;
+            font-size: 0.75rem;
+            font-weight: 700;
+        }
+        .tab-badge:empty { display: none; }
+        .comment-body {
+            background: rgba(0, 0, 0, 0.4);
+            border-left: 3px solid rgba(255, 149, 0, 0.5);
+            border-radius: 4px;
+            padding: 0.8rem 1rem;
+            margin-bottom: 1rem;
+            white-space: pre-wrap;
+            word-break: break-word;
+        }
+        .comment-parent {
+            font-size: 0.85rem;
+            color: rgba(255, 255, 255, 0.5);
+            margin-bottom: 0.5rem;
+        }
+        .newsletter-post-picker {
+            max-height: 260px;
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.4);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+            padding: 0.5rem 1rem;
+        }
+        .newsletter-post-picker .form-check { margin: 0.4rem 0; }
+        .newsletter-post-order {
+            display: inline-block;
+            min-width: 1.4rem;
+            color: #FF9500;
+            font-weight: 700;
+        }
+        .newsletter-preview {
+            display: none;
+            width: 100%;
+            height: 600px;
+            margin-top: 1.5rem;
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+            background: #000;
+        }
+        .newsletter-preview.show { display: block; }
+        .newsletter-stats {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem 1.5rem;
+            color: rgba(255, 255, 255, 0.8);
+            font-size: 0.9rem;
+            margin-bottom: 1rem;
+        }
+        .newsletter-stats strong { color: #FF9500; }
+        .delivery-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+        }
+        .delivery-table th,
+        .delivery-table td {
+            text-align: left;
+            padding: 0.5rem;
+            border-bottom: 1px solid rgba(255, 149, 0, 0.2);
+            word-break: break-all;
+        }
+        .delivery-table th { color: #FFD700; }
+        @media (max-width: 768px) {
+            .header { flex-direction: column; gap: 1rem; }
+            .nav-tabs { flex-wrap: wrap; padding: 0 1rem; }
+            .tab-content { padding: 1rem; }
+            .stats-grid { grid-template-columns: 1fr 1fr; }
+            .blog-actions { flex-direction: column; }
+        }
+    </style>
+</head>
+<body>
+    <!-- Login Screen -->
+    <div id="loginScreen" class="login-screen">
+        <div class="login-form">
+            <h1>Admin Portal</h1>
+            <p style="color: rgba(255, 255, 255, 0.8); margin-bottom: 2rem;">Access the Dutch Mystery Control Center</p>
+            <form id="adminLoginForm">
+                <div class="form-group">
+                    <label for="username">Username:</label>
+                    <input type="text" id="username" required placeholder="Enter admin username">
+                </div>
+                <div class="form-group">
+                    <label for="password">Password:</label>
+                    <input type="password" id="password" required placeholder="Enter admin password">
+                </div>
+                <button type="submit" class="btn" id="loginBtn">
+                    <span id="loginBtnText">Enter Portal</span>
+                </button>
+            </form>
+            <div id="loginError" class="error-message" style="display: none;"></div>
+            <div style="margin-top: 2rem; padding-top: 1rem; border-top: 1px solid rgba(255, 149, 0, 0.3); font-size: 0.9rem; color: rgba(255, 255, 255, 0.6);">
+                <p>Default: admin / DutchMystery2025!</p>
+            </div>
+        </div>
+    </div>
+
+    <!-- Dashboard Content -->
+    <div id="dashboardContent" class="dashboard-content">
+        <div class="header">
+            <h1>Dutch Mystery Admin</h1>
+            <div class="user-info">
+                <span id="welcomeUser">Welcome Admin</span>
+                <button class="btn" onclick="logout()" style="width: auto; padding: 0.5rem 1rem;">Logout</button>
+            </div>
+        </div>
+
+        <div class="nav-tabs">
+            <button class="nav-tab active" onclick="showTab('overview')">Overview</button>
+            <button class="nav-tab" onclick="showTab('blogs')">Blog Management</button>
+            <button class="nav-tab" onclick="showTab('requests')">Access Requests</button>
+            <button class="nav-tab" onclick="showTab('members')">Members</button>
+            <button class="nav-tab" onclick="showTab('comments')">Comments<span class="tab-badge" id="pendingCommentsBadge"></span></button>
+            <button class="nav-tab" onclick="showTab('newsletter')">Newsletter</button>
+            <button class="nav-tab" onclick="showTab('emails')">Emails</button>
+        </div>
+
+        <!-- Overview Tab -->
+        <div id="overview" class="tab-content active">
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="stat-number" id="totalRequests">-</div>
+                    <div>Total Requests</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number" id="totalBlogs">-</div>
+                    <div>Blog Posts</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number" id="pendingRequests">-</div>
+                    <div>Pending Requests</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number" id="publishedBlogs">-</div>
+                    <div>Published Blogs</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number" id="pendingComments">-</div>
+                    <div>Comments Awaiting Review</div>
+                </div>
+            </div>
+            <div style="background: rgba(255, 149, 0, 0.1); border: 1px solid rgba(255, 149, 0, 0.3); border-radius: 10px; padding: 2rem; text-align: center;">
+                <h3 style="color: #FF9500; margin-bottom: 1rem;">Database Setup Complete!</h3>
+                <p>Your Dutch Mystery Portal is ready for content management with Medium-style preview system.</p>
+                <div style="margin-top: 1rem;">
+                    <a href="/ade-2025-guide" target="_blank" style="color: #00BFFF; text-decoration: none; margin: 0 1rem;">View ADE Guide</a>
+                    <a href="/" target="_blank" style="color: #00BFFF; text-decoration: none; margin: 0 1rem;">Portal Home</a>
+                </div>
+            </div>
+        </div>
+
+        <!-- Blog Management Tab -->
+        <div id="blogs" class="tab-content">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; flex-wrap: wrap; gap: 1rem;">
+                <h2 style="color: #FF9500;">Blog Management</h2>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button class="btn btn-secondary" id="trashToggleBtn" onclick="toggleTrashView()" style="width: auto; padding: 0.8rem 1.5rem;">Trash</button>
+                    <button class="btn" onclick="showCreateBlogForm()" style="width: auto; padding: 0.8rem 1.5rem;">+ New Blog Post</button>
+                </div>
+            </div>
+            <div id="blogsList">Loading blogs...</div>
+        </div>
+
+        <!-- Access Requests Tab -->
+        <div id="requests" class="tab-content">
+            <h2 style="color: #FF9500; margin-bottom: 2rem;">Access Requests</h2>
+            <div id="requestsList">Loading requests...</div>
+        </div>
+
+        <!-- Members Tab -->
+        <div id="members" class="tab-content">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; flex-wrap: wrap; gap: 1rem;">
+                <h2 style="color: #FF9500;">Members</h2>
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <div class="form-group" style="margin-bottom: 0; min-width: 180px;">
+                        <select id="memberStatusFilter" onchange="loadMembers()">
+                            <option value="">All members</option>
+                            <option value="active">Active</option>
+                            <option value="suspended">Suspended</option>
+                        </select>
+                    </div>
+                    <button class="btn btn-secondary" onclick="toggleReferralTree()" style="width: auto; padding: 0.8rem 1.5rem;">Referral Tree</button>
+                    <button class="btn" onclick="showCreateMemberForm()" style="width: auto; padding: 0.8rem 1.5rem;">+ New Member</button>
+                </div>
+            </div>
+            <div id="referralTree" class="blog-item referral-tree" style="display: none;"></div>
+            <div id="membersList">Loading members...</div>
+        </div>
+
+        <!-- Comments Tab -->
+        <div id="comments" class="tab-content">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; flex-wrap: wrap; gap: 1rem;">
+                <h2 style="color: #FF9500;">Comments</h2>
+                <div class="form-group" style="margin-bottom: 0; min-width: 200px;">
+                    <select id="commentStatusFilter" onchange="loadComments()">
+                        <option value="pending">Pending</option>
+                        <option value="approved">Approved</option>
+                        <option value="rejected">Rejected</option>
+                        <option value="all">All</option>
+                    </select>
+                </div>
+            </div>
+            <div id="commentsList">Loading comments...</div>
+        </div>
+
+        <!-- Newsletter Tab -->
+        <div id="newsletter" class="tab-content">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; flex-wrap: wrap; gap: 1rem;">
+                <div>
+                    <h2 style="color: #FF9500;">Newsletter</h2>
+                    <div class="blog-meta" id="newsletterSubscriberSummary" style="margin-bottom: 0;"></div>
+                </div>
+                <button class="btn" onclick="showNewsletterComposer()" style="width: auto; padding: 0.8rem 1.5rem;">+ New Issue</button>
+            </div>
+            <div id="newsletterIssuesList">Loading newsletter issues...</div>
+        </div>
+
+        <!-- Emails Tab -->
+        <div id="emails" class="tab-content">
+            <h2 style="color: #FF9500; margin-bottom: 0.5rem;">Access Request Emails</h2>
+            <p class="blog-meta">Bodies are Markdown. Available placeholders: <span id="emailPlaceholderList"></span></p>
+            <div id="emailTemplatesList">Loading templates...</div>
+            <div style="display: flex; justify-content: space-between; align-items: center; margin: 2rem 0 1rem; flex-wrap: wrap; gap: 1rem;">
+                <h2 style="color: #FF9500;">Delivery Log</h2>
+                <div class="form-group" style="margin-bottom: 0; min-width: 200px;">
+                    <select id="emailLogStatusFilter" onchange="loadEmailLog()">
+                        <option value="">All attempts</option>
+                        <option value="sent">Sent</option>
+                        <option value="failed">Failed</option>
+                    </select>
+                </div>
+            </div>
+            <div id="emailLogList">Loading delivery log...</div>
+        </div>
+    </div>
+
+    <!-- Blog Edit Modal -->
+    <div id="editBlogModal" class="modal-overlay">
+        <div class="modal-panel">
+            <h2>Edit Blog Post</h2>
+            <form id="editBlogForm">
+                <input type="hidden" id="editBlogId">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="editBlogTitle">Title:</label>
+                        <input type="text" id="editBlogTitle" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="editBlogSlug">Slug:</label>
+                        <input type="text" id="editBlogSlug" required>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="editBlogDescription">Description:</label>
+                    <input type="text" id="editBlogDescription">
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="editBlogCategory">Category:</label>
+                        <input type="text" id="editBlogCategory">
+                    </div>
+                    <div class="form-group">
+                        <label for="editBlogTags">Tags (comma separated):</label>
+                        <input type="text" id="editBlogTags">
+                    </div>
+                    <div class="form-group">
+                        <label for="editBlogStatus">Status:</label>
+                        <select id="editBlogStatus">
+                            <option value="draft">Draft</option>
+                            <option value="published">Published</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="editBlogPublishAt">Publish at (optional):</label>
+                        <input type="datetime-local" id="editBlogPublishAt">
+                    </div>
+                    <div class="form-group">
+                        <label for="editBlogUnpublishAt">Unpublish at (optional):</label>
+                        <input type="datetime-local" id="editBlogUnpublishAt">
+                    </div>
+                    <div class="form-group">
+                        <label for="editBlogAccessTier">Access:</label>
+                        <select id="editBlogAccessTier">
+                            <option value="public">Public</option>
+                            <option value="member">Members</option>
+                            <option value="insider">Insiders</option>
+                        </select>
+                    </div>
+                </div>
+                <label class="form-check"><input type="checkbox" id="editBlogPublicPreview"> Show public preview to visitors</label>
+                <div class="form-group">
+                    <label for="editBlogFormat">Content Format:</label>
+                    <select id="editBlogFormat" onchange="setEditFormat(this.value)">
+                        <option value="markdown">Markdown (rendered on save)</option>
+                        <option value="html">Raw HTML</option>
+                    </select>
+                </div>
+                <div class="form-group format-markdown">
+                    <label for="editBlogPreviewMarkdown">Preview Content (Markdown):</label>
+                    <textarea id="editBlogPreviewMarkdown"></textarea>
+                </div>
+                <div class="form-group format-markdown">
+                    <label for="editBlogContentMarkdown">Full Content (Markdown):</label>
+                    <textarea id="editBlogContentMarkdown" style="min-height: 300px;" placeholder="## Heading&#10;&#10;Write with **Markdown**: tables, fenced code and lists are supported."></textarea>
+                </div>
+                <div class="form-group format-html">
+                    <label for="editBlogPreview">Preview Content (HTML):</label>
+                    <textarea id="editBlogPreview"></textarea>
+                </div>
+                <div class="form-group format-html">
+                    <label for="editBlogContent">Full Content (HTML):</label>
+                    <textarea id="editBlogContent" style="min-height: 300px;"></textarea>
+                </div>
+                <div class="blog-actions">
+                    <button type="submit" class="btn btn-small" id="editBlogSaveBtn">Save Changes</button>
+                    <button type="button" class="btn btn-small btn-secondary" onclick="closeEditBlogModal()">Cancel</button>
+                </div>
+            </form>
+        </div>
+    </div>
+
+    <!-- Blog Revisions Modal -->
+    <div id="revisionsModal" class="modal-overlay">
+        <div class="modal-panel">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                <h2 style="margin-bottom: 0;">Revision History</h2>
+                <button type="button" class="btn btn-small btn-secondary" onclick="closeRevisionsModal()">Close</button>
+            </div>
+            <div id="revisionsList">Loading revisions...</div>
+            <div id="revisionDiff"></div>
+        </div>
+    </div>
+
+    <!-- Newsletter Composer Modal -->
+    <div id="newsletterComposerModal" class="modal-overlay">
+        <div class="modal-panel">
+            <h2 id="newsletterComposerTitle">New Newsletter Issue</h2>
+            <form id="newsletterComposerForm">
+                <input type="hidden" id="newsletterIssueId">
+                <div class="form-group">
+                    <label for="newsletterSubject">Subject:</label>
+                    <input type="text" id="newsletterSubject" maxlength="200" required>
+                </div>
+                <div class="form-group">
+                    <label for="newsletterIntro">Intro (Markdown, optional):</label>
+                    <textarea id="newsletterIntro" placeholder="What's happening in the underground this month..."></textarea>
+                </div>
+                <div class="form-group">
+                    <label>Posts (up to ${NEWSLETTER_MAX_POSTS}, shown in the order you pick them):</label>
+                    <div id="newsletterPostPicker" class="newsletter-post-picker">Loading posts...</div>
+                </div>
+                <div class="blog-actions" style="flex-wrap: wrap;">
+                    <button type="submit" class="btn btn-small">Save Draft</button>
+                    <button type="button" class="btn btn-small btn-secondary" onclick="previewNewsletter()">Preview</button>
+                    <button type="button" class="btn btn-small btn-secondary" onclick="sendNewsletterTest()">Send Test</button>
+                    <button type="button" class="btn btn-small" onclick="sendNewsletterIssue()" style="background: rgba(40, 167, 69, 0.2); color: #28A745; border: 1px solid #28A745;">Send to List</button>
+                    <button type="button" class="btn btn-small btn-secondary" onclick="closeNewsletterComposer()">Close</button>
+                </div>
+            </form>
+            <iframe id="newsletterPreviewFrame" class="newsletter-preview" title="Newsletter preview" sandbox></iframe>
+        </div>
+    </div>
+
+    <!-- Newsletter Deliveries Modal -->
+    <div id="newsletterDeliveriesModal" class="modal-overlay">
+        <div class="modal-panel">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; gap: 1rem;">
+                <h2 style="margin-bottom: 0;" id="newsletterDeliveriesTitle">Deliveries</h2>
+                <button type="button" class="btn btn-small btn-secondary" onclick="closeNewsletterDeliveries()">Close</button>
+            </div>
+            <div id="newsletterIssueStats"></div>
+            <div class="form-group" style="max-width: 220px;">
+                <select id="deliveryStatusFilter" onchange="loadNewsletterDeliveries()">
+                    <option value="">All recipients</option>
+                    <option value="queued">Queued</option>
+                    <option value="sent">Sent</option>
+                    <option value="failed">Failed</option>
+                    <option value="bounced">Bounced</option>
+                </select>
+            </div>
+            <div id="newsletterDeliveriesList">Loading recipients...</div>
+        </div>
+    </div>
+
+    <script>
+        let sessionToken = localStorage.getItem('adminSessionToken');
+        let currentUser = null;
+        let showingTrash = false;
+        let newsletterPostOrder = [];
+        let newsletterSubscriberCount = 0;
+        let newsletterRefreshTimer = null;
+        let currentNewsletterIssueId = null;
+        const NEWSLETTER_MAX_POSTS = ${NEWSLETTER_MAX_POSTS};
+        const MEMBER_PASSWORD_MIN_LENGTH = ${MEMBER_PASSWORD_MIN_LENGTH};
+        const MEMBER_INVITE_QUOTA_MAX = ${MEMBER_INVITE_QUOTA_MAX};
+
+        // Initialize
+        document.addEventListener('DOMContentLoaded', function() {
+            if (sessionToken) {
+                verifySession();
+            } else {
+                showLoginScreen();
+            }
+        });
+
+        // Login functionality
+        document.getElementById('adminLoginForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const username = document.getElementById('username').value;
+            const password = document.getElementById('password').value;
+            const loginBtn = document.getElementById('loginBtn');
+            const loginBtnText = document.getElementById('loginBtnText');
+            
+            loginBtn.disabled = true;
+            loginBtnText.textContent = 'Connecting...';
+            
+            try {
+                const response = await fetch('/api/admin/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username, password })
+                });
+                
+                const result = await response.json();
+                
+                if (response.ok) {
+                    sessionToken = result.sessionToken;
+                    currentUser = result.user;
+                    localStorage.setItem('adminSessionToken', sessionToken);
+                    showDashboard();
+                    loadDashboardData();
+                } else {
+                    showError(result.error || 'Login failed');
+                }
+            } catch (error) {
+                showError('Connection error. Please try again.');
+            } finally {
+                loginBtn.disabled = false;
+                loginBtnText.textContent = 'Enter Portal';
+            }
+        });
+
+        async function verifySession() {
+            try {
+                const response = await fetch('/api/admin/verify', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    const result = await response.json();
+                    currentUser = result.user;
+                    showDashboard();
+                    loadDashboardData();
+                } else {
+                    localStorage.removeItem('adminSessionToken');
+                    sessionToken = null;
+                    showLoginScreen();
+                }
+            } catch (error) {
+                showLoginScreen();
+            }
+        }
+
+        function showLoginScreen() {
+            document.getElementById('loginScreen').style.display = 'flex';
+            document.getElementById('dashboardContent').classList.remove('show');
+        }
+
+        function showDashboard() {
+            document.getElementById('loginScreen').style.display = 'none';
+            document.getElementById('dashboardContent').classList.add('show');
+            document.getElementById('welcomeUser').textContent = \`Welcome, \${currentUser?.username || 'Admin'}\`;
+        }
+
+        function showError(message) {
+            const errorEl = document.getElementById('loginError');
+            errorEl.textContent = message;
+            errorEl.style.display = 'block';
+            setTimeout(() => {
+                errorEl.style.display = 'none';
+            }, 5000);
+        }
+
+        async function logout() {
+            try {
+                await fetch('/api/admin/logout', {
+                    method: 'POST',
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+            } catch (error) {
+                console.error('Logout error:', error);
+            }
+            
+            localStorage.removeItem('adminSessionToken');
+            sessionToken = null;
+            currentUser = null;
+            showLoginScreen();
+        }
+
+        function showTab(tabName) {
+            // Update tab buttons
+            document.querySelectorAll('.nav-tab').forEach(tab => {
+                tab.classList.remove('active');
+            });
+            event.target.closest('.nav-tab').classList.add('active');
+            
+            // Update tab content
+            document.querySelectorAll('.tab-content').forEach(content => {
+                content.classList.remove('active');
+            });
             document.getElementById(tabName).classList.add('active');
             
-            // Load tab-specific data
-            if (tabName === 'blogs') {
-                loadBlogs();
-            } else if (tabName === 'requests') {
-                loadRequests();
+            // Load tab-specific data
+            if (tabName === 'blogs') {
+                loadBlogs();
+            } else if (tabName === 'requests') {
+                loadRequests();
+            } else if (tabName === 'members') {
+                loadMembers();
+            } else if (tabName === 'comments') {
+                loadComments();
+            } else if (tabName === 'newsletter') {
+                loadNewsletter();
+            } else if (tabName === 'emails') {
+                loadEmails();
+            }
+        }
+
+        async function loadDashboardData() {
+            try {
+                // Load stats
+                const statsResponse = await fetch('/api/admin/stats', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (statsResponse.ok) {
+                    const stats = await statsResponse.json();
+                    document.getElementById('totalRequests').textContent = stats.total || 0;
+                    document.getElementById('pendingRequests').textContent = stats.pending || 0;
+                    document.getElementById('pendingComments').textContent = stats.pendingComments || 0;
+                    document.getElementById('pendingCommentsBadge').textContent = stats.pendingComments || '';
+                }
+                
+                // Load blog stats
+                const blogsResponse = await fetch('/api/admin/blogs?limit=1000', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (blogsResponse.ok) {
+                    const blogs = await blogsResponse.json();
+                    const total = blogs.data?.length || 0;
+                    const published = blogs.data?.filter(b => b.status === 'published').length || 0;
+                    
+                    document.getElementById('totalBlogs').textContent = total;
+                    document.getElementById('publishedBlogs').textContent = published;
+                }
+            } catch (error) {
+                console.error('Error loading dashboard data:', error);
+            }
+        }
+
+        async function loadBlogs() {
+            const blogsList = document.getElementById('blogsList');
+            blogsList.innerHTML = '<div style="text-align: center; padding: 2rem;">Loading blogs...</div>';
+            
+            try {
+                const response = await fetch(showingTrash ? '/api/admin/blogs?trashed=1' : '/api/admin/blogs', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    if (showingTrash) {
+                        displayTrashedBlogs(data.data || []);
+                    } else {
+                        displayBlogs(data.data || []);
+                    }
+                } else {
+                    blogsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading blogs</div>';
+                }
+            } catch (error) {
+                blogsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading blogs</div>';
+            }
+        }
+
+        function displayBlogs(blogs) {
+            const blogsList = document.getElementById('blogsList');
+            
+            if (blogs.length === 0) {
+                blogsList.innerHTML = \`
+                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
+                        <h3 style="color: #FF9500; margin-bottom: 1rem;">No blog posts yet</h3>
+                        <p>Create your first blog post to get started with the Dutch mystery content!</p>
+                    </div>
+                \`;
+                return;
+            }
+            
+            blogsList.innerHTML = blogs.map(blog => \`
+                <div class="blog-item">
+                    <div class="blog-title">\${blog.title}</div>
+                    <div class="blog-meta">
+                        <strong>Slug:</strong> /blog/\${blog.slug} | 
+                        <strong>Status:</strong> \${blog.status} | 
+                        <strong>Category:</strong> \${blog.category} |
+                        <strong>Access:</strong> \${blog.access_tier} |
+                        <strong>Preview:</strong> \${blog.is_public_preview ? 'Yes' : 'No'}
+                        \${blog.published_at ? \` | <strong>Published:</strong> \${new Date(blog.published_at).toLocaleDateString()}\` : ''}
+                        \${blog.publish_at ? \` | <strong>Goes live:</strong> \${new Date(blog.publish_at).toLocaleString()}\` : ''}
+                        \${blog.unpublish_at ? \` | <strong>Expires:</strong> \${new Date(blog.unpublish_at).toLocaleString()}\` : ''}
+                    </div>
+                    <p style="color: rgba(255, 255, 255, 0.8); margin-bottom: 1rem;">\${blog.description || 'No description'}</p>
+                    <div class="blog-actions">
+                        <button onclick="viewBlog('\${blog.slug}')" class="btn btn-small btn-secondary">View</button>
+                        <button onclick="editBlog(\${blog.id})" class="btn btn-small">Edit</button>
+                        <button onclick="showRevisions(\${blog.id})" class="btn btn-small btn-secondary">History</button>
+                        <button onclick="toggleStatus(\${blog.id}, '\${blog.status}')" class="btn btn-small">\${blog.status === 'published' ? 'Draft' : 'Publish'}</button>
+                        <button onclick="trashBlog(\${blog.id})" class="btn btn-small" style="background: rgba(220, 53, 69, 0.2); color: #DC3545; border: 1px solid #DC3545;">Delete</button>
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        function escapeHtml(value) {
+            return String(value ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        let revisionsBlogId = null;
+
+        async function showRevisions(blogId) {
+            revisionsBlogId = blogId;
+            const list = document.getElementById('revisionsList');
+            document.getElementById('revisionDiff').innerHTML = '';
+            list.innerHTML = 'Loading revisions...';
+            document.getElementById('revisionsModal').classList.add('show');
+
+            try {
+                const response = await fetch(\`/api/admin/blogs/\${blogId}/revisions\`, {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                const result = await response.json();
+                const revisions = result.data || [];
+
+                if (!response.ok || revisions.length === 0) {
+                    list.innerHTML = '<p style="color: rgba(255, 255, 255, 0.6);">' + escapeHtml(result.error || 'No revisions recorded yet.') + '</p>';
+                    return;
+                }
+
+                list.innerHTML = revisions.map((rev, index) => \`
+                    <div class="revision-item">
+                        <div>
+                            <strong style="color: #FFD700;">#\${rev.id}</strong> \${escapeHtml(rev.title)}
+                            <div class="blog-meta" style="margin-bottom: 0;">
+                                \${new Date(rev.created_at).toLocaleString()} | by \${escapeHtml(rev.edited_by || 'unknown')}
+                                \${rev.note ? ' | ' + escapeHtml(rev.note) : ''}
+                                \${index === 0 ? ' | <strong>current</strong>' : ''}
+                            </div>
+                        </div>
+                        <div class="blog-actions">
+                            \${revisions[index + 1] ? \`<button onclick="showRevisionDiff(\${revisions[index + 1].id}, \${rev.id})" class="btn btn-small btn-secondary">Diff vs #\${revisions[index + 1].id}</button>\` : ''}
+                            \${index > 0 ? \`<button onclick="showRevisionDiff(\${rev.id}, \${revisions[0].id})" class="btn btn-small btn-secondary">Diff vs current</button>\` : ''}
+                            \${index > 0 ? \`<button onclick="restoreRevision(\${rev.id})" class="btn btn-small">Restore</button>\` : ''}
+                        </div>
+                    </div>
+                \`).join('');
+            } catch (error) {
+                list.innerHTML = '<p style="color: #ff6b6b;">Error loading revisions</p>';
+            }
+        }
+
+        function closeRevisionsModal() {
+            document.getElementById('revisionsModal').classList.remove('show');
+            revisionsBlogId = null;
+        }
+
+        async function showRevisionDiff(fromId, toId) {
+            const diffEl = document.getElementById('revisionDiff');
+            diffEl.innerHTML = 'Loading diff...';
+
+            try {
+                const response = await fetch(\`/api/admin/blogs/\${revisionsBlogId}/revisions/diff?from=\${fromId}&to=\${toId}\`, {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                const result = await response.json();
+
+                if (!response.ok) {
+                    diffEl.innerHTML = '<p style="color: #ff6b6b;">' + escapeHtml(result.error || 'Error loading diff') + '</p>';
+                    return;
+                }
+
+                const changed = Object.entries(result.fields).filter(([, field]) => field.changed);
+                if (changed.length === 0) {
+                    diffEl.innerHTML = \`<p style="margin-top: 1rem;">No content differences between #\${fromId} and #\${toId}.</p>\`;
+                    return;
+                }
+
+                diffEl.innerHTML = \`<h3 style="color: #FF9500; margin-top: 1.5rem;">#\${fromId} → #\${toId}</h3>\` + changed.map(([name, field]) => \`
+                    <h4 style="color: #00BFFF; margin-top: 1rem;">\${name}</h4>
+                    <div class="diff-view">\${field.diff.map(op => {
+                        if (op.type === 'skip') return \`<div class="diff-skip">… \${op.count} unchanged lines …</div>\`;
+                        const prefix = op.type === 'add' ? '+ ' : op.type === 'remove' ? '- ' : '  ';
+                        return \`<div class="diff-\${op.type}">\${prefix}\${escapeHtml(op.line)}</div>\`;
+                    }).join('')}</div>
+                \`).join('');
+            } catch (error) {
+                diffEl.innerHTML = '<p style="color: #ff6b6b;">Error loading diff</p>';
+            }
+        }
+
+        async function restoreRevision(revisionId) {
+            if (!confirm(\`Restore revision #\${revisionId}? The current content is kept in the history.\`)) return;
+
+            try {
+                const response = await fetch(\`/api/admin/blogs/\${revisionsBlogId}/revisions/\${revisionId}/restore\`, {
+                    method: 'POST',
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showRevisions(revisionsBlogId);
+                    loadBlogs();
+                } else {
+                    alert('Error restoring revision: ' + (result.error || 'Unknown error'));
+                }
+            } catch (error) {
+                alert('Error restoring revision: ' + error.message);
+            }
+        }
+
+        function displayTrashedBlogs(blogs) {
+            const blogsList = document.getElementById('blogsList');
+
+            if (blogs.length === 0) {
+                blogsList.innerHTML = \`
+                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
+                        <h3 style="color: #FF9500; margin-bottom: 1rem;">Trash is empty</h3>
+                        <p>Deleted blog posts stay here until you restore or permanently delete them.</p>
+                    </div>
+                \`;
+                return;
+            }
+
+            blogsList.innerHTML = blogs.map(blog => \`
+                <div class="blog-item" style="opacity: 0.8;">
+                    <div class="blog-title">\${blog.title}</div>
+                    <div class="blog-meta">
+                        <strong>Slug:</strong> /blog/\${blog.slug} |
+                        <strong>Status:</strong> \${blog.status} |
+                        <strong>Deleted:</strong> \${new Date(blog.deleted_at).toLocaleString()}
+                    </div>
+                    <div class="blog-actions">
+                        <button onclick="restoreBlog(\${blog.id})" class="btn btn-small" style="background: rgba(40, 167, 69, 0.2); color: #28A745; border: 1px solid #28A745;">Restore</button>
+                        <button onclick="purgeBlog(\${blog.id})" class="btn btn-small" style="background: rgba(220, 53, 69, 0.2); color: #DC3545; border: 1px solid #DC3545;">Delete Forever</button>
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        function toggleTrashView() {
+            showingTrash = !showingTrash;
+            document.getElementById('trashToggleBtn').textContent = showingTrash ? 'Back to Posts' : 'Trash';
+            loadBlogs();
+        }
+
+        async function blogAction(url, method, errorLabel) {
+            try {
+                const response = await fetch(url, {
+                    method: method,
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    loadBlogs();
+                    loadDashboardData();
+                } else {
+                    alert(errorLabel + ': ' + (result.error || 'Unknown error'));
+                }
+            } catch (error) {
+                alert(errorLabel + ': ' + error.message);
+            }
+        }
+
+        function trashBlog(id) {
+            if (!confirm('Move this blog post to the trash? You can restore it later.')) return;
+            blogAction(\`/api/admin/blogs/\${id}\`, 'DELETE', 'Error deleting blog post');
+        }
+
+        function restoreBlog(id) {
+            blogAction(\`/api/admin/blogs/\${id}/restore\`, 'POST', 'Error restoring blog post');
+        }
+
+        function purgeBlog(id) {
+            if (!confirm('Permanently delete this blog post? This cannot be undone.')) return;
+            blogAction(\`/api/admin/blogs/\${id}/purge\`, 'DELETE', 'Error purging blog post');
+        }
+
+        async function loadRequests() {
+            const requestsList = document.getElementById('requestsList');
+            requestsList.innerHTML = '<div style="text-align: center; padding: 2rem;">Loading access requests...</div>';
+            
+            try {
+                const response = await fetch('/api/admin/requests', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    displayRequests(data.data || []);
+                } else {
+                    requestsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading requests</div>';
+                }
+            } catch (error) {
+                requestsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading requests</div>';
+            }
+        }
+
+        function displayRequests(requests) {
+            const requestsList = document.getElementById('requestsList');
+            
+            if (requests.length === 0) {
+                requestsList.innerHTML = \`
+                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
+                        <h3 style="color: #FF9500; margin-bottom: 1rem;">No access requests yet</h3>
+                        <p>Access requests will appear here when users submit them through your portal.</p>
+                    </div>
+                \`;
+                return;
+            }
+            
+            requestsList.innerHTML = requests.map(request => \`
+                <div class="blog-item">
+                    <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 1rem;">
+                        <div>
+                            <div class="blog-title">\${request.full_name}</div>
+                            <div class="blog-meta">
+                                <strong>Email:</strong> \${request.email} | 
+                                <strong>Phone:</strong> \${request.phone} | 
+                                <strong>Country:</strong> \${request.country}
+                                \${request.referred_by ? \` | <strong>Invited by:</strong> \${escapeHtml(request.referrer_username || 'deleted member')}\` : ''}
+                            </div>
+                        </div>
+                        <div style="padding: 0.3rem 0.8rem; border-radius: 15px; font-size: 0.8rem; font-weight: 600; background: \${request.status === 'pending' ? 'rgba(255, 193, 7, 0.2)' : request.status === 'approved' ? 'rgba(40, 167, 69, 0.2)' : 'rgba(220, 53, 69, 0.2)'}; color: \${request.status === 'pending' ? '#FFC107' : request.status === 'approved' ? '#28A745' : '#DC3545'};">
+                            \${request.status.toUpperCase()}
+                        </div>
+                    </div>
+                    <div style="font-size: 0.9rem; color: rgba(255, 255, 255, 0.6); margin-bottom: 1rem;">
+                        Submitted: \${new Date(request.created_at).toLocaleString()}
+                    </div>
+                    <div class="blog-actions">
+                        <button onclick="updateRequestStatus(\${request.id}, 'approved')" class="btn btn-small" style="background: rgba(40, 167, 69, 0.2); color: #28A745; border: 1px solid #28A745;">Approve</button>
+                        <button onclick="updateRequestStatus(\${request.id}, 'rejected')" class="btn btn-small" style="background: rgba(220, 53, 69, 0.2); color: #DC3545; border: 1px solid #DC3545;">Reject</button>
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        async function loadMembers() {
+            const membersList = document.getElementById('membersList');
+            const status = document.getElementById('memberStatusFilter').value;
+            membersList.innerHTML = '<div style="text-align: center; padding: 2rem;">Loading members...</div>';
+            
+            try {
+                const response = await fetch(\`/api/admin/members?status=\${status}\`, {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    displayMembers(data.data || []);
+                } else {
+                    membersList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading members</div>';
+                }
+            } catch (error) {
+                membersList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading members</div>';
+            }
+        }
+
+        function displayMembers(members) {
+            const membersList = document.getElementById('membersList');
+            
+            if (members.length === 0) {
+                membersList.innerHTML = \`
+                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
+                        <h3 style="color: #FF9500; margin-bottom: 1rem;">No members here</h3>
+                        <p>Members log in to the portal with their username or email address.</p>
+                    </div>
+                \`;
+                return;
+            }
+            
+            membersList.innerHTML = members.map(member => \`
+                <div class="blog-item">
+                    <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 1rem; gap: 1rem;">
+                        <div>
+                            <div class="blog-title">\${escapeHtml(member.display_name || member.username)}</div>
+                            <div class="blog-meta">
+                                <strong>Username:</strong> \${escapeHtml(member.username)} |
+                                <strong>Email:</strong> \${escapeHtml(member.email)} |
+                                <strong>Tier:</strong> \${member.tier} |
+                                <strong>Joined:</strong> \${new Date(member.created_at).toLocaleDateString()} |
+                                <strong>Last login:</strong> \${member.last_login ? new Date(member.last_login).toLocaleString() : (member.has_password ? 'never' : 'invited, no password yet')} |
+                                <strong>Active sessions:</strong> \${member.active_sessions} |
+                                <strong>Invites:</strong> \${member.invites_used} used, \${member.invites_issued} issued of \${member.invite_quota}
+                                \${member.referred_by ? \` | <strong>Invited by:</strong> \${escapeHtml(member.referrer_username || 'deleted member')}\` : ''}
+                            </div>
+                        </div>
+                        <div style="padding: 0.3rem 0.8rem; border-radius: 15px; font-size: 0.8rem; font-weight: 600; border: 1px solid \${member.status === 'active' ? '#28A745' : '#DC3545'}; color: \${member.status === 'active' ? '#28A745' : '#DC3545'};">
+                            \${member.status.toUpperCase()}
+                        </div>
+                    </div>
+                    <div class="blog-actions">
+                        \${member.status === 'active'
+                            ? \`<button onclick="updateMember(\${member.id}, { status: 'suspended' })" class="btn btn-small" style="background: rgba(220, 53, 69, 0.2); color: #DC3545; border: 1px solid #DC3545;">Suspend</button>\`
+                            : \`<button onclick="updateMember(\${member.id}, { status: 'active' })" class="btn btn-small" style="background: rgba(40, 167, 69, 0.2); color: #28A745; border: 1px solid #28A745;">Reactivate</button>\`}
+                        <button onclick="updateMember(\${member.id}, { tier: '\${member.tier === 'insider' ? 'member' : 'insider'}' })" class="btn btn-small btn-secondary">\${member.tier === 'insider' ? 'Make Member' : 'Make Insider'}</button>
+                        <button onclick="setMemberInviteQuota(\${member.id}, \${member.invite_quota})" class="btn btn-small btn-secondary">Invite Quota</button>
+                        <button onclick="setMemberPassword(\${member.id})" class="btn btn-small btn-secondary">Set Password</button>
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        async function showCreateMemberForm() {
+            const username = prompt('Username (3-32 letters, numbers, dots, dashes or underscores):');
+            if (!username) return;
+            const email = prompt('Email address:');
+            if (!email) return;
+            const password = prompt(\`Initial password (at least \${MEMBER_PASSWORD_MIN_LENGTH} characters):\`);
+            if (!password) return;
+            
+            try {
+                const response = await fetch('/api/admin/members', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Session-Token': sessionToken
+                    },
+                    body: JSON.stringify({ username, email, password })
+                });
+                const result = await response.json();
+                
+                if (result.success) {
+                    alert(\`Member \${username} created!\`);
+                    loadMembers();
+                } else {
+                    alert('Error creating member: ' + (result.error || 'Unknown error'));
+                }
+            } catch (error) {
+                alert('Error creating member: ' + error.message);
+            }
+        }
+
+        function setMemberInviteQuota(memberId, current) {
+            const value = prompt(\`How many invite codes may this member issue in total (0-\${MEMBER_INVITE_QUOTA_MAX})?\`, current);
+            if (value === null || value.trim() === '') return;
+            updateMember(memberId, { inviteQuota: Number(value) });
+        }
+
+        function toggleReferralTree() {
+            const panel = document.getElementById('referralTree');
+            if (panel.style.display === 'none') {
+                panel.style.display = 'block';
+                loadReferralTree();
+            } else {
+                panel.style.display = 'none';
+            }
+        }
+
+        async function loadReferralTree() {
+            const panel = document.getElementById('referralTree');
+            panel.innerHTML = 'Loading referral tree...';
+            
+            try {
+                const response = await fetch('/api/admin/referrals', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                if (!response.ok) throw new Error(\`HTTP \${response.status}\`);
+                const { data, summary } = await response.json();
+                
+                const children = new Map();
+                data.forEach(member => {
+                    const key = member.referred_by || 0;
+                    if (!children.has(key)) children.set(key, []);
+                    children.get(key).push(member);
+                });
+                const known = new Set(data.map(member => member.id));
+                
+                const renderBranch = members => \`<ul>\${members.map(member => \`
+                    <li>
+                        <strong>\${escapeHtml(member.display_name || member.username)}</strong>
+                        <span class="blog-meta">@\${escapeHtml(member.username)} · \${member.tier} · \${member.invites_used}/\${member.invite_quota} invites used\${member.status !== 'active' ? ' · ' + member.status : ''}</span>
+                        \${children.has(member.id) ? renderBranch(children.get(member.id)) : ''}
+                    </li>\`).join('')}</ul>\`;
+                
+                // Roots are members nobody (still on file) invited who went on to invite someone
+                const roots = data.filter(member => (!member.referred_by || !known.has(member.referred_by)) && children.has(member.id));
+                const rate = summary.requests ? Math.round(summary.referredRequests / summary.requests * 100) : 0;
+                
+                panel.innerHTML = \`
+                    <div class="blog-title">Referral Tree</div>
+                    <div class="blog-meta">
+                        <strong>Referred members:</strong> \${summary.referredMembers} of \${summary.members} |
+                        <strong>Invites:</strong> \${summary.invitesUsed} used of \${summary.invitesIssued} issued |
+                        <strong>Requests via invite:</strong> \${summary.referredRequests} of \${summary.requests} (\${rate}%)
+                    </div>
+                    \${roots.length ? renderBranch(roots) : '<p style="color: rgba(255, 255, 255, 0.6);">Nobody has joined through an invite yet.</p>'}
+                \`;
+            } catch (error) {
+                panel.innerHTML = '<div style="color: #ff6b6b;">Error loading referral tree</div>';
+            }
+        }
+
+        function setMemberPassword(memberId) {
+            const password = prompt(\`New password (at least \${MEMBER_PASSWORD_MIN_LENGTH} characters). The member will be signed out everywhere:\`);
+            if (password) {
+                updateMember(memberId, { password });
+            }
+        }
+
+        async function updateMember(memberId, changes) {
+            if (changes.status === 'suspended' && !confirm('Suspend this member? They will be signed out immediately.')) {
+                return;
+            }
+            
+            try {
+                const response = await fetch(\`/api/admin/members/\${memberId}\`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Session-Token': sessionToken
+                    },
+                    body: JSON.stringify(changes)
+                });
+                
+                if (response.ok) {
+                    loadMembers();
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    alert('Error updating member: ' + (result.error || response.status));
+                }
+            } catch (error) {
+                alert('Error updating member: ' + error.message);
+            }
+        }
+
+        async function loadComments() {
+            const commentsList = document.getElementById('commentsList');
+            const status = document.getElementById('commentStatusFilter').value;
+            commentsList.innerHTML = '<div style="text-align: center; padding: 2rem;">Loading comments...</div>';
+            
+            try {
+                const response = await fetch(\`/api/admin/comments?status=\${status}\`, {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    document.getElementById('pendingCommentsBadge').textContent = data.counts?.pending || '';
+                    document.getElementById('pendingComments').textContent = data.counts?.pending || 0;
+                    displayComments(data.data || [], status);
+                } else {
+                    commentsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading comments</div>';
+                }
+            } catch (error) {
+                commentsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading comments</div>';
+            }
+        }
+
+        function displayComments(comments, status) {
+            const commentsList = document.getElementById('commentsList');
+            
+            if (comments.length === 0) {
+                commentsList.innerHTML = \`
+                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
+                        <h3 style="color: #FF9500; margin-bottom: 1rem;">\${status === 'pending' ? 'No comments awaiting review' : 'No comments here'}</h3>
+                        <p>Member comments on blog posts appear here for moderation.</p>
+                    </div>
+                \`;
+                return;
+            }
+            
+            const statusColors = { pending: '#FFC107', approved: '#28A745', rejected: '#DC3545' };
+            
+            commentsList.innerHTML = comments.map(comment => \`
+                <div class="blog-item">
+                    <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 1rem; gap: 1rem;">
+                        <div>
+                            <div class="blog-title">\${escapeHtml(comment.author_name)}</div>
+                            <div class="blog-meta">
+                                on <a href="/blog/\${encodeURIComponent(comment.blog_slug)}" target="_blank" style="color: #00BFFF;">\${escapeHtml(comment.blog_title)}</a> |
+                                \${new Date(comment.created_at).toLocaleString()}
+                                \${comment.moderated_by ? \` | <strong>Moderated by:</strong> \${escapeHtml(comment.moderated_by)}\` : ''}
+                            </div>
+                        </div>
+                        <div style="padding: 0.3rem 0.8rem; border-radius: 15px; font-size: 0.8rem; font-weight: 600; border: 1px solid \${statusColors[comment.status]}; color: \${statusColors[comment.status]};">
+                            \${comment.status.toUpperCase()}
+                        </div>
+                    </div>
+                    \${comment.parent_id ? \`<div class="comment-parent">↳ Reply to \${escapeHtml(comment.parent_author || 'deleted comment')}\${comment.parent_excerpt ? \`: "\${escapeHtml(comment.parent_excerpt)}"\` : ''}</div>\` : ''}
+                    <div class="comment-body">\${escapeHtml(comment.body)}</div>
+                    <div class="blog-actions">
+                        \${comment.status !== 'approved' ? \`<button onclick="moderateComment(\${comment.id}, 'approved')" class="btn btn-small" style="background: rgba(40, 167, 69, 0.2); color: #28A745; border: 1px solid #28A745;">Approve</button>\` : ''}
+                        \${comment.status !== 'rejected' ? \`<button onclick="moderateComment(\${comment.id}, 'rejected')" class="btn btn-small" style="background: rgba(255, 193, 7, 0.2); color: #FFC107; border: 1px solid #FFC107;">Reject</button>\` : ''}
+                        <button onclick="deleteComment(\${comment.id})" class="btn btn-small" style="background: rgba(220, 53, 69, 0.2); color: #DC3545; border: 1px solid #DC3545;">Delete</button>
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        async function moderateComment(commentId, status) {
+            try {
+                const response = await fetch(\`/api/admin/comments/\${commentId}\`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Session-Token': sessionToken
+                    },
+                    body: JSON.stringify({ status })
+                });
+                
+                if (response.ok) {
+                    loadComments();
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    alert('Error moderating comment: ' + (result.error || response.status));
+                }
+            } catch (error) {
+                alert('Error moderating comment: ' + error.message);
+            }
+        }
+
+        async function deleteComment(commentId) {
+            if (!confirm('Delete this comment and all replies to it? This cannot be undone.')) {
+                return;
+            }
+            
+            try {
+                const response = await fetch(\`/api/admin/comments/\${commentId}\`, {
+                    method: 'DELETE',
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    loadComments();
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    alert('Error deleting comment: ' + (result.error || response.status));
+                }
+            } catch (error) {
+                alert('Error deleting comment: ' + error.message);
+            }
+        }
+
+        async function loadNewsletter() {
+            const issuesList = document.getElementById('newsletterIssuesList');
+            
+            try {
+                const response = await fetch('/api/admin/newsletter/issues', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    const subscribers = data.subscribers || {};
+                    newsletterSubscriberCount = subscribers.confirmed || 0;
+                    document.getElementById('newsletterSubscriberSummary').textContent =
+                        \`\${subscribers.confirmed || 0} confirmed · \${subscribers.pending || 0} pending · \${subscribers.unsubscribed || 0} unsubscribed · \${subscribers.bounced || 0} bounced\`;
+                    displayNewsletterIssues(data.data || []);
+                    
+                    // Keep progress moving while a send is in flight
+                    clearTimeout(newsletterRefreshTimer);
+                    if ((data.data || []).some(issue => issue.status === 'sending')) {
+                        newsletterRefreshTimer = setTimeout(() => {
+                            if (document.getElementById('newsletter').classList.contains('active')) {
+                                loadNewsletter();
+                            }
+                        }, 15000);
+                    }
+                } else {
+                    issuesList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading newsletter issues</div>';
+                }
+            } catch (error) {
+                issuesList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading newsletter issues</div>';
+            }
+        }
+
+        function displayNewsletterIssues(issues) {
+            const issuesList = document.getElementById('newsletterIssuesList');
+            
+            if (issues.length === 0) {
+                issuesList.innerHTML = \`
+                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
+                        <h3 style="color: #FF9500; margin-bottom: 1rem;">No issues yet</h3>
+                        <p>Compose an issue from your latest posts and send it to confirmed subscribers.</p>
+                    </div>
+                \`;
+                return;
+            }
+            
+            const statusColors = { draft: '#FFC107', sending: '#00BFFF', sent: '#28A745' };
+            
+            issuesList.innerHTML = issues.map(issue => \`
+                <div class="blog-item">
+                    <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 1rem; gap: 1rem;">
+                        <div>
+                            <div class="blog-title">\${escapeHtml(issue.subject)}</div>
+                            <div class="blog-meta">
+                                \${issue.postIds.length} post\${issue.postIds.length === 1 ? '' : 's'} |
+                                <strong>Created:</strong> \${new Date(issue.created_at).toLocaleString()}
+                                \${issue.created_by ? \` by \${escapeHtml(issue.created_by)}\` : ''}
+                                \${issue.sent_at ? \` | <strong>Sent:</strong> \${new Date(issue.sent_at).toLocaleString()}\` : ''}
+                            </div>
+                        </div>
+                        <div style="padding: 0.3rem 0.8rem; border-radius: 15px; font-size: 0.8rem; font-weight: 600; border: 1px solid \${statusColors[issue.status]}; color: \${statusColors[issue.status]};">
+                            \${issue.status === 'sending' ? \`SENDING \${issue.recipient_count - issue.queued}/\${issue.recipient_count}\` : issue.status.toUpperCase()}
+                        </div>
+                    </div>
+                    \${issue.status !== 'draft' ? formatNewsletterStats(issue) : ''}
+                    <div class="blog-actions">
+                        \${issue.status === 'draft' ? \`
+                            <button onclick="showNewsletterComposer(\${issue.id})" class="btn btn-small">Edit</button>
+                            <button onclick="deleteNewsletterIssue(\${issue.id})" class="btn btn-small" style="background: rgba(220, 53, 69, 0.2); color: #DC3545; border: 1px solid #DC3545;">Delete</button>
+                        \` : \`
+                            <button onclick="showNewsletterDeliveries(\${issue.id})" class="btn btn-small btn-secondary">Recipients &amp; Clicks</button>
+                        \`}
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        function formatNewsletterStats(issue) {
+            const delivered = issue.sent || 0;
+            const rate = (count) => delivered ? \` (\${Math.round(count / delivered * 100)}%)\` : '';
+            return \`
+                <div class="newsletter-stats">
+                    <span><strong>\${issue.recipient_count}</strong> recipients</span>
+                    <span><strong>\${issue.sent}</strong> sent</span>
+                    \${issue.queued ? \`<span><strong>\${issue.queued}</strong> queued</span>\` : ''}
+                    <span><strong>\${issue.failed}</strong> failed</span>
+                    <span><strong>\${issue.bounced}</strong> bounced</span>
+                    <span><strong>\${issue.unique_opens}</strong> opened\${rate(issue.unique_opens)} · \${issue.opens} opens</span>
+                    <span><strong>\${issue.unique_clicks}</strong> clicked\${rate(issue.unique_clicks)} · \${issue.clicks} clicks</span>
+                </div>
+            \`;
+        }
+
+        async function showNewsletterComposer(issueId = null) {
+            const form = document.getElementById('newsletterComposerForm');
+            form.reset();
+            document.getElementById('newsletterIssueId').value = issueId || '';
+            document.getElementById('newsletterComposerTitle').textContent = issueId ? 'Edit Newsletter Issue' : 'New Newsletter Issue';
+            document.getElementById('newsletterPreviewFrame').classList.remove('show');
+            newsletterPostOrder = [];
+            
+            if (issueId) {
+                try {
+                    const response = await fetch(\`/api/admin/newsletter/issues/\${issueId}\`, {
+                        headers: { 'X-Session-Token': sessionToken }
+                    });
+                    const result = await response.json();
+                    if (!response.ok) {
+                        alert('Error loading issue: ' + (result.error || response.status));
+                        return;
+                    }
+                    document.getElementById('newsletterSubject').value = result.data.subject;
+                    document.getElementById('newsletterIntro').value = result.data.intro_markdown || '';
+                    newsletterPostOrder = result.data.postIds;
+                } catch (error) {
+                    alert('Error loading issue: ' + error.message);
+                    return;
+                }
+            }
+            
+            document.getElementById('newsletterComposerModal').classList.add('show');
+            loadNewsletterPostPicker();
+        }
+
+        function closeNewsletterComposer() {
+            document.getElementById('newsletterComposerModal').classList.remove('show');
+            document.getElementById('newsletterPreviewFrame').srcdoc = '';
+        }
+
+        async function loadNewsletterPostPicker() {
+            const picker = document.getElementById('newsletterPostPicker');
+            picker.textContent = 'Loading posts...';
+            
+            try {
+                const response = await fetch('/api/admin/blogs?status=published&limit=50', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                const data = await response.json();
+                const posts = data.data || [];
+                
+                if (posts.length === 0) {
+                    picker.textContent = 'No published posts yet.';
+                    return;
+                }
+                
+                picker.innerHTML = posts.map(post => \`
+                    <label class="form-check">
+                        <input type="checkbox" value="\${post.id}" onchange="toggleNewsletterPost(\${post.id}, this.checked)" \${newsletterPostOrder.includes(post.id) ? 'checked' : ''}>
+                        <span class="newsletter-post-order" data-post-id="\${post.id}"></span>
+                        <span>\${escapeHtml(post.title)} <span class="blog-meta">\${escapeHtml(post.category || '')}\${post.published_at ? ' · ' + new Date(post.published_at).toLocaleDateString() : ''}</span></span>
+                    </label>
+                \`).join('');
+                updateNewsletterPostOrder();
+            } catch (error) {
+                picker.textContent = 'Error loading posts';
+            }
+        }
+
+        function toggleNewsletterPost(postId, checked) {
+            newsletterPostOrder = newsletterPostOrder.filter(id => id !== postId);
+            if (checked) {
+                if (newsletterPostOrder.length >= NEWSLETTER_MAX_POSTS) {
+                    alert(\`An issue can feature at most \${NEWSLETTER_MAX_POSTS} posts.\`);
+                    document.querySelector(\`#newsletterPostPicker input[value="\${postId}"]\`).checked = false;
+                    return;
+                }
+                newsletterPostOrder.push(postId);
+            }
+            updateNewsletterPostOrder();
+        }
+
+        function updateNewsletterPostOrder() {
+            document.querySelectorAll('#newsletterPostPicker .newsletter-post-order').forEach(el => {
+                const position = newsletterPostOrder.indexOf(parseInt(el.dataset.postId));
+                el.textContent = position === -1 ? '' : position + 1;
+            });
+        }
+
+        function getNewsletterComposerData() {
+            return {
+                subject: document.getElementById('newsletterSubject').value,
+                intro: document.getElementById('newsletterIntro').value,
+                postIds: newsletterPostOrder
+            };
+        }
+
+        async function newsletterRequest(url, method, body) {
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-Token': sessionToken
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || \`Request failed (\${response.status})\`);
+            }
+            return result;
+        }
+
+        // Creates or updates the draft and returns its id
+        async function saveNewsletterIssue() {
+            const issueId = document.getElementById('newsletterIssueId').value;
+            const result = issueId
+                ? await newsletterRequest(\`/api/admin/newsletter/issues/\${issueId}\`, 'PUT', getNewsletterComposerData())
+                : await newsletterRequest('/api/admin/newsletter/issues', 'POST', getNewsletterComposerData());
+            
+            document.getElementById('newsletterIssueId').value = result.id;
+            document.getElementById('newsletterComposerTitle').textContent = 'Edit Newsletter Issue';
+            return result.id;
+        }
+
+        document.getElementById('newsletterComposerForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            try {
+                await saveNewsletterIssue();
+                alert('Draft saved!');
+                loadNewsletter();
+            } catch (error) {
+                alert('Error saving draft: ' + error.message);
+            }
+        });
+
+        async function previewNewsletter() {
+            try {
+                const result = await newsletterRequest('/api/admin/newsletter/preview', 'POST', getNewsletterComposerData());
+                const frame = document.getElementById('newsletterPreviewFrame');
+                frame.srcdoc = result.html;
+                frame.classList.add('show');
+                frame.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                
+                if (result.missingPosts) {
+                    alert(\`\${result.missingPosts} selected post(s) are no longer published and were left out.\`);
+                }
+            } catch (error) {
+                alert('Error rendering preview: ' + error.message);
+            }
+        }
+
+        async function sendNewsletterTest() {
+            const email = prompt('Send a test to which address?', localStorage.getItem('newsletterTestEmail') || '');
+            if (!email) return;
+            
+            try {
+                localStorage.setItem('newsletterTestEmail', email);
+                const result = await newsletterRequest('/api/admin/newsletter/test', 'POST', { ...getNewsletterComposerData(), email });
+                alert(result.message);
+            } catch (error) {
+                alert('Error sending test: ' + error.message);
+            }
+        }
+
+        async function sendNewsletterIssue() {
+            if (!confirm(\`Send this issue to \${newsletterSubscriberCount} confirmed subscriber(s)? It can't be edited afterwards.\`)) {
+                return;
+            }
+            
+            try {
+                const issueId = await saveNewsletterIssue();
+                const result = await newsletterRequest(\`/api/admin/newsletter/issues/\${issueId}/send\`, 'POST');
+                alert(\`Sending to \${result.recipients} subscriber(s). Progress updates on the Newsletter tab.\`);
+                closeNewsletterComposer();
+                loadNewsletter();
+            } catch (error) {
+                alert('Error sending issue: ' + error.message);
+                loadNewsletter();
+            }
+        }
+
+        async function deleteNewsletterIssue(issueId) {
+            if (!confirm('Delete this draft issue?')) {
+                return;
+            }
+            
+            try {
+                await newsletterRequest(\`/api/admin/newsletter/issues/\${issueId}\`, 'DELETE');
+                loadNewsletter();
+            } catch (error) {
+                alert('Error deleting issue: ' + error.message);
+            }
+        }
+
+        async function showNewsletterDeliveries(issueId) {
+            currentNewsletterIssueId = issueId;
+            document.getElementById('deliveryStatusFilter').value = '';
+            document.getElementById('newsletterIssueStats').innerHTML = '';
+            document.getElementById('newsletterDeliveriesModal').classList.add('show');
+            
+            try {
+                const result = await newsletterRequest(\`/api/admin/newsletter/issues/\${issueId}\`, 'GET');
+                const issue = result.data;
+                document.getElementById('newsletterDeliveriesTitle').textContent = issue.subject;
+                document.getElementById('newsletterIssueStats').innerHTML = formatNewsletterStats(issue) + (issue.links.length ? \`
+                    <table class="delivery-table" style="margin-bottom: 1.5rem;">
+                        <tr><th>Link</th><th>Clicks</th><th>Unique</th></tr>
+                        \${issue.links.map(link => \`<tr><td>\${escapeHtml(link.url)}</td><td>\${link.clicks}</td><td>\${link.unique_clicks}</td></tr>\`).join('')}
+                    </table>
+                \` : '');
+            } catch (error) {
+                document.getElementById('newsletterIssueStats').innerHTML = \`<div class="error-message">\${escapeHtml(error.message)}</div>\`;
+            }
+            
+            loadNewsletterDeliveries();
+        }
+
+        async function loadNewsletterDeliveries() {
+            const list = document.getElementById('newsletterDeliveriesList');
+            const status = document.getElementById('deliveryStatusFilter').value;
+            list.textContent = 'Loading recipients...';
+            
+            try {
+                const result = await newsletterRequest(\`/api/admin/newsletter/issues/\${currentNewsletterIssueId}/deliveries?status=\${status}\`, 'GET');
+                const deliveries = result.data || [];
+                
+                list.innerHTML = deliveries.length === 0 ? '<p class="blog-meta">No recipients with this status.</p>' : \`
+                    <table class="delivery-table">
+                        <tr><th>Email</th><th>Status</th><th>Opens</th><th>Clicks</th><th>Details</th></tr>
+                        \${deliveries.map(delivery => \`
+                            <tr>
+                                <td>\${escapeHtml(delivery.email)}</td>
+                                <td>\${delivery.status}</td>
+                                <td>\${delivery.open_count}</td>
+                                <td>\${delivery.click_count}</td>
+                                <td>\${delivery.error ? escapeHtml(delivery.error) : (delivery.sent_at ? new Date(delivery.sent_at).toLocaleString() : '')}</td>
+                            </tr>
+                        \`).join('')}
+                    </table>
+                \`;
+            } catch (error) {
+                list.innerHTML = \`<div class="error-message">\${escapeHtml(error.message)}</div>\`;
+            }
+        }
+
+        function closeNewsletterDeliveries() {
+            document.getElementById('newsletterDeliveriesModal').classList.remove('show');
+            currentNewsletterIssueId = null;
+        }
+
+        function loadEmails() {
+            loadEmailTemplates();
+            loadEmailLog();
+        }
+
+        async function loadEmailTemplates() {
+            const templatesList = document.getElementById('emailTemplatesList');
+            
+            try {
+                const response = await fetch('/api/admin/email-templates', {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    document.getElementById('emailPlaceholderList').innerHTML = data.placeholders.map(name => \`<code>{{\${name}}}</code>\`).join(' ');
+                    displayEmailTemplates(data.data || []);
+                } else {
+                    templatesList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading templates</div>';
+                }
+            } catch (error) {
+                templatesList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading templates</div>';
+            }
+        }
+
+        function displayEmailTemplates(templates) {
+            document.getElementById('emailTemplatesList').innerHTML = templates.map(template => \`
+                <div class="blog-item">
+                    <div class="blog-title">\${escapeHtml(template.label)}</div>
+                    <div class="blog-meta">
+                        \${escapeHtml(template.description)}
+                        \${template.isCustomized ? \` | <strong>Edited</strong>\${template.updated_by ? \` by \${escapeHtml(template.updated_by)}\` : ''} \${new Date(template.updated_at).toLocaleString()}\` : ' | Default wording'}
+                    </div>
+                    <div class="form-group">
+                        <label for="emailTemplateSubject-\${template.key}">Subject:</label>
+                        <input type="text" id="emailTemplateSubject-\${template.key}" maxlength="200" value="\${escapeHtml(template.subject)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="emailTemplateBody-\${template.key}">Body:</label>
+                        <textarea id="emailTemplateBody-\${template.key}" style="min-height: 180px;">\${escapeHtml(template.body)}</textarea>
+                    </div>
+                    <div class="blog-actions">
+                        <button onclick="saveEmailTemplate('\${template.key}')" class="btn btn-small">Save Template</button>
+                        \${template.isCustomized ? \`<button onclick="resetEmailTemplate('\${template.key}')" class="btn btn-small btn-secondary">Reset to Default</button>\` : ''}
+                    </div>
+                </div>
+            \`).join('');
+        }
+
+        async function saveEmailTemplate(key) {
+            try {
+                const response = await fetch(\`/api/admin/email-templates/\${key}\`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Session-Token': sessionToken
+                    },
+                    body: JSON.stringify({
+                        subject: document.getElementById(\`emailTemplateSubject-\${key}\`).value,
+                        body: document.getElementById(\`emailTemplateBody-\${key}\`).value
+                    })
+                });
+                
+                if (response.ok) {
+                    alert('Template saved!');
+                    loadEmailTemplates();
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    alert('Error saving template: ' + (result.error || response.status));
+                }
+            } catch (error) {
+                alert('Error saving template: ' + error.message);
+            }
+        }
+
+        async function resetEmailTemplate(key) {
+            if (!confirm('Discard your changes and go back to the default wording?')) {
+                return;
+            }
+            
+            try {
+                const response = await fetch(\`/api/admin/email-templates/\${key}\`, {
+                    method: 'DELETE',
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (response.ok) {
+                    loadEmailTemplates();
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    alert('Error resetting template: ' + (result.error || response.status));
+                }
+            } catch (error) {
+                alert('Error resetting template: ' + error.message);
+            }
+        }
+
+        async function loadEmailLog() {
+            const logList = document.getElementById('emailLogList');
+            const status = document.getElementById('emailLogStatusFilter').value;
+            
+            try {
+                const response = await fetch(\`/api/admin/email-log?status=\${status}\`, {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (!response.ok) {
+                    logList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading delivery log</div>';
+                    return;
+                }
+                
+                const entries = (await response.json()).data || [];
+                logList.innerHTML = entries.length === 0 ? '<p class="blog-meta">No emails sent yet.</p>' : \`
+                    <table class="delivery-table">
+                        <tr><th>When</th><th>Email</th><th>To</th><th>Status</th><th>Details</th><th></th></tr>
+                        \${entries.map(entry => \`
+                            <tr>
+                                <td>\${new Date(entry.created_at).toLocaleString()}</td>
+                                <td>\${escapeHtml(entry.template_key)}</td>
+                                <td>\${escapeHtml(entry.full_name || '')} &lt;\${escapeHtml(entry.to_address)}&gt;</td>
+                                <td style="color: \${entry.status === 'sent' ? '#28A745' : '#DC3545'};">\${entry.status}</td>
+                                <td>\${escapeHtml(entry.error || entry.transport || '')}</td>
+                                <td>\${entry.access_request_id ? \`<button onclick="resendEmail(\${entry.id})" class="btn btn-small btn-secondary">Resend</button>\` : ''}</td>
+                            </tr>
+                        \`).join('')}
+                    </table>
+                \`;
+            } catch (error) {
+                logList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading delivery log</div>';
+            }
+        }
+
+        async function resendEmail(logId) {
+            if (!confirm('Send this email to the applicant again?')) {
+                return;
+            }
+            
+            try {
+                const response = await fetch(\`/api/admin/email-log/\${logId}/resend\`, {
+                    method: 'POST',
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                
+                if (!response.ok) {
+                    alert('Resend failed; see the delivery log for the error.');
+                }
+                loadEmailLog();
+            } catch (error) {
+                alert('Error resending email: ' + error.message);
+            }
+        }
+
+        function viewBlog(slug) {
+            window.open(\`/blog/\${slug}\`, '_blank');
+        }
+
+        async function editBlog(id) {
+            try {
+                const response = await fetch(\`/api/admin/blogs/\${id}\`, {
+                    headers: { 'X-Session-Token': sessionToken }
+                });
+                const result = await response.json();
+
+                if (!response.ok) {
+                    alert('Error loading blog post: ' + (result.error || 'Unknown error'));
+                    return;
+                }
+
+                const blog = result.data;
+                let tags = [];
+                try {
+                    tags = JSON.parse(blog.tags || '[]');
+                } catch (e) {
+                    tags = [];
+                }
+
+                document.getElementById('editBlogId').value = blog.id;
+                document.getElementById('editBlogTitle').value = blog.title || '';
+                document.getElementById('editBlogSlug').value = blog.slug || '';
+                document.getElementById('editBlogDescription').value = blog.description || '';
+                document.getElementById('editBlogCategory').value = blog.category || '';
+                document.getElementById('editBlogTags').value = tags.join(', ');
+                document.getElementById('editBlogStatus').value = blog.status === 'published' ? 'published' : 'draft';
+                document.getElementById('editBlogPublishAt').value = toLocalDateTimeInput(blog.publish_at);
+                document.getElementById('editBlogUnpublishAt').value = toLocalDateTimeInput(blog.unpublish_at);
+                document.getElementById('editBlogAccessTier').value = blog.access_tier || (blog.requires_auth ? 'member' : 'public');
+                document.getElementById('editBlogPublicPreview').checked = !!blog.is_public_preview;
+                document.getElementById('editBlogPreview').value = blog.preview_content || '';
+                document.getElementById('editBlogContent').value = blog.content_html || '';
+                document.getElementById('editBlogPreviewMarkdown').value = blog.preview_markdown || '';
+                document.getElementById('editBlogContentMarkdown').value = blog.content_markdown || '';
+
+                // Posts without stored HTML start in Markdown; hand-written HTML stays HTML
+                const format = blog.content_markdown != null || !blog.content_html ? 'markdown' : 'html';
+                document.getElementById('editBlogFormat').value = format;
+                setEditFormat(format);
+                document.getElementById('editBlogModal').classList.add('show');
+            } catch (error) {
+                alert('Error loading blog post: ' + error.message);
+            }
+        }
+
+        function toLocalDateTimeInput(iso) {
+            if (!iso) return '';
+            const date = new Date(iso);
+            return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        }
+
+        function fromLocalDateTimeInput(value) {
+            return value ? new Date(value).toISOString() : null;
+        }
+
+        function setEditFormat(format) {
+            document.querySelectorAll('.format-markdown').forEach(el => {
+                el.style.display = format === 'markdown' ? 'block' : 'none';
+            });
+            document.querySelectorAll('.format-html').forEach(el => {
+                el.style.display = format === 'html' ? 'block' : 'none';
+            });
+        }
+
+        function closeEditBlogModal() {
+            document.getElementById('editBlogModal').classList.remove('show');
+        }
+
+        document.getElementById('editBlogForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const id = document.getElementById('editBlogId').value;
+            const saveBtn = document.getElementById('editBlogSaveBtn');
+            saveBtn.disabled = true;
+
+            const updates = {
+                title: document.getElementById('editBlogTitle').value,
+                slug: document.getElementById('editBlogSlug').value,
+                description: document.getElementById('editBlogDescription').value,
+                category: document.getElementById('editBlogCategory').value || 'general',
+                tags: document.getElementById('editBlogTags').value.split(',').map(t => t.trim()).filter(Boolean),
+                status: document.getElementById('editBlogStatus').value,
+                access_tier: document.getElementById('editBlogAccessTier').value,
+                is_public_preview: document.getElementById('editBlogPublicPreview').checked,
+                publish_at: fromLocalDateTimeInput(document.getElementById('editBlogPublishAt').value),
+                unpublish_at: fromLocalDateTimeInput(document.getElementById('editBlogUnpublishAt').value)
+            };
+
+            if (document.getElementById('editBlogFormat').value === 'markdown') {
+                updates.preview_markdown = document.getElementById('editBlogPreviewMarkdown').value;
+                updates.content_markdown = document.getElementById('editBlogContentMarkdown').value;
+            } else {
+                updates.preview_content = document.getElementById('editBlogPreview').value;
+                updates.content_html = document.getElementById('editBlogContent').value;
+            }
+
+            try {
+                const response = await fetch(\`/api/admin/blogs/\${id}\`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Session-Token': sessionToken
+                    },
+                    body: JSON.stringify(updates)
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    closeEditBlogModal();
+                    loadBlogs();
+                } else {
+                    if (result.field === 'slug' && result.suggestion) {
+                        document.getElementById('editBlogSlug').value = result.suggestion;
+                    }
+                    alert('Error saving blog post: ' + (result.error || 'Unknown error'));
+                }
+            } catch (error) {
+                alert('Error saving blog post: ' + error.message);
+            } finally {
+                saveBtn.disabled = false;
+            }
+        });
+
+        async function toggleStatus(id, currentStatus) {
+            const status = currentStatus === 'published' ? 'draft' : 'published';
+
+            try {
+                const response = await fetch(\`/api/admin/blogs/\${id}\`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Session-Token': sessionToken
+                    },
+                    body: JSON.stringify({ status })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    loadBlogs();
+                } else {
+                    alert('Error updating status: ' + (result.error || 'Unknown error'));
+                }
+            } catch (error) {
+                alert('Error updating status: ' + error.message);
+            }
+        }
+
+        function showCreateBlogForm() {
+            const title = prompt('Enter blog title:');
+            if (!title) return;
+
+            const slug = prompt('Enter blog slug (URL path, e.g., "my-new-blog").\\nLeave empty to generate it from the title:') || '';
+            
+            const description = prompt('Enter blog description (optional):') || '';
+            
+            // Create basic blog post
+            fetch('/api/admin/blogs', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-Token': sessionToken
+                },
+                body: JSON.stringify({
+                    slug: slug,
+                    title: title,
+                    description: description,
+                    category: 'general',
+                    status: 'draft'
+                })
+            })
+            .then(response => response.json())
+            .then(result => {
+                if (result.success) {
+                    alert(\`Blog post created at /blog/\${result.slug}! Edit it to add content.\`);
+                    loadBlogs();
+                } else {
+                    alert('Error creating blog post: ' + (result.error || 'Unknown error'));
+                }
+            })
+            .catch(error => {
+                alert('Error creating blog post: ' + error.message);
+            });
+        }
+
+        async function updateRequestStatus(requestId, status) {
+            try {
+                const response = await fetch('/api/admin/requests/update-status', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Session-Token': sessionToken
+                    },
+                    body: JSON.stringify({
+                        requestId: requestId,
+                        status: status
+                    })
+                });
+                
+                if (response.ok) {
+                    const result = await response.json();
+                    alert(\`Request \${status} successfully!\${result.emailed ? ' The applicant has been emailed.' : ''}\${result.suspended ? ' Their member account has been suspended.' : ''}\`);
+                    if (result.member && result.member.inviteUrl) {
+                        prompt(\`No email was sent. Share this invitation link with \${result.member.username}:\`, result.member.inviteUrl);
+                    }
+                    loadRequests();
+                } else {
+                    alert('Error updating request status');
+                }
+            } catch (error) {
+                alert('Error updating request status: ' + error.message);
             }
         }
+    </script>
+</body>
+</html>`;
+
+  return new Response(html, {
+    headers: { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders },
+  });
+}
+
+/**
+ * Blog Management API
+ */
+async function handleGetBlogs(request, env) {
+  try {
+    const url = new URL(request.url);
+    const limit = parseInt(url.searchParams.get('limit')) || 50;
+    const offset = parseInt(url.searchParams.get('offset')) || 0;
+    const status = url.searchParams.get('status');
+    const trashed = url.searchParams.get('trashed') === '1';
+
+    let query = 'SELECT id, slug, title, description, author, category, tags, status, requires_auth, access_tier, is_public_preview, published_at, publish_at, unpublish_at, created_at, updated_at, deleted_at FROM blog_posts';
+    let params = [];
+
+    query += trashed ? ' WHERE deleted_at IS NOT NULL' : ' WHERE deleted_at IS NULL';
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += trashed ? ' ORDER BY deleted_at DESC LIMIT ? OFFSET ?' : ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return new Response(JSON.stringify({
+      data: results,
+      pagination: { limit, offset }
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching blogs:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch blogs' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleCreateBlog(request, env, adminUser) {
+  try {
+    const blog = await request.json();
+    const title = String(blog.title || '').trim();
+
+    if (!title) {
+      return new Response(JSON.stringify({ error: 'Title is required', field: 'title' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (blog.status !== undefined && !BLOG_STATUSES.includes(blog.status)) {
+      return new Response(JSON.stringify({
+        error: `Invalid status. Use one of: ${BLOG_STATUSES.join(', ')}`,
+        field: 'status'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Older clients only send requires_auth; it maps onto the member tier
+    const accessTier = blog.access_tier ?? (blog.requires_auth !== false ? 'member' : 'public');
+    if (!ACCESS_TIERS.includes(accessTier)) {
+      return new Response(JSON.stringify({
+        error: `Invalid access tier. Use one of: ${ACCESS_TIERS.join(', ')}`,
+        field: 'access_tier'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const schedule = normalizeBlogSchedule(blog);
+    if (schedule.error) {
+      return new Response(JSON.stringify({ error: schedule.error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // An explicit slug must be valid and free; otherwise derive a unique one from the title
+    let slug = String(blog.slug || '').trim();
+    if (slug) {
+      const slugError = await checkSlugAvailable(env, slug);
+      if (slugError) {
+        return slugError;
+      }
+    } else {
+      const base = slugify(title);
+      if (!base) {
+        return new Response(JSON.stringify({ error: 'Cannot generate a slug from this title; please provide one', field: 'slug' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+      slug = await findAvailableSlug(env, base);
+    }
+
+    const result = await env.DB.prepare(`
+      INSERT INTO blog_posts (slug, title, description, author, category, tags, status, requires_auth, access_tier, is_public_preview, published_at,
+                              content_html, preview_content, content_markdown, preview_markdown, publish_at, unpublish_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      slug,
+      title,
+      blog.description || '',
+      blog.author || 'Dutch Mystery Portal',
+      normalizeTag(blog.category) || 'general',
+      JSON.stringify(normalizeTags(blog.tags)),
+      blog.status || 'draft',
+      accessTier === 'public' ? 0 : 1,
+      accessTier,
+      blog.is_public_preview !== false ? 1 : 0,
+      blog.status === 'published' ? new Date().toISOString() : null,
+      blog.content_html || null,
+      blog.preview_content || null,
+      blog.content_markdown ?? null,
+      blog.preview_markdown ?? null,
+      schedule.publish_at ?? null,
+      schedule.unpublish_at ?? null
+    ).run();
+
+    await renderBlogMarkdown(env, result.meta.last_row_id);
+    await indexBlogPost(env, result.meta.last_row_id);
+    await recordBlogRevision(env, result.meta.last_row_id, adminUser, 'Created');
+
+    return new Response(JSON.stringify({
+      success: true,
+      id: result.meta.last_row_id,
+      slug
+    }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error creating blog:', error);
+    return new Response(JSON.stringify({ error: 'Failed to create blog: ' + error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleGetBlog(request, env) {
+  try {
+    const blogId = getBlogIdFromPath(request);
+    if (!blogId) {
+      return new Response(JSON.stringify({ error: 'Invalid blog ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const blog = await env.DB.prepare(`
+      SELECT * FROM blog_posts WHERE id = ?
+    `).bind(blogId).first();
+
+    if (!blog) {
+      return new Response(JSON.stringify({ error: 'Blog post not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const { results: redirects } = await env.DB.prepare(`
+      SELECT from_path, created_at FROM blog_redirects WHERE blog_id = ? ORDER BY created_at DESC
+    `).bind(blogId).all();
+
+    return new Response(JSON.stringify({ data: blog, redirects }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching blog:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch blog' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleUpdateBlog(request, env, adminUser) {
+  try {
+    const blogId = getBlogIdFromPath(request);
+    if (!blogId) {
+      return new Response(JSON.stringify({ error: 'Invalid blog ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const updates = await request.json();
+
+    if (updates.status !== undefined && !BLOG_STATUSES.includes(updates.status)) {
+      return new Response(JSON.stringify({
+        error: `Invalid status. Use one of: ${BLOG_STATUSES.join(', ')}`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (updates.access_tier !== undefined && !ACCESS_TIERS.includes(updates.access_tier)) {
+      return new Response(JSON.stringify({
+        error: `Invalid access tier. Use one of: ${ACCESS_TIERS.join(', ')}`,
+        field: 'access_tier'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if ((updates.title !== undefined && !String(updates.title).trim()) ||
+        (updates.slug !== undefined && !String(updates.slug).trim())) {
+      return new Response(JSON.stringify({ error: 'Title and slug cannot be empty' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const schedule = normalizeBlogSchedule(updates);
+    if (schedule.error) {
+      return new Response(JSON.stringify({ error: schedule.error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT * FROM blog_posts WHERE id = ?
+    `).bind(blogId).first();
+
+    if (!existing) {
+      return new Response(JSON.stringify({ error: 'Blog post not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (existing.deleted_at) {
+      return new Response(JSON.stringify({ error: 'Blog post is in the trash. Restore it before editing.' }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const newSlug = updates.slug !== undefined ? String(updates.slug).trim() : existing.slug;
+    const slugChanged = newSlug !== existing.slug;
+    if (slugChanged) {
+      const slugError = await checkSlugAvailable(env, newSlug, blogId);
+      if (slugError) {
+        return slugError;
+      }
+    }
+
+    // access_tier is the source of truth; requires_auth just mirrors it. A bare
+    // requires_auth from an older client keeps an existing insider tier.
+    if (updates.access_tier !== undefined) {
+      updates.requires_auth = updates.access_tier !== 'public';
+    } else if (updates.requires_auth !== undefined) {
+      const currentTier = getPostAccessTier(existing);
+      updates.access_tier = !updates.requires_auth ? 'public' : (currentTier === 'public' ? 'member' : currentTier);
+    }
+
+    const fields = [];
+    const params = [];
+    // The row as it will be after this update, for rendering Markdown
+    const next = { ...existing };
+
+    for (const field of BLOG_UPDATABLE_FIELDS) {
+      if (updates[field] === undefined) continue;
+      // HTML for a Markdown source is rendered from it below
+      if ((field === 'content_html' && updates.content_markdown != null) ||
+          (field === 'preview_content' && updates.preview_markdown != null)) continue;
+
+      let value = updates[field];
+      if (field === 'tags') {
+        value = JSON.stringify(normalizeTags(value));
+      } else if (field === 'category') {
+        value = normalizeTag(value) || 'general';
+      } else if (field === 'requires_auth' || field === 'is_public_preview') {
+        value = value ? 1 : 0;
+      } else if (field === 'slug' || field === 'title') {
+        value = String(value).trim();
+      } else if (field === 'publish_at' || field === 'unpublish_at') {
+        value = schedule[field];
+      }
+
+      fields.push(`${field} = ?`);
+      params.push(value);
+      next[field] = value;
+    }
+
+    if (fields.length === 0) {
+      return new Response(JSON.stringify({ error: 'No updatable fields provided' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const publishAt = schedule.publish_at !== undefined ? schedule.publish_at : existing.publish_at;
+    const unpublishAt = schedule.unpublish_at !== undefined ? schedule.unpublish_at : existing.unpublish_at;
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+      return new Response(JSON.stringify({ error: 'unpublish_at must be later than publish_at' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Editing the HTML directly makes it the source of truth again
+    if (updates.content_html !== undefined && updates.content_markdown === undefined) {
+      fields.push('content_markdown = NULL');
+      next.content_markdown = null;
+    }
+    if (updates.preview_content !== undefined && updates.preview_markdown === undefined) {
+      fields.push('preview_markdown = NULL');
+      next.preview_markdown = null;
+    }
+
+    // Render before saving so the row and its revision are written together
+    const rendered = renderBlogPostMarkdown(next);
+    if (rendered && next.content_markdown != null) {
+      fields.push('content_html = ?');
+      params.push(rendered.content_html);
+    }
+    if (rendered && next.preview_markdown != null) {
+      fields.push('preview_content = ?');
+      params.push(rendered.preview_content);
+    }
+
+    // First publish stamps published_at; re-publishing keeps the original date
+    if (updates.status === 'published' && existing.status !== 'published' && !existing.published_at) {
+      fields.push('published_at = ?');
+      params.push(new Date().toISOString());
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+
+    const recordRevision = BLOG_REVISION_FIELDS.some(field => updates[field] !== undefined);
+    const statements = [];
+
+    // Posts from before revisions existed get their current state saved first,
+    // so the very first edit can still be rolled back
+    if (recordRevision) {
+      statements.push(prepareBlogRevision(env, blogId, null, 'Before first recorded edit', { onlyIfFirst: true }));
+    }
+
+    statements.push(env.DB.prepare(`
+      UPDATE blog_posts SET ${fields.join(', ')} WHERE id = ?
+    `).bind(...params, blogId));
+
+    if (recordRevision) {
+      statements.push(prepareBlogRevision(env, blogId, adminUser));
+    }
+
+    // Keep old links alive: the previous URL now 301s to the new slug
+    if (slugChanged) {
+      statements.push(
+        env.DB.prepare(`
+          DELETE FROM blog_redirects WHERE from_path = ?
+        `).bind(`/blog/${newSlug}`),
+        env.DB.prepare(`
+          INSERT OR REPLACE INTO blog_redirects (from_path, blog_id) VALUES (?, ?)
+        `).bind(`/blog/${existing.slug}`, blogId)
+      );
+    }
+
+    await env.DB.batch(statements);
+    await indexBlogPost(env, blogId);
+
+    return new Response(JSON.stringify({
+      success: true,
+      id: blogId,
+      slug: newSlug
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error updating blog:', error);
+    return new Response(JSON.stringify({ error: 'Failed to update blog: ' + error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Deleting only moves a post to the trash; purge removes the row for good
+async function handleDeleteBlog(request, env) {
+  try {
+    const blogId = getBlogIdFromPath(request);
+    if (!blogId) {
+      return new Response(JSON.stringify({ error: 'Invalid blog ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const result = await env.DB.prepare(`
+      UPDATE blog_posts
+      SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NULL
+    `).bind(blogId).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Blog post not found or already in trash' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, id: blogId, trashed: true }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error deleting blog:', error);
+    return new Response(JSON.stringify({ error: 'Failed to delete blog' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleRestoreBlog(request, env) {
+  try {
+    const blogId = getBlogIdFromPath(request);
+    if (!blogId) {
+      return new Response(JSON.stringify({ error: 'Invalid blog ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const result = await env.DB.prepare(`
+      UPDATE blog_posts
+      SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `).bind(blogId).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Blog post not found in trash' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, id: blogId }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error restoring blog:', error);
+    return new Response(JSON.stringify({ error: 'Failed to restore blog' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handlePurgeBlog(request, env) {
+  try {
+    const blogId = getBlogIdFromPath(request);
+    if (!blogId) {
+      return new Response(JSON.stringify({ error: 'Invalid blog ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Only trashed posts can be purged, so a single request can never destroy a live post
+    const [result] = await env.DB.batch([
+      env.DB.prepare(`
+        DELETE FROM blog_posts WHERE id = ? AND deleted_at IS NOT NULL
+      `).bind(blogId),
+      env.DB.prepare(`
+        DELETE FROM blog_revisions
+        WHERE blog_id = ? AND NOT EXISTS (SELECT 1 FROM blog_posts WHERE id = ?)
+      `).bind(blogId, blogId),
+      env.DB.prepare(`
+        DELETE FROM blog_redirects
+        WHERE blog_id = ? AND NOT EXISTS (SELECT 1 FROM blog_posts WHERE id = ?)
+      `).bind(blogId, blogId),
+      env.DB.prepare(`
+        DELETE FROM blog_search
+        WHERE rowid = ? AND NOT EXISTS (SELECT 1 FROM blog_posts WHERE id = ?)
+      `).bind(blogId, blogId),
+      env.DB.prepare(`
+        DELETE FROM blog_comments
+        WHERE blog_id = ? AND NOT EXISTS (SELECT 1 FROM blog_posts WHERE id = ?)
+      `).bind(blogId, blogId)
+    ]);
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Blog post not found in trash' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, id: blogId, purged: true }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error purging blog:', error);
+    return new Response(JSON.stringify({ error: 'Failed to purge blog' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+/**
+ * Member Comments
+ */
+async function handleGetComments(request, env) {
+  try {
+    const member = await getMemberSession(request, env);
+    if (!member) {
+      return new Response(JSON.stringify({ error: 'Comments are available to members only', requiresAuth: true }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const url = new URL(request.url);
+    const blogPost = await findCommentableBlog(env, url.searchParams.get('slug'));
+    if (!blogPost) {
+      return new Response(JSON.stringify({ error: 'Blog post not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (!hasTierAccess(member.tier, getPostAccessTier(blogPost))) {
+      return new Response(JSON.stringify({ error: 'Your membership tier does not include this post', requiredTier: getPostAccessTier(blogPost) }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const { results } = await env.DB.prepare(`
+      SELECT id, parent_id, depth, author_name, body, created_at
+      FROM blog_comments
+      WHERE blog_id = ? AND status = 'approved'
+      ORDER BY created_at ASC, id ASC
+    `).bind(blogPost.id).all();
+
+    // Build the thread tree; replies whose parent is not approved stay hidden
+    const byId = new Map(results.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const comments = [];
+    byId.forEach(comment => {
+      if (!comment.parent_id) {
+        comments.push(comment);
+      } else if (byId.has(comment.parent_id)) {
+        byId.get(comment.parent_id).replies.push(comment);
+      }
+    });
+
+    return new Response(JSON.stringify({ success: true, comments, count: results.length }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch comments' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleCreateComment(request, env) {
+  try {
+    const member = await getMemberSession(request, env);
+    if (!member) {
+      return new Response(JSON.stringify({ error: 'Only members can comment', requiresAuth: true }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const body = await request.json();
+    // Comments are signed with the account's name, not whatever the client sends
+    const authorName = (member.display_name || member.username).slice(0, 80);
+    const content = typeof body.body === 'string' ? body.body.trim() : '';
+
+    if (content.length < 2 || content.length > COMMENT_MAX_LENGTH) {
+      return new Response(JSON.stringify({ error: `Comment must be between 2 and ${COMMENT_MAX_LENGTH} characters`, field: 'body' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const blogPost = await findCommentableBlog(env, body.slug);
+    if (!blogPost) {
+      return new Response(JSON.stringify({ error: 'Blog post not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (!hasTierAccess(member.tier, getPostAccessTier(blogPost))) {
+      return new Response(JSON.stringify({ error: 'Your membership tier does not include this post', requiredTier: getPostAccessTier(blogPost) }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    let parentId = null;
+    let depth = 0;
+    if (body.parentId) {
+      const parent = await env.DB.prepare(`
+        SELECT id, parent_id, depth FROM blog_comments
+        WHERE id = ? AND blog_id = ? AND status = 'approved'
+      `).bind(parseInt(body.parentId) || 0, blogPost.id).first();
+
+      if (!parent) {
+        return new Response(JSON.stringify({ error: 'The comment you are replying to does not exist', field: 'parentId' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+
+      if (parent.depth >= COMMENT_MAX_DEPTH - 1) {
+        parentId = parent.parent_id;
+        depth = parent.depth;
+      } else {
+        parentId = parent.id;
+        depth = parent.depth + 1;
+      }
+    }
+
+    const ip = request.headers.get('CF-Connecting-IP') || '';
+    if (ip) {
+      const recent = await env.DB.prepare(`
+        SELECT COUNT(*) as count FROM blog_comments
+        WHERE ip_address = ? AND created_at > datetime('now', '-10 minutes')
+      `).bind(ip).first();
+
+      if (recent.count >= COMMENT_RATE_LIMIT) {
+        return new Response(JSON.stringify({ error: 'Too many comments. Please wait a few minutes and try again.' }), {
+          status: 429,
+          headers: { 'Content-Type': 'application/json', 'Retry-After': '600', ...corsHeaders },
+        });
+      }
+    }
+
+    const result = await env.DB.prepare(`
+      INSERT INTO blog_comments (blog_id, parent_id, depth, author_name, body, status, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `).bind(
+      blogPost.id,
+      parentId,
+      depth,
+      authorName,
+      content,
+      ip || null,
+      request.headers.get('User-Agent') || null
+    ).run();
+
+    return new Response(JSON.stringify({
+      success: true,
+      id: result.meta.last_row_id,
+      status: 'pending',
+      message: 'Comment submitted and awaiting moderation'
+    }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    return new Response(JSON.stringify({ error: 'Failed to submit comment' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function findCommentableBlog(env, slug) {
+  if (!slug || typeof slug !== 'string') return null;
+  return await env.DB.prepare(`
+    SELECT id, requires_auth, access_tier FROM blog_posts
+    WHERE slug = ? AND status = 'published' AND deleted_at IS NULL
+      AND (unpublish_at IS NULL OR unpublish_at > ?)
+  `).bind(slug, new Date().toISOString()).first();
+}
+
+async function handleAdminGetComments(request, env) {
+  try {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status') || 'pending';
+
+    let query = `
+      SELECT c.id, c.blog_id, c.parent_id, c.depth, c.author_name, c.body, c.status, c.ip_address,
+             c.created_at, c.moderated_at, c.moderated_by,
+             p.title AS blog_title, p.slug AS blog_slug,
+             parent.author_name AS parent_author, substr(parent.body, 1, 140) AS parent_excerpt
+      FROM blog_comments c
+      JOIN blog_posts p ON p.id = c.blog_id
+      LEFT JOIN blog_comments parent ON parent.id = c.parent_id
+    `;
+    const params = [];
+
+    if (COMMENT_STATUSES.includes(status)) {
+      query += ' WHERE c.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY c.created_at DESC, c.id DESC LIMIT 200';
+
+    const [{ results }, { results: counts }] = await Promise.all([
+      env.DB.prepare(query).bind(...params).all(),
+      env.DB.prepare('SELECT status, COUNT(*) as count FROM blog_comments GROUP BY status').all()
+    ]);
+
+    return new Response(JSON.stringify({
+      success: true,
+      data: results,
+      counts: Object.fromEntries(COMMENT_STATUSES.map(name => [name, counts.find(row => row.status === name)?.count || 0]))
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching comments for moderation:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch comments' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleModerateComment(request, env, adminUser) {
+  try {
+    const commentId = getCommentIdFromPath(request);
+    const body = await request.json();
+
+    if (!commentId || !['approved', 'rejected'].includes(body.status)) {
+      return new Response(JSON.stringify({ error: 'status must be one of: approved, rejected' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const result = await env.DB.prepare(`
+      UPDATE blog_comments
+      SET status = ?, moderated_at = CURRENT_TIMESTAMP, moderated_by = ?
+      WHERE id = ?
+    `).bind(body.status, adminUser?.username || null, commentId).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Comment not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, id: commentId, status: body.status }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error moderating comment:', error);
+    return new Response(JSON.stringify({ error: 'Failed to moderate comment' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleDeleteComment(request, env) {
+  try {
+    const commentId = getCommentIdFromPath(request);
+    if (!commentId) {
+      return new Response(JSON.stringify({ error: 'Invalid comment ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Replies lose their context without the parent, so the whole sub-thread goes
+    const result = await env.DB.prepare(`
+      DELETE FROM blog_comments WHERE id IN (
+        WITH RECURSIVE thread(id) AS (
+          SELECT id FROM blog_comments WHERE id = ?
+          UNION ALL
+          SELECT c.id FROM blog_comments c JOIN thread t ON c.parent_id = t.id
+        )
+        SELECT id FROM thread
+      )
+    `).bind(commentId).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'Comment not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ success: true, id: commentId, deleted: result.meta.changes }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    return new Response(JSON.stringify({ error: 'Failed to delete comment' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+/**
+ * Newsletter
+ */
+async function handleNewsletterSubscribe(request, env) {
+  try {
+    const body = await request.json();
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+
+    if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+      return new Response(JSON.stringify({ error: 'Please enter a valid email address', field: 'email' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const source = typeof body.source === 'string' ? body.source.slice(0, 50) : null;
+    const existing = await env.DB.prepare(`
+      SELECT id, status, confirm_sent_at FROM newsletter_subscribers WHERE email = ?
+    `).bind(email).first();
+
+    let subscriberId = existing?.id;
+    let shouldSend = false;
+    const confirmToken = crypto.randomUUID();
+
+    if (!existing) {
+      const result = await env.DB.prepare(`
+        INSERT INTO newsletter_subscribers (email, status, source, confirm_token, confirm_sent_at)
+        VALUES (?, 'pending', ?, ?, CURRENT_TIMESTAMP)
+      `).bind(email, source, confirmToken).run();
+      subscriberId = result.meta.last_row_id;
+      shouldSend = true;
+    } else if (existing.status === 'unsubscribed' || existing.status === 'bounced') {
+      await env.DB.prepare(`
+        UPDATE newsletter_subscribers
+        SET status = 'pending', source = COALESCE(?, source), confirm_token = ?, confirm_sent_at = CURRENT_TIMESTAMP,
+            unsubscribed_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(source, confirmToken, existing.id).run();
+      shouldSend = true;
+    } else if (existing.status === 'pending') {
+      const lastSent = parseDbDate(existing.confirm_sent_at);
+      if (!lastSent || Date.now() - lastSent.getTime() > NEWSLETTER_RESEND_INTERVAL) {
+        await env.DB.prepare(`
+          UPDATE newsletter_subscribers
+          SET confirm_token = ?, confirm_sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(confirmToken, existing.id).run();
+        shouldSend = true;
+      }
+    }
+
+    if (shouldSend) {
+      try {
+        await sendNewsletterConfirmation(request, env, { id: subscriberId, email, confirmToken });
+      } catch (error) {
+        // Let the next attempt resend straight away instead of waiting out the resend interval
+        await env.DB.prepare('UPDATE newsletter_subscribers SET confirm_sent_at = NULL WHERE id = ?').bind(subscriberId).run();
+        throw error;
+      }
+    }
+
+    // Same answer for new, pending and already-confirmed addresses so the
+    // endpoint can't be used to probe who is subscribed
+    return new Response(JSON.stringify({
+      success: true,
+      message: 'Check your inbox to confirm your subscription.'
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Newsletter subscribe error:', error);
+    return new Response(JSON.stringify({ error: 'Subscription failed. Please try again later.' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function sendNewsletterConfirmation(request, env, subscriber) {
+  const origin = new URL(request.url).origin;
+  const token = await createSignedToken(env, {
+    purpose: 'newsletter-confirm',
+    sid: subscriber.id,
+    nonce: subscriber.confirmToken,
+    exp: Date.now() + NEWSLETTER_CONFIRM_TTL
+  });
+  const confirmUrl = `${origin}/api/newsletter/confirm?token=${token}`;
+
+  await sendMail(env, {
+    to: subscriber.email,
+    subject: `Confirm your ${SITE_NAME} subscription`,
+    category: 'newsletter-confirm',
+    text: `You (or someone using this address) asked to join the ${SITE_NAME} newsletter.
+
+Confirm your subscription:
+${confirmUrl}
+
+The link is valid for 7 days. If you didn't sign up, just ignore this email.`,
+    html: `<p>You (or someone using this address) asked to join the <strong>${SITE_NAME}</strong> newsletter.</p>
+<p><a href="${confirmUrl}" style="display:inline-block;padding:12px 24px;background:#FF9500;color:#000;text-decoration:none;border-radius:8px;font-weight:600;">Confirm subscription</a></p>
+<p style="color:#666;font-size:13px;">The link is valid for 7 days. If you didn't sign up, just ignore this email.</p>`
+  });
+}
+
+async function handleNewsletterConfirm(request, env) {
+  try {
+    const url = new URL(request.url);
+    const payload = await verifySignedToken(env, url.searchParams.get('token'), 'newsletter-confirm');
+
+    if (!payload) {
+      return generateNewsletterPage(400, 'Link expired', 'This confirmation link is invalid or has expired. Sign up again to get a fresh one.');
+    }
+
+    const subscriber = await env.DB.prepare(`
+      SELECT id, email, status, confirm_token FROM newsletter_subscribers WHERE id = ?
+    `).bind(payload.sid).first();
+
+    if (subscriber && subscriber.status === 'confirmed') {
+      return generateNewsletterPage(200, 'Already confirmed', "You're already on the list. See you in the underground.");
+    }
+
+    if (!subscriber || subscriber.status !== 'pending' || subscriber.confirm_token !== payload.nonce) {
+      return generateNewsletterPage(400, 'Link expired', 'This confirmation link is no longer valid. Sign up again to get a fresh one.');
+    }
+
+    await env.DB.prepare(`
+      UPDATE newsletter_subscribers
+      SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP, confirm_token = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(subscriber.id).run();
+
+    return generateNewsletterPage(200, "You're in!", `${escapeHtml(subscriber.email)} is now subscribed to underground intel from ${SITE_NAME}.`);
+
+  } catch (error) {
+    console.error('Newsletter confirm error:', error);
+    return generateNewsletterPage(500, 'Something went wrong', 'We could not confirm your subscription. Please try again later.');
+  }
+}
+
+// GET shows a confirmation button (link scanners must not unsubscribe people);
+// POST performs it, which also serves RFC 8058 one-click List-Unsubscribe
+async function handleNewsletterUnsubscribe(request, env) {
+  try {
+    const url = new URL(request.url);
+    const token = url.searchParams.get('token');
+    const payload = await verifySignedToken(env, token, 'newsletter-unsubscribe');
+
+    if (!payload) {
+      return generateNewsletterPage(400, 'Invalid link', 'This unsubscribe link is invalid. Reply to any newsletter and we will remove you by hand.');
+    }
+
+    if (request.method === 'GET') {
+      return generateNewsletterPage(200, 'Unsubscribe?', 'You will no longer receive the newsletter.', `
+        <form method="POST" action="/api/newsletter/unsubscribe?token=${encodeURIComponent(token)}">
+          <button type="submit" class="newsletter-page-btn">Unsubscribe</button>
+        </form>
+      `);
+    }
+
+    await env.DB.prepare(`
+      UPDATE newsletter_subscribers
+      SET status = 'unsubscribed', unsubscribed_at = CURRENT_TIMESTAMP, confirm_token = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status != 'unsubscribed'
+    `).bind(payload.sid).run();
+
+    return generateNewsletterPage(200, 'Unsubscribed', "You won't receive any more newsletters from us. You can sign up again any time.");
+
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    return generateNewsletterPage(500, 'Something went wrong', 'We could not process your request. Please try again later.');
+  }
+}
+
+function generateNewsletterPage(status, title, message, extraHtml = '') {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | ${SITE_NAME}</title>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600&family=Orbitron:wght@400;700;900&display=swap" rel="stylesheet">
+    <style>
+        body {
+            margin: 0;
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: linear-gradient(135deg, #000000 0%, #1a1a1a 50%, #2d1b00 100%);
+            font-family: 'Inter', sans-serif;
+            color: #fff;
+        }
+        .newsletter-page {
+            max-width: 480px;
+            margin: 1rem;
+            padding: 2.5rem;
+            text-align: center;
+            background: linear-gradient(145deg, #2a2a2a, #1a1a1a);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 15px;
+        }
+        h1 {
+            font-family: 'Orbitron', sans-serif;
+            color: #FF9500;
+            font-size: 1.6rem;
+        }
+        p { color: rgba(255, 255, 255, 0.8); line-height: 1.6; }
+        a { color: #00BFFF; }
+        .newsletter-page-btn {
+            background: linear-gradient(135deg, #FF9500, #FFD700);
+            color: #000;
+            border: none;
+            padding: 0.9rem 2rem;
+            border-radius: 8px;
+            font-weight: 600;
+            cursor: pointer;
+            margin-bottom: 1rem;
+        }
+        .newsletter-page input {
+            display: block;
+            width: 100%;
+            box-sizing: border-box;
+            margin-bottom: 0.75rem;
+            padding: 0.8rem;
+            background: rgba(0, 0, 0, 0.6);
+            border: 1px solid rgba(255, 149, 0, 0.3);
+            border-radius: 8px;
+            color: #fff;
+            font: inherit;
+        }
+    </style>
+</head>
+<body>
+    <main class="newsletter-page">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${message}</p>
+        ${extraHtml}
+        <p><a href="/">Back to the portal</a></p>
+    </main>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+/**
+ * Newsletter Campaigns
+ * Issues are an intro plus cards built from post previews. Sending queues one
+ * newsletter_deliveries row per confirmed subscriber; processNewsletterQueue
+ * works through the queue in batches from the cron trigger.
+ */
+const NEWSLETTER_STATS_COLUMNS = `
+  COUNT(CASE WHEN d.status = 'queued' THEN 1 END) AS queued,
+  COUNT(CASE WHEN d.status = 'sent' THEN 1 END) AS sent,
+  COUNT(CASE WHEN d.status = 'failed' THEN 1 END) AS failed,
+  COUNT(CASE WHEN d.status = 'bounced' THEN 1 END) AS bounced,
+  COUNT(d.opened_at) AS unique_opens,
+  COALESCE(SUM(d.open_count), 0) AS opens,
+  COUNT(d.clicked_at) AS unique_clicks,
+  COALESCE(SUM(d.click_count), 0) AS clicks
+`;
+
+// 1x1 transparent GIF served by the open-tracking endpoint
+const NEWSLETTER_PIXEL = Uint8Array.from(atob('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'), char => char.charCodeAt(0));
+
+async function handleGetNewsletterIssues(request, env) {
+  try {
+    const [{ results }, { results: subscriberCounts }] = await Promise.all([
+      env.DB.prepare(`
+        SELECT i.id, i.subject, i.status, i.post_ids, i.recipient_count, i.created_by,
+               i.created_at, i.updated_at, i.send_started_at, i.sent_at,
+               ${NEWSLETTER_STATS_COLUMNS}
+        FROM newsletter_issues i
+        LEFT JOIN newsletter_deliveries d ON d.issue_id = i.id
+        GROUP BY i.id
+        ORDER BY i.created_at DESC, i.id DESC
+        LIMIT 100
+      `).all(),
+      env.DB.prepare('SELECT status, COUNT(*) as count FROM newsletter_subscribers GROUP BY status').all()
+    ]);
+
+    return new Response(JSON.stringify({
+      success: true,
+      data: results.map(formatNewsletterIssue),
+      subscribers: Object.fromEntries(subscriberCounts.map(row => [row.status, row.count]))
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching newsletter issues:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch newsletter issues' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleGetNewsletterIssue(request, env) {
+  try {
+    const issueId = getNewsletterIssueIdFromPath(request);
+    const issue = issueId && await env.DB.prepare(`
+      SELECT i.id, i.subject, i.intro_markdown, i.status, i.post_ids, i.recipient_count, i.created_by,
+             i.created_at, i.updated_at, i.send_started_at, i.sent_at,
+             ${NEWSLETTER_STATS_COLUMNS}
+      FROM newsletter_issues i
+      LEFT JOIN newsletter_deliveries d ON d.issue_id = i.id
+      WHERE i.id = ?
+      GROUP BY i.id
+    `).bind(issueId).first();
+
+    if (!issue) {
+      return new Response(JSON.stringify({ error: 'Newsletter issue not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const { results: links } = await env.DB.prepare(`
+      SELECT url, COUNT(*) AS clicks, COUNT(DISTINCT delivery_id) AS unique_clicks
+      FROM newsletter_clicks
+      WHERE issue_id = ?
+      GROUP BY url
+      ORDER BY clicks DESC
+      LIMIT 20
+    `).bind(issueId).all();
+
+    return new Response(JSON.stringify({ success: true, data: { ...formatNewsletterIssue(issue), links } }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching newsletter issue:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch newsletter issue' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleCreateNewsletterIssue(request, env, adminUser) {
+  try {
+    const input = parseNewsletterIssueInput(await request.json());
+    if (input.error) {
+      return new Response(JSON.stringify({ error: input.error, field: input.field }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const result = await env.DB.prepare(`
+      INSERT INTO newsletter_issues (subject, intro_markdown, post_ids, created_by)
+      VALUES (?, ?, ?, ?)
+    `).bind(input.subject, input.introMarkdown, JSON.stringify(input.postIds), adminUser?.username || null).run();
+
+    return new Response(JSON.stringify({ success: true, id: result.meta.last_row_id }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error creating newsletter issue:', error);
+    return new Response(JSON.stringify({ error: 'Failed to create newsletter issue' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleUpdateNewsletterIssue(request, env) {
+  try {
+    const issueId = getNewsletterIssueIdFromPath(request);
+    const input = parseNewsletterIssueInput(await request.json());
+    if (input.error) {
+      return new Response(JSON.stringify({ error: input.error, field: input.field }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const result = await env.DB.prepare(`
+      UPDATE newsletter_issues
+      SET subject = ?, intro_markdown = ?, post_ids = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'draft'
+    `).bind(input.subject, input.introMarkdown, JSON.stringify(input.postIds), issueId).run();
+
+    if (!result.meta.changes) {
+      return await newsletterIssueNotDraftResponse(env, issueId, 'Only draft issues can be edited');
+    }
+
+    return new Response(JSON.stringify({ success: true, id: issueId }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error updating newsletter issue:', error);
+    return new Response(JSON.stringify({ error: 'Failed to update newsletter issue' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleDeleteNewsletterIssue(request, env) {
+  try {
+    const issueId = getNewsletterIssueIdFromPath(request);
+    const result = await env.DB.prepare(`
+      DELETE FROM newsletter_issues WHERE id = ? AND status = 'draft'
+    `).bind(issueId).run();
+
+    if (!result.meta.changes) {
+      return await newsletterIssueNotDraftResponse(env, issueId, 'Sent issues are kept for their delivery history');
+    }
+
+    return new Response(JSON.stringify({ success: true, id: issueId }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error deleting newsletter issue:', error);
+    return new Response(JSON.stringify({ error: 'Failed to delete newsletter issue' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Renders the composer's current (unsaved) state for the dashboard preview
+async function handlePreviewNewsletterIssue(request, env) {
+  try {
+    const input = parseNewsletterIssueInput(await request.json());
+    if (input.error) {
+      return new Response(JSON.stringify({ error: input.error, field: input.field }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const rendered = await renderNewsletterIssue(env, input);
+
+    return new Response(JSON.stringify({
+      success: true,
+      html: fillNewsletterPlaceholders(rendered.html, { unsubscribeUrl: '#' }),
+      text: fillNewsletterPlaceholders(rendered.text, { unsubscribeUrl: `${SITE_URL}/api/newsletter/unsubscribe?token=...` }),
+      missingPosts: input.postIds.length - rendered.posts.length
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error previewing newsletter issue:', error);
+    return new Response(JSON.stringify({ error: 'Failed to render newsletter preview' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Sends the composer's current state to a single address, without tracking
+async function handleTestNewsletterIssue(request, env) {
+  try {
+    const body = await request.json();
+    const email = typeof body.email === 'string' ? body.email.trim() : '';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return new Response(JSON.stringify({ error: 'Please enter a valid email address', field: 'email' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const input = parseNewsletterIssueInput(body);
+    if (input.error) {
+      return new Response(JSON.stringify({ error: input.error, field: input.field }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const rendered = await renderNewsletterIssue(env, input);
+    const placeholders = { unsubscribeUrl: `${SITE_URL}/api/newsletter/unsubscribe` };
+
+    await sendMail(env, {
+      to: email,
+      subject: `[Test] ${input.subject}`,
+      category: 'newsletter-test',
+      html: fillNewsletterPlaceholders(rendered.html, placeholders),
+      text: fillNewsletterPlaceholders(rendered.text, placeholders)
+    });
+
+    return new Response(JSON.stringify({ success: true, message: `Test sent to ${email}` }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error sending newsletter test:', error);
+    return new Response(JSON.stringify({ error: 'Failed to send test email', message: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleSendNewsletterIssue(request, env, ctx) {
+  try {
+    const issueId = getNewsletterIssueIdFromPath(request);
+    const issue = issueId && await env.DB.prepare(`
+      SELECT id, subject, intro_markdown, post_ids, status FROM newsletter_issues WHERE id = ?
+    `).bind(issueId).first();
+
+    if (!issue) {
+      return new Response(JSON.stringify({ error: 'Newsletter issue not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (issue.status !== 'draft') {
+      return new Response(JSON.stringify({ error: 'This issue has already been sent' }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // Every delivery needs signed unsubscribe and tracking links; fail before queueing
+    await getLinkSigningKey(env);
+
+    const { count: recipients } = await env.DB.prepare(`
+      SELECT COUNT(*) as count FROM newsletter_subscribers WHERE status = 'confirmed'
+    `).first();
+
+    if (!recipients) {
+      return new Response(JSON.stringify({ error: 'There are no confirmed subscribers to send to' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const rendered = await renderNewsletterIssue(env, {
+      subject: issue.subject,
+      introMarkdown: issue.intro_markdown,
+      postIds: JSON.parse(issue.post_ids || '[]')
+    });
+
+    // The status flip doubles as a lock against a second click on "Send"
+    const started = await env.DB.prepare(`
+      UPDATE newsletter_issues
+      SET status = 'sending', html_body = ?, text_body = ?, send_started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'draft'
+    `).bind(rendered.html, rendered.text, issueId).run();
+
+    if (!started.meta.changes) {
+      return new Response(JSON.stringify({ error: 'This issue has already been sent' }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    try {
+      await env.DB.batch([
+        env.DB.prepare(`
+          INSERT OR IGNORE INTO newsletter_deliveries (issue_id, subscriber_id, email)
+          SELECT ?, id, email FROM newsletter_subscribers WHERE status = 'confirmed'
+        `).bind(issueId),
+        env.DB.prepare(`
+          UPDATE newsletter_issues
+          SET recipient_count = (SELECT COUNT(*) FROM newsletter_deliveries WHERE issue_id = ?)
+          WHERE id = ?
+        `).bind(issueId, issueId)
+      ]);
+    } catch (error) {
+      await env.DB.prepare(`UPDATE newsletter_issues SET status = 'draft' WHERE id = ?`).bind(issueId).run();
+      throw error;
+    }
+
+    // Start on the first batch now; the cron trigger picks up the rest
+    if (ctx) {
+      ctx.waitUntil(processNewsletterQueue(env));
+    }
+
+    return new Response(JSON.stringify({ success: true, id: issueId, recipients }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error sending newsletter issue:', error);
+    return new Response(JSON.stringify({ error: 'Failed to send newsletter issue', message: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleGetNewsletterDeliveries(request, env) {
+  try {
+    const url = new URL(request.url);
+    const issueId = getNewsletterIssueIdFromPath(request);
+    const status = url.searchParams.get('status');
+
+    let query = `
+      SELECT id, email, status, error, sent_at, opened_at, open_count, clicked_at, click_count
+      FROM newsletter_deliveries
+      WHERE issue_id = ?
+    `;
+    const params = [issueId];
+
+    if (NEWSLETTER_DELIVERY_STATUSES.includes(status)) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY id LIMIT 500';
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return new Response(JSON.stringify({ success: true, data: results }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching newsletter deliveries:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch deliveries' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleNewsletterOpen(request, env) {
+  try {
+    const payload = await verifySignedToken(env, new URL(request.url).searchParams.get('t'), 'newsletter-open');
+    if (payload) {
+      await env.DB.prepare(`
+        UPDATE newsletter_deliveries
+        SET open_count = open_count + 1, opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+        WHERE id = ?
+      `).bind(payload.did).run();
+    }
+  } catch (error) {
+    console.error('Newsletter open tracking error:', error);
+  }
+
+  // Always answer with the pixel so mail clients never show a broken image
+  return new Response(NEWSLETTER_PIXEL, {
+    status: 200,
+    headers: { 'Content-Type': 'image/gif', 'Cache-Control': 'no-store, private' },
+  });
+}
+
+async function handleNewsletterClick(request, env) {
+  const payload = await verifySignedToken(env, new URL(request.url).searchParams.get('t'), 'newsletter-click');
+
+  // The destination is part of the signed payload, so this can't be used as an open redirect
+  if (!payload || !/^https?:\/\//.test(payload.url || '')) {
+    return new Response(null, { status: 302, headers: { 'Location': `${SITE_URL}/` } });
+  }
+
+  try {
+    // A click proves the email was opened even when images are blocked
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE newsletter_deliveries
+        SET click_count = click_count + 1, clicked_at = COALESCE(clicked_at, CURRENT_TIMESTAMP),
+            opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+        WHERE id = ?
+      `).bind(payload.did),
+      env.DB.prepare(`
+        INSERT INTO newsletter_clicks (issue_id, delivery_id, url)
+        SELECT issue_id, id, ? FROM newsletter_deliveries WHERE id = ?
+      `).bind(payload.url, payload.did)
+    ]);
+  } catch (error) {
+    console.error('Newsletter click tracking error:', error);
+  }
+
+  return new Response(null, { status: 302, headers: { 'Location': payload.url } });
+}
+
+async function processNewsletterQueue(env) {
+  const result = { sent: 0, failed: 0, bounced: 0 };
+
+  try {
+    // Claim a batch up front so overlapping runs never mail the same recipient twice
+    const { results: batch } = await env.DB.prepare(`
+      UPDATE newsletter_deliveries
+      SET claimed_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT d.id FROM newsletter_deliveries d
+        JOIN newsletter_issues i ON i.id = d.issue_id
+        WHERE d.status = 'queued' AND i.status = 'sending'
+          AND (d.claimed_at IS NULL OR d.claimed_at < datetime('now', ?))
+        ORDER BY d.id
+        LIMIT ?
+      )
+      RETURNING id, issue_id, subscriber_id, email
+    `).bind(`-${NEWSLETTER_CLAIM_TIMEOUT_MINUTES} minutes`, NEWSLETTER_BATCH_SIZE).all();
+
+    if (batch.length) {
+      const placeholders = batch.map(() => '?').join(', ');
+      const { results: active } = await env.DB.prepare(`
+        SELECT d.id FROM newsletter_deliveries d
+        JOIN newsletter_subscribers s ON s.id = d.subscriber_id
+        WHERE d.id IN (${placeholders}) AND s.status = 'confirmed'
+      `).bind(...batch.map(delivery => delivery.id)).all();
+      const activeIds = new Set(active.map(row => row.id));
+      const issues = new Map();
+
+      for (const delivery of batch) {
+        if (!activeIds.has(delivery.id)) {
+          await markNewsletterDelivery(env, delivery.id, 'failed', 'Unsubscribed before this issue was sent');
+          result.failed++;
+          continue;
+        }
+
+        if (!issues.has(delivery.issue_id)) {
+          issues.set(delivery.issue_id, await env.DB.prepare(`
+            SELECT id, subject, html_body, text_body FROM newsletter_issues WHERE id = ?
+          `).bind(delivery.issue_id).first());
+        }
+
+        try {
+          await sendMail(env, await buildNewsletterMail(env, issues.get(delivery.issue_id), delivery));
+          await markNewsletterDelivery(env, delivery.id, 'sent');
+          result.sent++;
+        } catch (error) {
+          const status = error.bounced ? 'bounced' : 'failed';
+          await markNewsletterDelivery(env, delivery.id, status, String(error.message).slice(0, 500));
+          if (error.bounced) {
+            await env.DB.prepare(`
+              UPDATE newsletter_subscribers SET status = 'bounced', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).bind(delivery.subscriber_id).run();
+          }
+          result[status]++;
+        }
+      }
+
+      console.log('Newsletter batch:', result);
+    }
+
+    await env.DB.prepare(`
+      UPDATE newsletter_issues
+      SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sending'
+        AND NOT EXISTS (SELECT 1 FROM newsletter_deliveries WHERE issue_id = newsletter_issues.id AND status = 'queued')
+    `).run();
+
+    return result;
+  } catch (error) {
+    console.error('Newsletter queue error:', error);
+    return { ...result, error: error.message };
+  }
+}
+
+async function markNewsletterDelivery(env, deliveryId, status, errorMessage = null) {
+  await env.DB.prepare(`
+    UPDATE newsletter_deliveries
+    SET status = ?, error = ?, sent_at = CASE WHEN ? = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+    WHERE id = ?
+  `).bind(status, errorMessage, status, deliveryId).run();
+}
+
+async function buildNewsletterMail(env, issue, delivery) {
+  const unsubscribeUrl = await getNewsletterUnsubscribeUrl(env, delivery.subscriber_id);
+  const openToken = await createSignedToken(env, { purpose: 'newsletter-open', did: delivery.id });
+  const html = await trackNewsletterLinks(env, issue.html_body, delivery.id);
+
+  return {
+    to: delivery.email,
+    subject: issue.subject,
+    category: 'newsletter',
+    html: fillNewsletterPlaceholders(html, {
+      unsubscribeUrl,
+      openPixelUrl: `${SITE_URL}/api/newsletter/open?t=${openToken}`
+    }),
+    text: fillNewsletterPlaceholders(issue.text_body, { unsubscribeUrl }),
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+async function getNewsletterUnsubscribeUrl(env, subscriberId) {
+  const token = await createSignedToken(env, { purpose: 'newsletter-unsubscribe', sid: subscriberId });
+  return `${SITE_URL}/api/newsletter/unsubscribe?token=${token}`;
+}
+
+// Routes every link through /api/newsletter/click. The unsubscribe link is
+// still a placeholder at this point, so it is never tracked.
+async function trackNewsletterLinks(env, html, deliveryId) {
+  const hrefPattern = /href="(https?:\/\/[^"]+)"/g;
+  const tracked = new Map();
+
+  for (const [, href] of html.matchAll(hrefPattern)) {
+    if (!tracked.has(href)) {
+      const token = await createSignedToken(env, { purpose: 'newsletter-click', did: deliveryId, url: decodeHtmlEntities(href) });
+      tracked.set(href, `${SITE_URL}/api/newsletter/click?t=${token}`);
+    }
+  }
+
+  return html.replace(hrefPattern, (match, href) => `href="${tracked.get(href)}"`);
+}
+
+function fillNewsletterPlaceholders(content, { unsubscribeUrl, openPixelUrl = null }) {
+  return content
+    .replaceAll('{{unsubscribe_url}}', unsubscribeUrl)
+    .replaceAll('{{open_pixel}}', openPixelUrl
+      ? `<img src="${openPixelUrl}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;">`
+      : '');
+}
+
+async function renderNewsletterIssue(env, { subject, introMarkdown, postIds }) {
+  const posts = await loadNewsletterPosts(env, postIds);
+  const introHtml = introMarkdown ? renderMarkdown(introMarkdown) : '';
+
+  const cards = posts.map(post => {
+    const url = `${SITE_URL}/blog/${post.slug}`;
+    const tier = getPostAccessTier(post);
+    const label = [post.category, tier !== 'public' ? `${ACCESS_TIER_LABELS[tier]} only` : null].filter(Boolean).join(' · ');
+    return `
+        <tr><td style="padding:0 0 16px;">
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#1f1f1f;border:1px solid #4d2d00;border-radius:12px;">
+            <tr><td style="padding:20px 24px;">
+              ${label ? `<p style="margin:0 0 6px;color:#FFD700;font-size:12px;letter-spacing:1px;text-transform:uppercase;">${escapeHtml(label)}</p>` : ''}
+              <h2 style="margin:0 0 10px;font-size:20px;line-height:1.3;"><a href="${escapeHtml(url)}" style="color:#FF9500;text-decoration:none;">${escapeHtml(post.title)}</a></h2>
+              ${post.excerpt ? `<p style="margin:0 0 14px;color:#cccccc;font-size:15px;line-height:1.6;">${escapeHtml(post.excerpt)}</p>` : ''}
+              <a href="${escapeHtml(url)}" style="color:#00BFFF;font-weight:600;text-decoration:none;">Read the full story &rarr;</a>
+            </td></tr>
+          </table>
+        </td></tr>`;
+  }).join('');
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:#000000;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#000000;">
+      <tr><td align="center" style="padding:24px 12px;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;font-family:Helvetica,Arial,sans-serif;color:#ffffff;">
+        <tr><td style="padding:8px 0 24px;text-align:center;">
+          <a href="${SITE_URL}/" style="color:#FF9500;font-size:22px;font-weight:700;letter-spacing:2px;text-decoration:none;">${SITE_NAME.toUpperCase()}</a>
+        </td></tr>
+        ${introHtml ? `<tr><td style="padding:0 0 24px;color:#e6e6e6;font-size:16px;line-height:1.6;">${introHtml}</td></tr>` : ''}
+        ${cards}
+        <tr><td style="padding:24px 0 0;border-top:1px solid #333333;text-align:center;color:#888888;font-size:12px;line-height:1.6;">
+          You're receiving this because you subscribed to underground intel from ${SITE_NAME}.<br>
+          <a href="{{unsubscribe_url}}" style="color:#888888;">Unsubscribe</a>
+        </td></tr>
+        </table>
+      </td></tr>
+    </table>
+    {{open_pixel}}
+</body>
+</html>`;
+
+  const text = [
+    introMarkdown,
+    ...posts.map(post => [post.title, post.excerpt, `${SITE_URL}/blog/${post.slug}`].filter(Boolean).join('\n')),
+    `--\nYou're receiving this because you subscribed to ${SITE_NAME}.\nUnsubscribe: {{unsubscribe_url}}`
+  ].filter(Boolean).join('\n\n');
+
+  return { html, text, posts };
+}
+
+// Published posts in the order the editor picked them; missing or
+// unpublished ones are dropped
+async function loadNewsletterPosts(env, postIds) {
+  if (!postIds.length) return [];
+
+  const { results } = await env.DB.prepare(`
+    SELECT id, slug, title, description, category, requires_auth, access_tier, preview_content
+    FROM blog_posts
+    WHERE id IN (${postIds.map(() => '?').join(', ')}) AND status = 'published' AND deleted_at IS NULL
+  `).bind(...postIds).all();
+
+  return postIds
+    .map(id => results.find(post => post.id === id))
+    .filter(Boolean)
+    .map(post => {
+      const preview = htmlToSearchText(post.preview_content);
+      return {
+        ...post,
+        excerpt: post.description || (preview.length > 280 ? `${preview.slice(0, 277).trimEnd()}...` : preview)
+      };
+    });
+}
+
+function parseNewsletterIssueInput(body) {
+  const subject = String(body.subject || '').trim();
+  const introMarkdown = String(body.intro || '').trim();
+  const postIds = Array.isArray(body.postIds)
+    ? [...new Set(body.postIds.map(id => parseInt(id)).filter(id => Number.isInteger(id) && id > 0))]
+    : [];
+
+  if (!subject || subject.length > 200) {
+    return { error: 'Subject is required (max 200 characters)', field: 'subject' };
+  }
+  if (postIds.length > NEWSLETTER_MAX_POSTS) {
+    return { error: `Pick at most ${NEWSLETTER_MAX_POSTS} posts`, field: 'postIds' };
+  }
+  if (!introMarkdown && !postIds.length) {
+    return { error: 'Write an intro or pick at least one post', field: 'intro' };
+  }
+
+  return { subject, introMarkdown, postIds };
+}
+
+function formatNewsletterIssue(row) {
+  const { post_ids: postIds, ...issue } = row;
+  return { ...issue, postIds: JSON.parse(postIds || '[]') };
+}
+
+async function newsletterIssueNotDraftResponse(env, issueId, message) {
+  const exists = issueId && await env.DB.prepare('SELECT id FROM newsletter_issues WHERE id = ?').bind(issueId).first();
+  return new Response(JSON.stringify({ error: exists ? message : 'Newsletter issue not found' }), {
+    status: exists ? 409 : 404,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  });
+}
+
+/**
+ * Transactional Emails
+ * Access-request lifecycle emails. Bodies are Markdown with {{placeholders}};
+ * admins can override the defaults below from the dashboard.
+ */
+const EMAIL_TEMPLATE_DEFAULTS = {
+  'access-received': {
+    label: 'Request received',
+    description: 'Sent as soon as someone submits the access request form.',
+    subject: 'We received your {{siteName}} access request',
+    body: `Hi {{name}},
+
+Thanks for requesting access to the {{siteName}}. Your request is in the queue and will be reviewed by a real person, usually within a few days.
+
+We'll email you again as soon as it has been reviewed, so there's no need to send it twice.`
+  },
+  'access-approved': {
+    label: 'Request approved',
+    description: 'Sent when an admin approves a request.',
+    subject: "You're in: your {{siteName}} access is approved",
+    body: `Hi {{name}},
+
+Good news: your access request has been approved.
+
+Your member account is **{{username}}**. [Set your password]({{inviteUrl}}) to activate it; the link works once and expires after 7 days.
+
+After that, log in at [the portal]({{loginUrl}}) with your username or email address ({{email}}).
+
+See you in the underground.`
+  },
+  'access-rejected': {
+    label: 'Request rejected',
+    description: 'Sent when an admin rejects a request.',
+    subject: 'Your {{siteName}} access request',
+    body: `Hi {{name}},
+
+Thanks for your interest in the {{siteName}}. Unfortunately we can't approve your access request at this time.
+
+Our public stories stay open to everyone at {{siteUrl}}/blog.`
+  }
+};
+
+const EMAIL_TEMPLATE_PLACEHOLDERS = ['name', 'email', 'siteName', 'siteUrl', 'loginUrl', 'username', 'inviteUrl', 'requestId', 'notes'];
+
+async function handleGetEmailTemplates(request, env) {
+  try {
+    const { results } = await env.DB.prepare('SELECT key, subject, body, updated_by, updated_at FROM email_templates').all();
+
+    const data = Object.entries(EMAIL_TEMPLATE_DEFAULTS).map(([key, defaults]) => {
+      const custom = results.find(row => row.key === key);
+      return {
+        key,
+        label: defaults.label,
+        description: defaults.description,
+        subject: custom ? custom.subject : defaults.subject,
+        body: custom ? custom.body : defaults.body,
+        isCustomized: Boolean(custom),
+        updated_by: custom?.updated_by || null,
+        updated_at: custom?.updated_at || null
+      };
+    });
+
+    return new Response(JSON.stringify({ success: true, data, placeholders: EMAIL_TEMPLATE_PLACEHOLDERS }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch email templates' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleUpdateEmailTemplate(request, env, adminUser) {
+  try {
+    const key = getEmailTemplateKeyFromPath(request);
+    const body = await request.json();
+    const subject = String(body.subject || '').trim();
+    const templateBody = String(body.body || '').trim();
+
+    if (!key) {
+      return new Response(JSON.stringify({ error: 'Email template not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (!subject || subject.length > 200) {
+      return new Response(JSON.stringify({ error: 'Subject is required (max 200 characters)', field: 'subject' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (!templateBody || templateBody.length > 10000) {
+      return new Response(JSON.stringify({ error: 'Body is required (max 10000 characters)', field: 'body' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    await env.DB.prepare(`
+      INSERT INTO email_templates (key, subject, body, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (key) DO UPDATE SET
+        subject = excluded.subject, body = excluded.body,
+        updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+    `).bind(key, subject, templateBody, adminUser?.username || null).run();
+
+    return new Response(JSON.stringify({ success: true, key }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error updating email template:', error);
+    return new Response(JSON.stringify({ error: 'Failed to update email template' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Drops the override so the template falls back to its default
+async function handleResetEmailTemplate(request, env) {
+  try {
+    const key = getEmailTemplateKeyFromPath(request);
+
+    if (!key) {
+      return new Response(JSON.stringify({ error: 'Email template not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    await env.DB.prepare('DELETE FROM email_templates WHERE key = ?').bind(key).run();
+
+    return new Response(JSON.stringify({ success: true, key }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    return new Response(JSON.stringify({ error: 'Failed to reset email template' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+async function handleGetEmailLog(request, env) {
+  try {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+    const requestId = parseInt(url.searchParams.get('requestId'));
+
+    let query = `
+      SELECT l.id, l.template_key, l.access_request_id, l.to_address, l.subject, l.status,
+             l.transport, l.error, l.created_at, r.full_name
+      FROM email_log l
+      LEFT JOIN access_requests r ON r.id = l.access_request_id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (status === 'sent' || status === 'failed') {
+      query += ' AND l.status = ?';
+      params.push(status);
+    }
+
+    if (requestId > 0) {
+      query += ' AND l.access_request_id = ?';
+      params.push(requestId);
+    }
+
+    query += ' ORDER BY l.created_at DESC, l.id DESC LIMIT 200';
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return new Response(JSON.stringify({ success: true, data: results }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error fetching email log:', error);
+    return new Response(JSON.stringify({ error: 'Failed to fetch email log' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Sends the same template again with the current wording, e.g. after fixing SMTP settings
+async function handleResendEmail(request, env) {
+  try {
+    const logId = parseInt(new URL(request.url).pathname.split('/')[4]);
+    const entry = Number.isInteger(logId) && await env.DB.prepare(`
+      SELECT l.template_key, r.id, r.full_name, r.email, r.notes,
+             m.id AS member_id, m.username, m.password_hash IS NOT NULL AS has_password
+      FROM email_log l
+      JOIN access_requests r ON r.id = l.access_request_id
+      LEFT JOIN members m ON m.access_request_id = r.id
+      WHERE l.id = ?
+    `).bind(logId).first();
+
+    if (!entry || !EMAIL_TEMPLATE_DEFAULTS[entry.template_key]) {
+      return new Response(JSON.stringify({ error: 'Email not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // The original invitation link is never stored, so a resent approval
+    // carries a fresh one (which retires the old link)
+    if (entry.template_key === 'access-approved' && entry.member_id && !entry.has_password) {
+      entry.invite_url = await issueMemberInvitation(env, entry.member_id, entry.id);
+    }
+
+    const sent = await sendAccessRequestEmail(env, entry.template_key, entry);
+
+    return new Response(JSON.stringify({ success: sent }), {
+      status: sent ? 200 : 502,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+
+  } catch (error) {
+    console.error('Error resending email:', error);
+    return new Response(JSON.stringify({ error: 'Failed to resend email' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
+}
+
+// Renders and sends one lifecycle email, logging the attempt. Never throws:
+// a mail outage must not fail the request that triggered it.
+async function sendAccessRequestEmail(env, templateKey, accessRequest) {
+  const log = { subject: null, transport: env.MAIL_TRANSPORT || 'outbox' };
+
+  try {
+    const template = await getEmailTemplate(env, templateKey);
+    const rendered = renderEmailTemplate(template, {
+      name: accessRequest.full_name,
+      email: accessRequest.email,
+      siteName: SITE_NAME,
+      siteUrl: SITE_URL,
+      loginUrl: `${SITE_URL}/?focus=login&returnTo=/blog`,
+      username: accessRequest.username || accessRequest.email,
+      // Accounts that already have a password just log in as usual
+      inviteUrl: accessRequest.invite_url || `${SITE_URL}/?focus=login&returnTo=/blog`,
+      requestId: accessRequest.id,
+      notes: accessRequest.notes || ''
+    });
+    log.subject = rendered.subject;
+
+    const result = await sendMail(env, {
+      to: accessRequest.email,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      category: templateKey
+    });
+    log.transport = result.transport;
+
+    await logEmailAttempt(env, templateKey, accessRequest, log, 'sent');
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${templateKey} email:`, error);
+    await logEmailAttempt(env, templateKey, accessRequest, log, 'failed', String(error.message).slice(0, 500))
+      .catch(logError => console.error('Error logging email attempt:', logError));
+    return false;
+  }
+}
+
+async function logEmailAttempt(env, templateKey, accessRequest, log, status, errorMessage = null) {
+  await env.DB.prepare(`
+    INSERT INTO email_log (template_key, access_request_id, to_address, subject, status, transport, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(templateKey, accessRequest.id, accessRequest.email, log.subject, status, log.transport, errorMessage).run();
+}
+
+async function getEmailTemplate(env, key) {
+  const custom = await env.DB.prepare('SELECT subject, body FROM email_templates WHERE key = ?').bind(key).first();
+  return custom || EMAIL_TEMPLATE_DEFAULTS[key];
+}
+
+// Placeholders are filled after Markdown rendering so values are escaped
+// once for HTML and never interpreted as Markdown. Unknown ones are left as-is.
+function renderEmailTemplate(template, values) {
+  const fill = (content, escape) => content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.hasOwn(values, name) ? escape(String(values[name] ?? '')) : match);
+
+  return {
+    subject: fill(template.subject, value => value).replace(/[\r\n]+/g, ' '),
+    text: fill(template.body, value => value),
+    html: fill(renderMarkdown(template.body), escapeHtml)
+  };
+}
+
+function getEmailTemplateKeyFromPath(request) {
+  const key = decodeURIComponent(new URL(request.url).pathname.split('/')[4] || '');
+  return Object.hasOwn(EMAIL_TEMPLATE_DEFAULTS, key) ? key : null;
+}
+
+/**
+ * Mail Transport
+ * MAIL_TRANSPORT selects the implementation: "outbox" (default, stores
+ * messages in mail_outbox for local development) or "smtp".
+ */
+const MAIL_TRANSPORTS = {
+  outbox: sendMailToOutbox,
+  smtp: sendMailViaSmtp
+};
+
+async function sendMail(env, message) {
+  const transportName = env.MAIL_TRANSPORT || 'outbox';
+  const transport = MAIL_TRANSPORTS[transportName];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+  }
+
+  const mail = {
+    from: env.MAIL_FROM || `${SITE_NAME} <no-reply@ifitaintdutchitaintmuch.com>`,
+    headers: {},
+    ...message
+  };
+
+  // Addresses and headers end up on SMTP command lines; a line break in any
+  // of them could smuggle in extra commands or headers
+  const singleLineFields = [mail.from, mail.to, mail.subject, ...Object.entries(mail.headers).flat()];
+  if (singleLineFields.some(value => /[\r\n]/.test(String(value ?? '')))) {
+    throw new Error('Mail addresses and headers must not contain line breaks');
+  }
+
+  await transport(env, mail);
+  return { transport: transportName };
+}
+
+async function sendMailToOutbox(env, mail) {
+  await env.DB.prepare(`
+    INSERT INTO mail_outbox (to_address, subject, text_body, html_body, headers, category)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(mail.to, mail.subject, mail.text || null, mail.html || null, JSON.stringify(mail.headers), mail.category || null).run();
+}
+
+// Minimal SMTP client over Workers TCP sockets. Port 465 uses implicit TLS,
+// anything else upgrades with STARTTLS.
+async function sendMailViaSmtp(env, mail) {
+  if (!env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  const { connect } = await import('cloudflare:sockets');
+  const port = parseInt(env.SMTP_PORT) || 587;
+  const implicitTls = port === 465;
+  const heloName = new URL(SITE_URL).hostname;
+
+  let socket = connect({ hostname: env.SMTP_HOST, port }, { secureTransport: implicitTls ? 'on' : 'starttls' });
+  let smtp = createSmtpConversation(socket);
+
+  try {
+    await smtp.expect(220);
+    await smtp.command(`EHLO ${heloName}`, 250);
+
+    if (!implicitTls) {
+      await smtp.command('STARTTLS', 220);
+      smtp.release();
+      socket = socket.startTls();
+      smtp = createSmtpConversation(socket);
+      await smtp.command(`EHLO ${heloName}`, 250);
+    }
 
-        async function loadDashboardData() {
-            try {
-                // Load stats
-                const statsResponse = await fetch('/api/admin/stats', {
-                    headers: { 'X-Session-Token': sessionToken }
-                });
-                
-                if (statsResponse.ok) {
-                    const stats = await statsResponse.json();
-                    document.getElementById('totalRequests').textContent = stats.total || 0;
-                    document.getElementById('pendingRequests').textContent = stats.pending || 0;
-                }
-                
-                // Load blog stats
-                const blogsResponse = await fetch('/api/admin/blogs?limit=1000', {
-                    headers: { 'X-Session-Token': sessionToken }
-                });
-                
-                if (blogsResponse.ok) {
-                    const blogs = await blogsResponse.json();
-                    const total = blogs.data?.length || 0;
-                    const published = blogs.data?.filter(b => b.status === 'published').length || 0;
-                    
-                    document.getElementById('totalBlogs').textContent = total;
-                    document.getElementById('publishedBlogs').textContent = published;
-                }
-            } catch (error) {
-                console.error('Error loading dashboard data:', error);
-            }
-        }
+    if (env.SMTP_USERNAME) {
+      const credentials = encodeBase64(`\u0000${env.SMTP_USERNAME}\u0000${env.SMTP_PASSWORD || ''}`);
+      await smtp.command(`AUTH PLAIN ${credentials}`, 235);
+    }
 
-        async function loadBlogs() {
-            const blogsList = document.getElementById('blogsList');
-            blogsList.innerHTML = '<div style="text-align: center; padding: 2rem;">Loading blogs...</div>';
-            
-            try {
-                const response = await fetch('/api/admin/blogs', {
-                    headers: { 'X-Session-Token': sessionToken }
-                });
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    displayBlogs(data.data || []);
-                } else {
-                    blogsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading blogs</div>';
-                }
-            } catch (error) {
-                blogsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading blogs</div>';
-            }
-        }
+    await smtp.command(`MAIL FROM:<${extractEmailAddress(mail.from)}>`, 250);
+    await smtp.command(`RCPT TO:<${extractEmailAddress(mail.to)}>`, [250, 251]).catch(error => {
+      // A permanent rejection of the recipient is a bounce; anything else may be retried
+      error.bounced = error.smtpCode >= 500;
+      throw error;
+    });
+    await smtp.command('DATA', 354);
+    await smtp.command(`${buildMimeMessage(mail)}\r\n.`, 250);
+    await smtp.command('QUIT', 221).catch(() => {});
+  } finally {
+    smtp.release();
+    await socket.close().catch(() => {});
+  }
+}
 
-        function displayBlogs(blogs) {
-            const blogsList = document.getElementById('blogsList');
-            
-            if (blogs.length === 0) {
-                blogsList.innerHTML = \`
-                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
-                        <h3 style="color: #FF9500; margin-bottom: 1rem;">No blog posts yet</h3>
-                        <p>Create your first blog post to get started with the Dutch mystery content!</p>
-                    </div>
-                \`;
-                return;
-            }
-            
-            blogsList.innerHTML = blogs.map(blog => \`
-                <div class="blog-item">
-                    <div class="blog-title">\${blog.title}</div>
-                    <div class="blog-meta">
-                        <strong>Slug:</strong> /blog/\${blog.slug} | 
-                        <strong>Status:</strong> \${blog.status} | 
-                        <strong>Category:</strong> \${blog.category} |
-                        <strong>Preview:</strong> \${blog.is_public_preview ? 'Yes' : 'No'}
-                        \${blog.published_at ? \` | <strong>Published:</strong> \${new Date(blog.published_at).toLocaleDateString()}\` : ''}
-                    </div>
-                    <p style="color: rgba(255, 255, 255, 0.8); margin-bottom: 1rem;">\${blog.description || 'No description'}</p>
-                    <div class="blog-actions">
-                        <button onclick="viewBlog('\${blog.slug}')" class="btn btn-small btn-secondary">View</button>
-                        <button onclick="editBlog(\${blog.id})" class="btn btn-small">Edit</button>
-                        <button onclick="toggleStatus(\${blog.id}, '\${blog.status}')" class="btn btn-small">\${blog.status === 'published' ? 'Draft' : 'Publish'}</button>
-                    </div>
-                </div>
-            \`).join('');
-        }
+function createSmtpConversation(socket) {
+  const reader = socket.readable.getReader();
+  const writer = socket.writable.getWriter();
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buffer = '';
 
-        async function loadRequests() {
-            const requestsList = document.getElementById('requestsList');
-            requestsList.innerHTML = '<div style="text-align: center; padding: 2rem;">Loading access requests...</div>';
-            
-            try {
-                const response = await fetch('/api/admin/requests', {
-                    headers: { 'X-Session-Token': sessionToken }
-                });
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    displayRequests(data.data || []);
-                } else {
-                    requestsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading requests</div>';
-                }
-            } catch (error) {
-                requestsList.innerHTML = '<div style="text-align: center; padding: 2rem; color: #ff6b6b;">Error loading requests</div>';
-            }
-        }
+  // Replies can span several lines ("250-..."); the last one has a space after the code
+  async function readReply() {
+    while (true) {
+      const lines = buffer.split('\r\n');
+      const endIndex = lines.findIndex((line, index) => index < lines.length - 1 && /^\d{3} /.test(line));
+      if (endIndex !== -1) {
+        buffer = lines.slice(endIndex + 1).join('\r\n');
+        return { code: parseInt(lines[endIndex].slice(0, 3)), text: lines.slice(0, endIndex + 1).join('\n') };
+      }
 
-        function displayRequests(requests) {
-            const requestsList = document.getElementById('requestsList');
-            
-            if (requests.length === 0) {
-                requestsList.innerHTML = \`
-                    <div style="text-align: center; padding: 3rem; color: rgba(255, 255, 255, 0.6);">
-                        <h3 style="color: #FF9500; margin-bottom: 1rem;">No access requests yet</h3>
-                        <p>Access requests will appear here when users submit them through your portal.</p>
-                    </div>
-                \`;
-                return;
-            }
-            
-            requestsList.innerHTML = requests.map(request => \`
-                <div class="blog-item">
-                    <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 1rem;">
-                        <div>
-                            <div class="blog-title">\${request.full_name}</div>
-                            <div class="blog-meta">
-                                <strong>Email:</strong> \${request.email} | 
-                                <strong>Phone:</strong> \${request.phone} | 
-                                <strong>Country:</strong> \${request.country}
-                            </div>
-                        </div>
-                        <div style="padding: 0.3rem 0.8rem; border-radius: 15px; font-size: 0.8rem; font-weight: 600; background: \${request.status === 'pending' ? 'rgba(255, 193, 7, 0.2)' : request.status === 'approved' ? 'rgba(40, 167, 69, 0.2)' : 'rgba(220, 53, 69, 0.2)'}; color: \${request.status === 'pending' ? '#FFC107' : request.status === 'approved' ? '#28A745' : '#DC3545'};">
-                            \${request.status.toUpperCase()}
-                        </div>
-                    </div>
-                    <div style="font-size: 0.9rem; color: rgba(255, 255, 255, 0.6); margin-bottom: 1rem;">
-                        Submitted: \${new Date(request.created_at).toLocaleString()}
-                    </div>
-                    <div class="blog-actions">
-                        <button onclick="updateRequestStatus(\${request.id}, 'approved')" class="btn btn-small" style="background: rgba(40, 167, 69, 0.2); color: #28A745; border: 1px solid #28A745;">Approve</button>
-                        <button onclick="updateRequestStatus(\${request.id}, 'rejected')" class="btn btn-small" style="background: rgba(220, 53, 69, 0.2); color: #DC3545; border: 1px solid #DC3545;">Reject</button>
-                    </div>
-                </div>
-            \`).join('');
-        }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('SMTP connection closed unexpectedly');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
 
-        function viewBlog(slug) {
-            window.open(\`/blog/\${slug}\`, '_blank');
-        }
+  async function expect(codes) {
+    const reply = await readReply();
+    if (![].concat(codes).includes(reply.code)) {
+      const error = new Error(`SMTP error: ${reply.text}`);
+      error.smtpCode = reply.code;
+      throw error;
+    }
+    return reply;
+  }
 
-        function editBlog(id) {
-            alert('Blog editing functionality: Create a form to edit content_html field in database. Coming in next update!');
-        }
+  return {
+    expect,
+    async command(line, codes) {
+      await writer.write(encoder.encode(`${line}\r\n`));
+      return expect(codes);
+    },
+    release() {
+      reader.releaseLock();
+      writer.releaseLock();
+    }
+  };
+}
 
-        function showCreateBlogForm() {
-            const slug = prompt('Enter blog slug (URL path, e.g., "my-new-blog"):');
-            if (!slug) return;
-            
-            const title = prompt('Enter blog title:');
-            if (!title) return;
-            
-            const description = prompt('Enter blog description (optional):') || '';
-            
-            // Create basic blog post
-            fetch('/api/admin/blogs', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Session-Token': sessionToken
-                },
-                body: JSON.stringify({
-                    slug: slug,
-                    title: title,
-                    description: description,
-                    category: 'general',
-                    status: 'draft'
-                })
-            })
-            .then(response => response.json())
-            .then(result => {
-                if (result.success) {
-                    alert('Blog post created successfully! Edit it to add content.');
-                    loadBlogs();
-                } else {
-                    alert('Error creating blog post: ' + (result.error || 'Unknown error'));
-                }
-            })
-            .catch(error => {
-                alert('Error creating blog post: ' + error.message);
-            });
-        }
+function buildMimeMessage(mail) {
+  const boundary = `dmp-${crypto.randomUUID()}`;
+  const domain = extractEmailAddress(mail.from).split('@')[1] || 'localhost';
+  const headers = {
+    'From': encodeAddressHeader(mail.from),
+    'To': encodeAddressHeader(mail.to),
+    'Subject': encodeMimeHeader(mail.subject),
+    'Date': new Date().toUTCString(),
+    'Message-ID': `<${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version': '1.0',
+    ...mail.headers,
+    'Content-Type': `multipart/alternative; boundary="${boundary}"`
+  };
 
-        async function updateRequestStatus(requestId, status) {
-            try {
-                const response = await fetch('/api/admin/requests/update-status', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Session-Token': sessionToken
-                    },
-                    body: JSON.stringify({
-                        requestId: requestId,
-                        status: status
-                    })
-                });
-                
-                if (response.ok) {
-                    alert(\`Request \${status} successfully!\`);
-                    loadRequests();
-                } else {
-                    alert('Error updating request status');
-                }
-            } catch (error) {
-                alert('Error updating request status: ' + error.message);
-            }
-        }
-    </script>
-</body>
-</html>`;
+  const part = (type, content) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBase64(content).replace(/.{1,76}/g, '$&\r\n').trimEnd()
+  ].join('\r\n');
+
+  return [
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    '',
+    part('text/plain', mail.text || ''),
+    part('text/html', mail.html || escapeHtml(mail.text || '')),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+function encodeMimeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${encodeBase64(value)}?=`;
+}
+
+function encodeAddressHeader(value) {
+  const match = String(value).match(/^(.*?)\s*<([^>]+)>$/);
+  return match && match[1] ? `${encodeMimeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>` : String(value);
+}
+
+function extractEmailAddress(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+/**
+ * Signed Links
+ * Tokens are base64url(JSON payload) + "." + base64url(HMAC-SHA256), keyed by
+ * the LINK_SIGNING_SECRET secret. Payloads carry a purpose so a token minted
+ * for one endpoint can't be replayed against another.
+ */
+async function createSignedToken(env, payload) {
+  const body = encodeBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  const key = await getLinkSigningKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return `${body}.${encodeBase64Url(new Uint8Array(signature))}`;
+}
+
+async function verifySignedToken(env, token, purpose) {
+  if (!token || typeof token !== 'string' || token.split('.').length !== 2) return null;
+
+  const [body, signature] = token.split('.');
+  try {
+    const key = await getLinkSigningKey(env);
+    const valid = await crypto.subtle.verify('HMAC', key, decodeBase64Url(signature), new TextEncoder().encode(body));
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(decodeBase64Url(body)));
+    if (payload.purpose !== purpose) return null;
+    if (payload.exp && Date.now() > payload.exp) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function getLinkSigningKey(env) {
+  if (!env.LINK_SIGNING_SECRET) {
+    throw new Error('LINK_SIGNING_SECRET is not configured');
+  }
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.LINK_SIGNING_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+function encodeBase64(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function encodeBase64Url(bytes) {
+  return encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Passwords
+ * Hashes are stored as "pbkdf2-sha256$<iterations>$<salt>$<hash>" (base64url)
+ * so the work factor can be raised later without invalidating old hashes.
+ */
+const PASSWORD_HASH_ALGORITHM = 'pbkdf2-sha256';
+const PASSWORD_HASH_ITERATIONS = 100000; // the Workers runtime caps PBKDF2 at 100k
+// Verified against when a login names an unknown account, to keep timing uniform
+const PASSWORD_TIMING_DUMMY = `${PASSWORD_HASH_ALGORITHM}$${PASSWORD_HASH_ITERATIONS}$AAAAAAAAAAAAAAAAAAAAAA$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA`;
+
+async function hashPassword(password, iterations = PASSWORD_HASH_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derivePasswordHash(password, salt, iterations);
+  return `${PASSWORD_HASH_ALGORITHM}$${iterations}$${encodeBase64Url(salt)}$${encodeBase64Url(hash)}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [algorithm, iterations, salt, hash] = String(stored || '').split('$');
+  if (algorithm !== PASSWORD_HASH_ALGORITHM || !salt || !hash) return false;
+
+  const derived = await derivePasswordHash(password, decodeBase64Url(salt), parseInt(iterations));
+  return timingSafeEqual(derived, decodeBase64Url(hash));
+}
+
+function isPasswordHash(stored) {
+  return String(stored || '').startsWith(`${PASSWORD_HASH_ALGORITHM}$`);
+}
+
+// True for plaintext values and for hashes made with fewer iterations than today
+function needsPasswordRehash(stored) {
+  if (!isPasswordHash(stored)) return true;
+  return parseInt(String(stored).split('$')[1]) < PASSWORD_HASH_ITERATIONS;
+}
+
+// Compares against a plaintext value left over from before hashing. Both sides
+// are digested first so the comparison is constant-time and length-blind, and
+// a dummy PBKDF2 run makes it cost the same as verifyPassword, so timing
+// doesn't reveal which accounts are still plaintext.
+async function verifyLegacyPassword(password, stored) {
+  const encoder = new TextEncoder();
+  const [given, expected] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(password)),
+    crypto.subtle.digest('SHA-256', encoder.encode(String(stored || ''))),
+    verifyPassword(password, PASSWORD_TIMING_DUMMY)
+  ]);
+  return timingSafeEqual(new Uint8Array(given), new Uint8Array(expected));
+}
+
+async function derivePasswordHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
 
-  return new Response(html, {
-    headers: { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders },
-  });
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
 }
 
 /**
- * Blog Management API
+ * Slugs and Redirects
  */
-async function handleGetBlogs(request, env) {
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SLUG_MAX_LENGTH = 100;
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+function validateSlug(slug) {
+  if (!slug) {
+    return 'Slug cannot be empty';
+  }
+  if (slug.length > SLUG_MAX_LENGTH) {
+    return `Slug must be at most ${SLUG_MAX_LENGTH} characters`;
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return `Slug may only contain lowercase letters, numbers and single hyphens (try "${slugify(slug)}")`;
+  }
+  return null;
+}
+
+// "ADE", "ade" and "A.D.E." all become "ade"; "Warehouse Parties" becomes "warehouse-parties"
+function normalizeTag(tag) {
+  return String(tag || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+// Rewrites stored tags and categories into exactly what normalizeTag produces,
+// which migration SQL can't reproduce. Rows are flagged once done.
+async function backfillNormalizedTags(env) {
   try {
-    const url = new URL(request.url);
-    const limit = parseInt(url.searchParams.get('limit')) || 50;
-    const offset = parseInt(url.searchParams.get('offset')) || 0;
-    const status = url.searchParams.get('status');
+    const { results } = await env.DB.prepare(`
+      SELECT id, tags, category FROM blog_posts
+      WHERE tags_normalized = 0
+      ORDER BY id
+      LIMIT ?
+    `).bind(TAG_BACKFILL_BATCH).all();
 
-    let query = 'SELECT id, slug, title, description, author, category, tags, status, requires_auth, is_public_preview, published_at, created_at, updated_at FROM blog_posts';
-    let params = [];
+    if (!results.length) return;
 
-    if (status) {
-      query += ' WHERE status = ?';
-      params.push(status);
-    }
+    await env.DB.batch(results.map(post => {
+      let tags = post.tags;
+      try {
+        tags = JSON.parse(post.tags || '[]');
+      } catch (error) {
+        // Legacy rows may hold a comma-separated string; normalizeTags splits it
+      }
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+      return env.DB.prepare(`
+        UPDATE blog_posts SET tags = ?, category = ?, tags_normalized = 1 WHERE id = ?
+      `).bind(JSON.stringify(normalizeTags(tags)), normalizeTag(post.category) || 'general', post.id);
+    }));
 
-    const { results } = await env.DB.prepare(query).bind(...params).all();
+    console.log('Tag normalization backfill:', { normalized: results.length });
+  } catch (error) {
+    console.error('Tag normalization backfill error:', error);
+  }
+}
+
+function tagLabel(tag) {
+  return String(tag || '').replace(/-/g, ' ');
+}
+
+async function findSlugOwner(env, slug, excludeId = null) {
+  return await env.DB.prepare(`
+    SELECT id, title, deleted_at FROM blog_posts WHERE slug = ? AND id != ?
+  `).bind(slug, excludeId || 0).first();
+}
+
+async function findAvailableSlug(env, base, excludeId = null) {
+  const { results } = await env.DB.prepare(`
+    SELECT slug FROM blog_posts WHERE (slug = ? OR slug LIKE ?) AND id != ?
+  `).bind(base, `${base}-%`, excludeId || 0).all();
+
+  const taken = new Set(results.map(row => row.slug));
+  if (!taken.has(base)) {
+    return base;
+  }
+
+  let counter = 2;
+  while (taken.has(`${base}-${counter}`)) {
+    counter++;
+  }
+  return `${base}-${counter}`;
+}
+
+// Returns a ready-made error response when the slug is malformed or taken, otherwise null
+async function checkSlugAvailable(env, slug, excludeId = null) {
+  const invalid = validateSlug(slug);
+  if (invalid) {
+    return new Response(JSON.stringify({ error: invalid, field: 'slug', suggestion: slugify(slug) || null }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+  }
 
+  const owner = await findSlugOwner(env, slug, excludeId);
+  if (owner) {
+    const suggestion = await findAvailableSlug(env, slug, excludeId);
     return new Response(JSON.stringify({
-      data: results,
-      pagination: { limit, offset }
+      error: `Slug "${slug}" is already used by "${owner.title}"${owner.deleted_at ? ' (in trash)' : ''}. Try "${suggestion}".`,
+      field: 'slug',
+      suggestion
     }), {
-      status: 200,
+      status: 409,
       headers: { 'Content-Type': 'application/json', ...corsHeaders },
     });
+  }
 
-  } catch (error) {
-    console.error('Error fetching blogs:', error);
-    return new Response(JSON.stringify({ error: 'Failed to fetch blogs' }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+  return null;
+}
+
+async function findBlogRedirect(env, path, search = '') {
+  try {
+    const fromPath = path.replace(/\/+$/, '') || '/';
+    const target = await env.DB.prepare(`
+      SELECT p.slug FROM blog_redirects r
+      JOIN blog_posts p ON p.id = r.blog_id
+      WHERE r.from_path = ? AND p.deleted_at IS NULL
+    `).bind(fromPath).first();
+
+    if (!target || `/blog/${target.slug}` === fromPath) {
+      return null;
+    }
+
+    return new Response(null, {
+      status: 301,
+      headers: {
+        'Location': `/blog/${target.slug}${search}`,
+        'Cache-Control': 'public, max-age=3600',
+        ...corsHeaders,
+      },
     });
+  } catch (error) {
+    console.error('Redirect lookup error:', error);
+    return null;
+  }
+}
+
+/**
+ * Scheduled Publishing
+ */
+// Parses publish_at / unpublish_at from a request body into ISO strings (null clears)
+function normalizeBlogSchedule(body) {
+  const schedule = {};
+
+  for (const field of ['publish_at', 'unpublish_at']) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] === null || body[field] === '') {
+      schedule[field] = null;
+      continue;
+    }
+
+    const date = new Date(body[field]);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${field} date` };
+    }
+    schedule[field] = date.toISOString();
+  }
+
+  if (schedule.publish_at && schedule.unpublish_at && schedule.unpublish_at <= schedule.publish_at) {
+    return { error: 'unpublish_at must be later than publish_at' };
   }
+
+  return schedule;
 }
 
-async function handleCreateBlog(request, env) {
+async function runScheduledPublishing(env) {
+  const now = new Date().toISOString();
+
   try {
-    const blog = await request.json();
-    
-    const result = await env.DB.prepare(`
-      INSERT INTO blog_posts (slug, title, description, author, category, tags, status, requires_auth, is_public_preview, published_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      blog.slug,
-      blog.title,
-      blog.description || '',
-      blog.author || 'Dutch Mystery Portal',
-      blog.category || 'general',
-      JSON.stringify(blog.tags || []),
-      blog.status || 'draft',
-      blog.requires_auth !== false ? 1 : 0,
-      blog.is_public_preview !== false ? 1 : 0,
-      blog.status === 'published' ? new Date().toISOString() : null
-    ).run();
+    const { results: due } = await env.DB.prepare(`
+      SELECT id FROM blog_posts
+      WHERE status = 'draft' AND deleted_at IS NULL
+        AND publish_at IS NOT NULL AND publish_at <= ?
+    `).bind(now).all();
 
-    return new Response(JSON.stringify({
-      success: true,
-      id: result.meta.last_row_id
-    }), {
-      status: 201,
+    const [published, unpublished] = await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE blog_posts
+        SET status = 'published',
+            published_at = COALESCE(published_at, publish_at),
+            publish_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'draft' AND deleted_at IS NULL
+          AND publish_at IS NOT NULL AND publish_at <= ?
+      `).bind(now),
+      env.DB.prepare(`
+        UPDATE blog_posts
+        SET status = 'draft',
+            unpublish_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'published' AND deleted_at IS NULL
+          AND unpublish_at IS NOT NULL AND unpublish_at <= ?
+      `).bind(now)
+    ]);
+
+    // Markdown pages embed the publish date, so re-render what just went live
+    for (const { id } of due) {
+      await renderBlogMarkdown(env, id);
+    }
+
+    const result = {
+      published: published.meta.changes || 0,
+      unpublished: unpublished.meta.changes || 0
+    };
+
+    if (result.published || result.unpublished) {
+      console.log('Scheduled publishing:', result);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Scheduled publishing error:', error);
+    return { published: 0, unpublished: 0, error: error.message };
+  }
+}
+
+/**
+ * Blog Revision History
+ */
+async function recordBlogRevision(env, blogId, adminUser, note = null) {
+  await prepareBlogRevision(env, blogId, adminUser, note).run();
+}
+
+// Snapshots the post's current row; with onlyIfFirst it does nothing once the
+// post has any revision. Returned unrun so callers can batch it with their edit.
+function prepareBlogRevision(env, blogId, adminUser, note = null, { onlyIfFirst = false } = {}) {
+  return env.DB.prepare(`
+    INSERT INTO blog_revisions (blog_id, title, description, content_html, preview_content, author, content_markdown, preview_markdown, edited_by, note)
+    SELECT id, title, description, content_html, preview_content, author, content_markdown, preview_markdown, ?, ?
+    FROM blog_posts
+    WHERE id = ?${onlyIfFirst ? ' AND NOT EXISTS (SELECT 1 FROM blog_revisions WHERE blog_id = blog_posts.id)' : ''}
+  `).bind(adminUser?.username || null, note, blogId);
+}
+
+async function handleBlogRevisions(request, env, adminUser) {
+  try {
+    const url = new URL(request.url);
+    const blogId = getBlogIdFromPath(request);
+    // /api/admin/blogs/:id/revisions[/:revisionId|/diff][/restore]
+    const [, , , , , , target, action] = url.pathname.split('/');
+
+    if (!blogId) {
+      return new Response(JSON.stringify({ error: 'Invalid blog ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (!target && request.method === 'GET') {
+      const { results } = await env.DB.prepare(`
+        SELECT id, blog_id, title, author, edited_by, note, created_at,
+               LENGTH(content_html) AS content_length, LENGTH(preview_content) AS preview_length
+        FROM blog_revisions
+        WHERE blog_id = ?
+        ORDER BY id DESC
+      `).bind(blogId).all();
+
+      return new Response(JSON.stringify({ data: results }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (target === 'diff' && request.method === 'GET') {
+      const fromId = parseInt(url.searchParams.get('from'));
+      const toId = parseInt(url.searchParams.get('to'));
+      const [from, to] = await Promise.all([
+        getBlogRevision(env, blogId, fromId),
+        getBlogRevision(env, blogId, toId)
+      ]);
+
+      if (!from || !to) {
+        return new Response(JSON.stringify({ error: 'Revision not found' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+
+      const fields = {};
+      for (const field of BLOG_REVISION_FIELDS) {
+        const changed = (from[field] || '') !== (to[field] || '');
+        fields[field] = {
+          changed,
+          diff: changed ? diffLines(from[field], to[field]) : []
+        };
+      }
+
+      return new Response(JSON.stringify({
+        from: { id: from.id, created_at: from.created_at, edited_by: from.edited_by },
+        to: { id: to.id, created_at: to.created_at, edited_by: to.edited_by },
+        fields
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    const revisionId = parseInt(target);
+    const revision = revisionId ? await getBlogRevision(env, blogId, revisionId) : null;
+
+    if (target && target !== 'diff' && !revision) {
+      return new Response(JSON.stringify({ error: 'Revision not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (revision && !action && request.method === 'GET') {
+      return new Response(JSON.stringify({ data: revision }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    if (revision && action === 'restore' && request.method === 'POST') {
+      const blog = await env.DB.prepare(`
+        SELECT id, deleted_at FROM blog_posts WHERE id = ?
+      `).bind(blogId).first();
+
+      if (!blog) {
+        return new Response(JSON.stringify({ error: 'Blog post not found' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+
+      if (blog.deleted_at) {
+        return new Response(JSON.stringify({ error: 'Blog post is in the trash. Restore it before rolling back.' }), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+
+      await env.DB.batch([
+        env.DB.prepare(`
+          UPDATE blog_posts
+          SET title = ?, description = ?, content_html = ?, preview_content = ?, author = ?,
+              content_markdown = ?, preview_markdown = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(
+          revision.title,
+          revision.description,
+          revision.content_html,
+          revision.preview_content,
+          revision.author,
+          revision.content_markdown,
+          revision.preview_markdown,
+          blogId
+        ),
+        prepareBlogRevision(env, blogId, adminUser, `Restored from revision #${revision.id}`)
+      ]);
+
+      await indexBlogPost(env, blogId);
+
+      return new Response(JSON.stringify({ success: true, id: blogId, restoredFrom: revision.id }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    return new Response(JSON.stringify({ error: 'Not Found' }), {
+      status: 404,
       headers: { 'Content-Type': 'application/json', ...corsHeaders },
     });
 
   } catch (error) {
-    console.error('Error creating blog:', error);
-    return new Response(JSON.stringify({ error: 'Failed to create blog: ' + error.message }), {
+    console.error('Blog revisions error:', error);
+    return new Response(JSON.stringify({ error: 'Failed to process revisions: ' + error.message }), {
       status: 500,
       headers: { 'Content-Type': 'application/json', ...corsHeaders },
     });
   }
 }
 
-async function handleUpdateBlog(request, env) {
-  return new Response(JSON.stringify({ error: 'Blog update not implemented yet' }), {
-    status: 501,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders },
-  });
+async function getBlogRevision(env, blogId, revisionId) {
+  if (!revisionId) return null;
+
+  return await env.DB.prepare(`
+    SELECT * FROM blog_revisions WHERE id = ? AND blog_id = ?
+  `).bind(revisionId, blogId).first();
 }
 
-async function handleDeleteBlog(request, env) {
-  return new Response(JSON.stringify({ error: 'Blog deletion not implemented yet' }), {
-    status: 501,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders },
-  });
+/**
+ * Line-based diff (Myers) between two texts. Long unchanged runs are
+ * collapsed into { type: 'skip', count } so large posts stay readable.
+ */
+function diffLines(oldText, newText, context = 3) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(line => ({ type: 'equal', line }))
+  ];
+
+  const collapsed = [];
+  let run = [];
+  const flushRun = (isEdge) => {
+    const keepHead = collapsed.length ? context : 0;
+    const keepTail = isEdge ? 0 : context;
+    if (run.length > keepHead + keepTail + 1) {
+      collapsed.push(...run.slice(0, keepHead));
+      collapsed.push({ type: 'skip', count: run.length - keepHead - keepTail });
+      collapsed.push(...run.slice(run.length - keepTail));
+    } else {
+      collapsed.push(...run);
+    }
+    run = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      run.push(op);
+    } else {
+      flushRun(false);
+      collapsed.push(op);
+    }
+  }
+  flushRun(true);
+
+  return collapsed;
+}
+
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+
+  if (max === 0) return [];
+
+  // Heavily rewritten content: skip the O(d²) trace and show a full replace
+  const maxEdits = 1000;
+  if (Math.abs(n - m) > maxEdits) {
+    return [...a.map(line => ({ type: 'remove', line })), ...b.map(line => ({ type: 'add', line }))];
+  }
+
+  const offset = max + 1;
+  const v = new Array(2 * max + 4).fill(0);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    if (d > maxEdits) {
+      return [...a.map(line => ({ type: 'remove', line })), ...b.map(line => ({ type: 'add', line }))];
+    }
+    // Only diagonals -d-1..d+1 are read back, so keep just that window
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const base = d + 1;
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[base + k - 1] < vd[base + k + 1])) ? k + 1 : k - 1;
+    const prevX = vd[base + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'add', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'remove', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
 }
 
 /**
  * Utility Functions
  */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Strip control characters that are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function absoluteSiteUrl(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, SITE_URL + '/');
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeHtmlEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// D1 CURRENT_TIMESTAMP values are UTC without a zone ("2025-10-01 12:00:00")
+function parseDbDate(value) {
+  if (!value) return null;
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value) ? value.replace(' ', 'T') + 'Z' : value;
+  const date = new Date(normalized);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function getCookieValue(request, name) {
+  const cookies = (request.headers.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+      return cookie.slice(separator + 1).trim();
+    }
+  }
+  return null;
+}
+
+function getBlogIdFromPath(request) {
+  const url = new URL(request.url);
+  const blogId = parseInt(url.pathname.split('/')[4]);
+  return Number.isInteger(blogId) && blogId > 0 ? blogId : null;
+}
+
+function getMemberIdFromPath(request) {
+  const url = new URL(request.url);
+  const memberId = parseInt(url.pathname.split('/')[4]);
+  return Number.isInteger(memberId) && memberId > 0 ? memberId : null;
+}
+
+function getNewsletterIssueIdFromPath(request) {
+  const url = new URL(request.url);
+  const issueId = parseInt(url.pathname.split('/')[5]);
+  return Number.isInteger(issueId) && issueId > 0 ? issueId : null;
+}
+
+function getCommentIdFromPath(request) {
+  const url = new URL(request.url);
+  const commentId = parseInt(url.pathname.split('/')[4]);
+  return Number.isInteger(commentId) && commentId > 0 ? commentId : null;
+}
+
 async function trackContentView(request, env, contentType, contentId) {
   try {
     const userAgent = request.headers.get('User-Agent') || '';
@@ -1471,7 +9256,7 @@ async function trackContentView(request, env, contentType, contentId) {
 }
 
 // Existing functions remain the same
-async function handleAccessRequest(request, env) {
+async function handleAccessRequest(request, env, ctx) {
   try {
     const body = await request.json();
     
@@ -1484,11 +9269,46 @@ async function handleAccessRequest(request, env) {
       });
     }
 
+    if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim()) || body.email.trim().length > 254) {
+      return new Response(JSON.stringify({
+        error: 'Please enter a valid email address',
+        message: 'Please enter a valid email address',
+        field: 'email'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      });
+    }
+
+    // A member's invite code skips the queue; a bad code is reported rather
+    // than silently ignored so the applicant can fix a typo
+    const inviteCode = normalizeInviteCode(body.inviteCode);
+    let invite = null;
+    if (inviteCode) {
+      invite = await env.DB.prepare(`
+        SELECT c.id, c.member_id
+        FROM invite_codes c
+        JOIN members m ON m.id = c.member_id
+        WHERE c.code = ? AND c.used_at IS NULL AND m.status = 'active'
+      `).bind(inviteCode).first();
+
+      if (!invite) {
+        return new Response(JSON.stringify({
+          error: 'Invalid invite code',
+          message: 'This invite code is invalid or has already been used',
+          field: 'inviteCode'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+      }
+    }
+
     const result = await env.DB.prepare(`
       INSERT INTO access_requests (
         full_name, email, phone, country, request_date, 
-        user_agent, referrer, status, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', datetime('now'), datetime('now'))
+        user_agent, referrer, referred_by, invite_code_id, status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', datetime('now'), datetime('now'))
     `).bind(
       body.fullName.trim(),
       body.email.trim().toLowerCase(),
@@ -1496,13 +9316,35 @@ async function handleAccessRequest(request, env) {
       body.country,
       body.requestDate || new Date().toISOString(),
       body.userAgent || null,
-      body.referrer || null
+      body.referrer || null,
+      invite ? invite.member_id : null,
+      invite ? invite.id : null
     ).run();
 
+    const accessRequest = {
+      id: result.meta.last_row_id,
+      full_name: body.fullName.trim(),
+      email: body.email.trim().toLowerCase(),
+      phone: body.phone.trim(),
+      country: body.country,
+      referred_by: invite ? invite.member_id : null
+    };
+    const member = invite && await redeemInviteCode(env, invite, accessRequest);
+
+    const notification = member
+      ? sendAccessRequestEmail(env, 'access-approved', { ...accessRequest, username: member.username, invite_url: member.inviteUrl })
+      : sendAccessRequestEmail(env, 'access-received', accessRequest);
+    if (ctx) {
+      ctx.waitUntil(notification);
+    } else {
+      await notification;
+    }
+
     return new Response(JSON.stringify({
       success: true,
-      message: 'Access request submitted successfully',
-      requestId: result.meta.last_row_id
+      message: member ? 'Invite accepted: your access has been approved' : 'Access request submitted successfully',
+      requestId: result.meta.last_row_id,
+      approved: Boolean(member)
     }), {
       status: 201,
       headers: { 'Content-Type': 'application/json', ...corsHeaders },
@@ -1548,7 +9390,10 @@ async function handleHealthCheck(env) {
 async function handleGetRequests(request, env) {
   try {
     const { results } = await env.DB.prepare(`
-      SELECT * FROM access_requests ORDER BY created_at DESC LIMIT 100
+      SELECT r.*, m.username AS referrer_username
+      FROM access_requests r
+      LEFT JOIN members m ON m.id = r.referred_by
+      ORDER BY r.created_at DESC LIMIT 100
     `).all();
 
     return new Response(JSON.stringify({ data: results }), {
@@ -1563,9 +9408,19 @@ async function handleGetRequests(request, env) {
   }
 }
 
-async function handleUpdateStatus(request, env) {
+async function handleUpdateStatus(request, env, ctx) {
   try {
-    const { requestId, status, notes } = await request.json();
+    const { requestId, status, notes, notify = true } = await request.json();
+    const previous = await env.DB.prepare('SELECT status FROM access_requests WHERE id = ?').bind(requestId).first();
+    const changed = Boolean(previous && previous.status !== status);
+
+    // Provision before flipping the status so a failure leaves the request
+    // untouched and the admin can simply retry
+    let member = null;
+    if (changed && status === 'approved') {
+      const accessRequest = await env.DB.prepare('SELECT id, full_name, email, phone, country, referred_by FROM access_requests WHERE id = ?').bind(requestId).first();
+      member = await provisionAccessRequestMember(env, accessRequest);
+    }
     
     await env.DB.prepare(`
       UPDATE access_requests 
@@ -1573,7 +9428,32 @@ async function handleUpdateStatus(request, env) {
       WHERE id = ?
     `).bind(status, notes || null, requestId).run();
 
-    return new Response(JSON.stringify({ success: true }), {
+    const suspended = status === 'rejected' && await suspendAccessRequestMember(env, requestId);
+
+    // Only tell the applicant when the decision actually changes
+    const templateKey = { approved: 'access-approved', rejected: 'access-rejected' }[status];
+    const emailed = Boolean(notify && templateKey && changed);
+    if (emailed) {
+      const accessRequest = await env.DB.prepare('SELECT id, full_name, email, notes FROM access_requests WHERE id = ?').bind(requestId).first();
+      const notification = sendAccessRequestEmail(env, templateKey, {
+        ...accessRequest,
+        username: member?.username,
+        invite_url: member?.inviteUrl
+      });
+      if (ctx) {
+        ctx.waitUntil(notification);
+      } else {
+        await notification;
+      }
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      emailed,
+      suspended,
+      // Unsent invitations are handed to the admin to pass on by hand
+      member: member && { id: member.id, username: member.username, created: member.created, inviteUrl: emailed ? null : member.inviteUrl }
+    }), {
       status: 200,
       headers: { 'Content-Type': 'application/json', ...corsHeaders },
     });
@@ -1587,16 +9467,18 @@ async function handleUpdateStatus(request, env) {
 
 async function handleStats(request, env) {
   try {
-    const [totalRequests, pendingRequests, approvedRequests] = await Promise.all([
+    const [totalRequests, pendingRequests, approvedRequests, pendingComments] = await Promise.all([
       env.DB.prepare('SELECT COUNT(*) as count FROM access_requests').first(),
       env.DB.prepare('SELECT COUNT(*) as count FROM access_requests WHERE status = "pending"').first(),
-      env.DB.prepare('SELECT COUNT(*) as count FROM access_requests WHERE status = "approved"').first()
+      env.DB.prepare('SELECT COUNT(*) as count FROM access_requests WHERE status = "approved"').first(),
+      env.DB.prepare("SELECT COUNT(*) as count FROM blog_comments WHERE status = 'pending'").first()
     ]);
 
     return new Response(JSON.stringify({
       total: totalRequests.count,
       pending: pendingRequests.count,
-      approved: approvedRequests.count
+      approved: approvedRequests.count,
+      pendingComments: pendingComments.count
     }), {
       status: 200,
       headers: { 'Content-Type': 'application/json', ...corsHeaders },